@@ -0,0 +1,182 @@
+/**
+ * Batch History - Core Logic Module
+ * Persisted record of compounded batches and their deviations from plan
+ */
+
+import { convertAmount } from './formula.js';
+
+// Default tolerance before a line counts as deviating from plan (percent)
+export const DEFAULT_DEVIATION_THRESHOLD = 5;
+
+/**
+ * Validate a batch record
+ * @param {Object} batch - Batch record (see finishSession)
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateBatch(batch) {
+  const errors = [];
+
+  if (!batch || typeof batch !== 'object') {
+    return { valid: false, errors: ['Batch must be an object'] };
+  }
+  if (!batch.id || String(batch.id).trim() === '') {
+    errors.push('Batch ID is required');
+  }
+  if (!batch.date || Number.isNaN(Date.parse(batch.date))) {
+    errors.push('Batch date is required');
+  }
+  if (!Array.isArray(batch.lines)) {
+    errors.push('Batch lines are required');
+  } else {
+    batch.lines.forEach((line, i) => {
+      if (!line.name || !line.planned) {
+        errors.push(`Line ${i + 1} needs an ingredient and planned amount`);
+      }
+    });
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Parse saved batch history, dropping anything malformed
+ * @param {string|null} json - Saved batches
+ * @returns {Array} - Valid batch records
+ */
+export function loadBatches(json) {
+  try {
+    const batches = JSON.parse(json || '[]');
+    return Array.isArray(batches) ? batches.filter(b => validateBatch(b).valid) : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Find a batch by ID
+ * @param {Array} batches - Batch history
+ * @param {string} id - Batch ID
+ * @returns {Object|null}
+ */
+export function findBatch(batches, id) {
+  return batches.find(b => b.id === id) || null;
+}
+
+/**
+ * Add a batch to the history
+ * An ID already taken (two batches started in the same second) gets a "-2", "-3"... suffix
+ * @param {Array} batches - Batch history
+ * @param {Object} batch - Batch record
+ * @returns {{batches: Array, batch: Object|null, error: string|null}} - batch is the stored one
+ */
+export function addBatch(batches, batch) {
+  const validation = validateBatch(batch);
+  if (!validation.valid) {
+    return { batches, batch: null, error: validation.errors.join(', ') };
+  }
+
+  let id = batch.id;
+  for (let n = 2; findBatch(batches, id); n++) {
+    id = `${batch.id}-${n}`;
+  }
+  const stored = id === batch.id ? batch : { ...batch, id };
+  return { batches: [...batches, stored], batch: stored, error: null };
+}
+
+/**
+ * Delete a batch from the history
+ * @param {Array} batches - Batch history
+ * @param {string} id - Batch ID
+ * @returns {Array} - New batch history
+ */
+export function deleteBatch(batches, id) {
+  return batches.filter(b => b.id !== id);
+}
+
+/**
+ * Mark which formula revision a batch followed
+ * @param {Array} batches - Batch history
+ * @param {string} id - Batch ID
+ * @param {string|null} revisionId - Revision ID, or null to clear
+ * @returns {Array} - New batch history
+ */
+export function setBatchRevision(batches, id, revisionId) {
+  return batches.map(b => (b.id === id ? { ...b, revision: revisionId } : b));
+}
+
+/**
+ * Sort batches newest first
+ * @param {Array} batches - Batch history
+ * @returns {Array} - Sorted batches (new array)
+ */
+export function sortBatches(batches) {
+  return [...batches].sort((a, b) => Date.parse(b.date) - Date.parse(a.date));
+}
+
+/**
+ * Percent deviation of the actual amount from plan
+ * @param {Object} line - Batch line {planned, actual, skipped}
+ * @param {number|null} density - Density in g/mL, to compare volume against mass
+ * @returns {number|null} - e.g. 3.3 for 310 µL planned 300 µL, -100 when skipped, null if not comparable
+ */
+export function calculateDeviation(line, density = null) {
+  if (line.skipped) return -100;
+  if (!line.actual || !line.planned || !line.planned.value) return null;
+
+  const actual = convertAmount(line.actual, line.planned.unit, density);
+  if (!actual) return null;
+
+  return Math.round(((actual.value - line.planned.value) / line.planned.value) * 1000) / 10;
+}
+
+/**
+ * Annotate each batch line with its deviation and whether it exceeds the threshold
+ * @param {Object} batch - Batch record
+ * @param {number} threshold - Allowed deviation in percent
+ * @param {Object} densities - Densities in g/mL keyed by ingredient name
+ * @returns {Array} - Lines with {deviation, flagged}
+ */
+export function annotateDeviations(batch, threshold = DEFAULT_DEVIATION_THRESHOLD, densities = {}) {
+  return batch.lines.map(line => {
+    const deviation = calculateDeviation(line, densities[line.name] || null);
+    return {
+      ...line,
+      deviation,
+      flagged: deviation !== null && Math.abs(deviation) > threshold,
+    };
+  });
+}
+
+/**
+ * Summarize a batch for the history list
+ * @param {Object} batch - Batch record
+ * @param {number} threshold - Allowed deviation in percent
+ * @param {Object} densities - Densities in g/mL keyed by ingredient name
+ * @returns {{total: number, dispensed: number, skipped: number, deviations: number}}
+ */
+export function summarizeBatch(batch, threshold = DEFAULT_DEVIATION_THRESHOLD, densities = {}) {
+  const lines = annotateDeviations(batch, threshold, densities);
+  return {
+    total: lines.length,
+    dispensed: lines.filter(l => l.actual).length,
+    skipped: lines.filter(l => l.skipped).length,
+    deviations: lines.filter(l => l.flagged).length,
+  };
+}
+
+export default {
+  DEFAULT_DEVIATION_THRESHOLD,
+  validateBatch,
+  loadBatches,
+  findBatch,
+  addBatch,
+  deleteBatch,
+  setBatchRevision,
+  sortBatches,
+  calculateDeviation,
+  annotateDeviations,
+  summarizeBatch,
+};
@@ -0,0 +1,182 @@
+/**
+ * Box Layouts - Core Logic Module
+ * Box-definition model: geometry and labeling convention of each rack or holder
+ */
+
+// Label sets an axis can use
+export const LABEL_SETS = {
+  letters: count => Array.from({ length: count }, (_, i) => String.fromCharCode(65 + i)),
+  numbers: count => Array.from({ length: count }, (_, i) => String(i + 1)),
+};
+
+/**
+ * Built-in layouts
+ * rowLabels/colLabels name a label set; one axis uses letters and the other numbers.
+ * letterFirst decides how coordinates are written: "A1" (true) or "1A" (false).
+ * tipSize is the tip size the box holds, null for general-purpose holders.
+ * pitchMm is the centre-to-centre spacing of the slots, for to-scale box maps (9 mm in 96-slot racks).
+ */
+export const BOX_LAYOUTS = [
+  // 10µL box: rows A-H, columns 1-12
+  { id: 'rack-10', name: '10 µL rack', tipSize: 10, rows: 8, cols: 12, rowLabels: 'letters', colLabels: 'numbers', letterFirst: true, pitchMm: 9 },
+  { id: 'rack-20', name: '20 µL rack', tipSize: 20, rows: 8, cols: 12, rowLabels: 'letters', colLabels: 'numbers', letterFirst: true, pitchMm: 9 },
+  // 100µL box: columns A-L, rows 1-8 (transposed labeling)
+  { id: 'rack-100', name: '100 µL rack', tipSize: 100, rows: 8, cols: 12, rowLabels: 'numbers', colLabels: 'letters', letterFirst: true, pitchMm: 9 },
+  { id: 'rack-200', name: '200 µL rack', tipSize: 200, rows: 8, cols: 12, rowLabels: 'letters', colLabels: 'numbers', letterFirst: true, pitchMm: 9 },
+  { id: 'rack-1000', name: '1000 µL rack', tipSize: 1000, rows: 8, cols: 12, rowLabels: 'letters', colLabels: 'numbers', letterFirst: true, pitchMm: 9 },
+  { id: 'plate-96', name: '96-well holder', tipSize: null, rows: 8, cols: 12, rowLabels: 'letters', colLabels: 'numbers', letterFirst: true, pitchMm: 9 },
+  // 24-slot holder: rows 1-4, columns A-F, written number first ("2C")
+  { id: 'holder-24', name: '24-slot holder', tipSize: null, rows: 4, cols: 6, rowLabels: 'numbers', colLabels: 'letters', letterFirst: false, pitchMm: 19.3 },
+];
+
+// Tip sizes with a rack layout, ascending
+export const TIP_SIZES = BOX_LAYOUTS.filter(l => l.tipSize !== null).map(l => l.tipSize).sort((a, b) => a - b);
+
+/**
+ * Validate a box layout definition
+ * @param {Object} layout - Layout object
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateLayout(layout) {
+  const errors = [];
+
+  if (!layout || typeof layout !== 'object') {
+    return { valid: false, errors: ['Layout must be an object'] };
+  }
+  if (!layout.id || String(layout.id).trim() === '') {
+    errors.push('Layout ID is required');
+  }
+  if (!layout.name || String(layout.name).trim() === '') {
+    errors.push('Layout name is required');
+  }
+  if (!Number.isInteger(layout.rows) || layout.rows < 1 || !Number.isInteger(layout.cols) || layout.cols < 1) {
+    errors.push('Rows and columns must be positive whole numbers');
+  }
+  if (!LABEL_SETS[layout.rowLabels] || !LABEL_SETS[layout.colLabels]) {
+    errors.push(`Label sets must be one of: ${Object.keys(LABEL_SETS).join(', ')}`);
+  } else if (layout.rowLabels === layout.colLabels) {
+    errors.push('One axis must use letters and the other numbers');
+  }
+  const letterAxis = layout.rowLabels === 'letters' ? layout.rows : layout.cols;
+  if (letterAxis > 26) {
+    errors.push('Letter labels only go up to Z (26)');
+  }
+  if (layout.tipSize !== null && !(layout.tipSize > 0)) {
+    errors.push('Tip size must be a positive number or null');
+  }
+  if (layout.pitchMm !== undefined && !(layout.pitchMm > 0)) {
+    errors.push('Slot pitch must be a positive number of millimetres');
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Find a layout by ID
+ * @param {string} id - Layout ID
+ * @param {Array} layouts - Layouts to search (default the built-in ones)
+ * @returns {Object|null}
+ */
+export function findLayout(id, layouts = BOX_LAYOUTS) {
+  return layouts.find(l => l.id === id) || null;
+}
+
+/**
+ * Find the rack layout for a tip size
+ * @param {number} tipSize - Tip size in µL
+ * @param {Array} layouts - Layouts to search (default the built-in ones)
+ * @returns {Object|null}
+ */
+export function layoutForTipSize(tipSize, layouts = BOX_LAYOUTS) {
+  return layouts.find(l => l.tipSize !== null && l.tipSize === tipSize) || null;
+}
+
+/**
+ * Row and column header labels of a layout
+ * @param {Object} layout - Layout object
+ * @returns {{rowLabels: string[], colLabels: string[]}}
+ */
+export function layoutLabels(layout) {
+  return {
+    rowLabels: LABEL_SETS[layout.rowLabels](layout.rows),
+    colLabels: LABEL_SETS[layout.colLabels](layout.cols),
+  };
+}
+
+/**
+ * The two parts of a coordinate in the order they are written
+ * @param {Object} layout - Layout object
+ * @returns {Array<{axis: string, labels: string[]}>} - e.g. [{axis: 'row', labels: ['A'...]}, {axis: 'col', ...}]
+ */
+export function coordParts(layout) {
+  const { rowLabels, colLabels } = layoutLabels(layout);
+  const row = { axis: 'row', labels: rowLabels };
+  const col = { axis: 'col', labels: colLabels };
+  const letterPart = layout.rowLabels === 'letters' ? row : col;
+  const numberPart = letterPart === row ? col : row;
+  return layout.letterFirst ? [letterPart, numberPart] : [numberPart, letterPart];
+}
+
+/**
+ * Describe a layout's convention, e.g. "Rows A-H, Columns 1-12"
+ * @param {Object} layout - Layout object
+ * @returns {string}
+ */
+export function describeLayout(layout) {
+  return coordParts(layout)
+    .map(part => `${part.axis === 'row' ? 'Rows' : 'Columns'} ${part.labels[0]}-${part.labels[part.labels.length - 1]}`)
+    .join(', ');
+}
+
+/**
+ * Parse a coordinate into a grid position
+ * @param {string} coord - Coordinate like "A1", "L8" or "2C"
+ * @param {Object} layout - Layout object
+ * @returns {{row: number, col: number} | null} - Grid position (0-indexed) or null if invalid
+ */
+export function parseCoord(coord, layout) {
+  if (!coord || !layout) return null;
+
+  const pattern = layout.letterFirst ? /^([A-Z]+)(\d+)$/ : /^(\d+)([A-Z]+)$/;
+  const match = String(coord).trim().toUpperCase().match(pattern);
+  if (!match) return null;
+
+  const position = {};
+  coordParts(layout).forEach((part, i) => {
+    position[part.axis] = part.labels.indexOf(match[i + 1]);
+  });
+  if (position.row === -1 || position.col === -1) return null;
+  return { row: position.row, col: position.col };
+}
+
+/**
+ * Write the coordinate of a grid position
+ * @param {number} row - Row index (0-indexed)
+ * @param {number} col - Column index (0-indexed)
+ * @param {Object} layout - Layout object
+ * @returns {string|null} - Coordinate string or null if out of bounds
+ */
+export function formatCoord(row, col, layout) {
+  if (!layout || row < 0 || row >= layout.rows || col < 0 || col >= layout.cols) {
+    return null;
+  }
+  const index = { row, col };
+  return coordParts(layout).map(part => part.labels[index[part.axis]]).join('');
+}
+
+export default {
+  LABEL_SETS,
+  BOX_LAYOUTS,
+  TIP_SIZES,
+  validateLayout,
+  findLayout,
+  layoutForTipSize,
+  layoutLabels,
+  coordParts,
+  describeLayout,
+  parseCoord,
+  formatCoord,
+};
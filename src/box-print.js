@@ -0,0 +1,241 @@
+/**
+ * Box Print - Core Logic Module
+ * Printable to-scale box maps (to tape to the lid) and sheets of sticker labels, one per tip
+ */
+
+import { layoutLabels, coordParts, describeLayout, parseCoord, formatCoord } from './box-layouts.js';
+import { boxLayout, describeBox, findBox } from './boxes.js';
+import { abbreviateIngredient } from './tip-tracker.js';
+import { DEFAULT_TIP_LIMITS, tipWear } from './tip-lifecycle.js';
+
+// Slot spacing for layouts without their own pitchMm
+export const DEFAULT_PITCH_MM = 9;
+
+// Sticker sheet: 38.1 × 21.2 mm labels, 5 × 13 per A4 page (L7651-compatible)
+export const LABEL_SHEET = {
+  name: '38.1 × 21.2 mm, 65 per A4',
+  pageWidthMm: 210,
+  pageHeightMm: 297,
+  widthMm: 38.1,
+  heightMm: 21.2,
+  columns: 5,
+  rows: 13,
+  marginTopMm: 10.7,
+  marginLeftMm: 4.75,
+  columnGapMm: 2.5,
+  rowGapMm: 0,
+};
+
+// Marks added to worn and retired tips on the map
+const WEAR_MARKS = { ok: '', worn: '*', retired: '✕' };
+
+/**
+ * Escape text for HTML, including attribute values
+ * @param {*} text - Text
+ * @returns {string}
+ */
+export function escapeHtml(text) {
+  return String(text)
+    .replace(/&/g, '&amp;')
+    .replace(/</g, '&lt;')
+    .replace(/>/g, '&gt;')
+    .replace(/"/g, '&quot;');
+}
+
+/**
+ * Print date as written on maps and labels
+ * @param {Date} now - Print time
+ * @returns {string} - e.g. "2026-01-15"
+ */
+function printDate(now) {
+  return now.toISOString().split('T')[0];
+}
+
+/**
+ * Describe how coordinates are written, with an example
+ * @param {Object} layout - Layout object
+ * @returns {string} - e.g. "Rows A-H, Columns 1-12 · B3 = row B, column 3"
+ */
+export function describeConvention(layout) {
+  // Second row, third column: distinct labels on both axes
+  const index = { row: Math.min(1, layout.rows - 1), col: Math.min(2, layout.cols - 1) };
+  const reading = coordParts(layout)
+    .map(part => `${part.axis === 'row' ? 'row' : 'column'} ${part.labels[index[part.axis]]}`)
+    .join(', ');
+  return `${describeLayout(layout)} · ${formatCoord(index.row, index.col, layout)} = ${reading}`;
+}
+
+/**
+ * Build the map of a box: one cell per slot, abbreviated names and a legend
+ * @param {Object} box - Box object
+ * @param {Array} tips - Tips array (only the box's tips are used)
+ * @param {{limits: Object, now: Date, labelLength: number}} options - Wear limits, print time,
+ *   longest cell label
+ * @returns {Object|null} - Map {title, layoutName, convention, pitchMm, rowLabels, colLabels, cells,
+ *   legend, count, capacity, printed}, or null for a box without a known layout
+ */
+export function createBoxMap(box, tips, { limits = DEFAULT_TIP_LIMITS, now = new Date(), labelLength = 6 } = {}) {
+  const layout = boxLayout(box);
+  if (!layout) return null;
+
+  const { rowLabels, colLabels } = layoutLabels(layout);
+  const boxTips = tips.filter(t => t.box === box.id);
+  const legend = new Map(); // ingredient → legend entry
+
+  const cells = rowLabels.map((_, r) => colLabels.map((__, c) => {
+    const coord = formatCoord(r, c, layout);
+    const tip = boxTips.find(t => t.coord === coord);
+    if (!tip) return { coord, tip: null };
+
+    const status = tipWear(tip, limits, now).status;
+    const label = abbreviateIngredient(tip.ingredient, labelLength);
+    if (!legend.has(tip.ingredient)) legend.set(tip.ingredient, { label, ingredient: tip.ingredient, coords: [] });
+    legend.get(tip.ingredient).coords.push(coord);
+    return { coord, tip, label, status, mark: WEAR_MARKS[status] };
+  }));
+
+  return {
+    title: describeBox(box),
+    layoutName: layout.name,
+    convention: describeConvention(layout),
+    pitchMm: layout.pitchMm || DEFAULT_PITCH_MM,
+    rowLabels,
+    colLabels,
+    cells,
+    legend: [...legend.values()].sort((a, b) => a.ingredient.localeCompare(b.ingredient)),
+    count: boxTips.length,
+    capacity: layout.rows * layout.cols,
+    printed: printDate(now),
+  };
+}
+
+/**
+ * HTML document of box maps, one per page, drawn to scale in millimetres
+ * @param {Array} maps - Maps from createBoxMap
+ * @returns {string}
+ */
+export function renderBoxMapsHtml(maps) {
+  const renderMap = map => {
+    const size = `width:${map.pitchMm}mm;height:${map.pitchMm}mm`;
+    const header = `<tr><th style="${size}"></th>${map.colLabels.map(l => `<th style="${size}">${l}</th>`).join('')}</tr>`;
+    const rows = map.cells.map((row, r) => `<tr><th style="${size}">${map.rowLabels[r]}</th>${row.map(cell => (cell.tip
+      ? `<td class="${cell.status}" style="${size}">${escapeHtml(cell.label)}${cell.mark}</td>`
+      : `<td style="${size}"></td>`)).join('')}</tr>`).join('');
+    const legend = map.legend
+      .map(entry => `<li><b>${escapeHtml(entry.label)}</b> ${escapeHtml(entry.ingredient)} · ${entry.coords.join(', ')}</li>`)
+      .join('');
+
+    return `
+      <section class="box-map">
+        <h2>${escapeHtml(map.title)}</h2>
+        <p>${escapeHtml(map.layoutName)} · ${escapeHtml(map.convention)} · ${map.count}/${map.capacity} tips · Printed ${map.printed}</p>
+        <table>${header}${rows}</table>
+        <ul class="legend">${legend || '<li>Empty box</li>'}</ul>
+        <p class="marks">* worn, replace soon · ✕ retired · Slot pitch ${map.pitchMm} mm</p>
+        <div class="scale"></div>
+        <p class="marks">50 mm: print at 100% scale and check this bar with a ruler</p>
+      </section>`;
+  };
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><title>Box Maps</title>
+<style>
+  @page { margin: 10mm; }
+  body { font-family: 'Courier New', monospace; font-size: 9pt; margin: 0; }
+  .box-map { page-break-after: always; }
+  .box-map:last-child { page-break-after: auto; }
+  h2 { font-size: 12pt; margin: 0 0 2mm; }
+  p { margin: 0 0 2mm; }
+  table { border-collapse: collapse; table-layout: fixed; }
+  th, td { padding: 0; text-align: center; overflow: hidden; font-size: 5pt; line-height: 1.1; box-sizing: border-box; }
+  th { font-size: 7pt; }
+  td { border: 0.2mm solid #000; word-break: break-all; }
+  td.worn { border-style: dashed; }
+  td.retired { text-decoration: line-through; color: #777; }
+  .legend { columns: 2; padding-left: 4mm; margin: 3mm 0; }
+  .marks { font-size: 7pt; }
+  .scale { width: 50mm; height: 2mm; border: 0.2mm solid #000; border-top: none; margin-top: 2mm; }
+</style></head>
+<body>${maps.map(renderMap).join('')}</body></html>`;
+}
+
+/**
+ * One sticker label per tip, in box order (as listed in boxes) then slot order; retired tips get none
+ * @param {Array} tips - Tips to label
+ * @param {Array} boxes - Boxes array
+ * @param {Date} now - Print time
+ * @returns {Array<{ingredient: string, location: string, detail: string}>}
+ */
+export function createTipLabels(tips, boxes, now = new Date()) {
+  const slotIndex = tip => {
+    const layout = boxLayout(findBox(boxes, tip.box));
+    const position = parseCoord(tip.coord, layout);
+    return position ? position.row * layout.cols + position.col : 0;
+  };
+  const boxOrder = tip => {
+    const index = boxes.findIndex(b => b.id === tip.box);
+    return index === -1 ? boxes.length : index;
+  };
+  const boxName = tip => {
+    const box = findBox(boxes, tip.box);
+    return box ? box.name : `${tip.tipSize} µL`;
+  };
+
+  return tips
+    .filter(tip => !tip.retiredAt)
+    .map(tip => ({ tip, name: boxName(tip), box: boxOrder(tip), slot: slotIndex(tip) }))
+    .sort((a, b) => a.box - b.box || a.slot - b.slot)
+    .map(({ tip, name }) => ({
+      ingredient: tip.ingredient,
+      location: `${name} · ${tip.coord}`,
+      detail: `${tip.tipSize} µL · printed ${printDate(now)}`,
+    }));
+}
+
+/**
+ * HTML document placing labels on sticker sheets
+ * @param {Array} labels - Labels from createTipLabels
+ * @param {Object} sheet - Sheet geometry (default LABEL_SHEET)
+ * @returns {string}
+ */
+export function renderLabelSheetHtml(labels, sheet = LABEL_SHEET) {
+  const perPage = sheet.columns * sheet.rows;
+  const pages = [];
+  for (let i = 0; i < labels.length; i += perPage) {
+    pages.push(labels.slice(i, i + perPage));
+  }
+
+  const renderLabel = (label, i) => {
+    const col = i % sheet.columns;
+    const row = Math.floor(i / sheet.columns);
+    const left = sheet.marginLeftMm + col * (sheet.widthMm + sheet.columnGapMm);
+    const top = sheet.marginTopMm + row * (sheet.heightMm + sheet.rowGapMm);
+    return `<div class="label" style="left:${+left.toFixed(2)}mm;top:${+top.toFixed(2)}mm">`
+      + `<b>${escapeHtml(label.ingredient)}</b><span>${escapeHtml(label.location)}</span><span>${escapeHtml(label.detail)}</span></div>`;
+  };
+
+  return `<!DOCTYPE html>
+<html><head><meta charset="UTF-8"><title>Tip Labels</title>
+<style>
+  @page { size: ${sheet.pageWidthMm}mm ${sheet.pageHeightMm}mm; margin: 0; }
+  body { font-family: Arial, sans-serif; margin: 0; }
+  .sheet { position: relative; width: ${sheet.pageWidthMm}mm; height: ${sheet.pageHeightMm}mm; page-break-after: always; }
+  .sheet:last-child { page-break-after: auto; }
+  .label { position: absolute; width: ${sheet.widthMm}mm; height: ${sheet.heightMm}mm; box-sizing: border-box;
+    padding: 1.5mm 2mm; overflow: hidden; display: flex; flex-direction: column; justify-content: center; }
+  .label b { font-size: 8pt; white-space: nowrap; overflow: hidden; text-overflow: ellipsis; }
+  .label span { font-size: 6.5pt; }
+</style></head>
+<body>${pages.map(page => `<div class="sheet">${page.map(renderLabel).join('')}</div>`).join('')}</body></html>`;
+}
+
+export default {
+  DEFAULT_PITCH_MM,
+  LABEL_SHEET,
+  escapeHtml,
+  describeConvention,
+  createBoxMap,
+  renderBoxMapsHtml,
+  createTipLabels,
+  renderLabelSheetHtml,
+};
@@ -0,0 +1,264 @@
+/**
+ * Boxes - Core Logic Module
+ * Named physical boxes ("10µL-Box-2, shelf B"); tips are keyed by box ID plus coordinate
+ */
+
+import { findLayout, layoutForTipSize, parseCoord } from './box-layouts.js';
+
+/**
+ * ID of the default box for a tip size, which existing tips migrate into
+ * @param {number} tipSize - Tip size in µL
+ * @returns {string} - e.g. "box-10-1"
+ */
+export function defaultBoxId(tipSize) {
+  return `box-${tipSize}-1`;
+}
+
+/**
+ * Default box for a tip size, e.g. "10µL-Box-1"
+ * @param {number} tipSize - Tip size in µL
+ * @returns {Object|null} - Box object, or null if no rack layout exists for the size
+ */
+export function defaultBox(tipSize) {
+  const layout = layoutForTipSize(tipSize);
+  if (!layout) return null;
+  return {
+    id: defaultBoxId(tipSize),
+    name: `${tipSize}µL-Box-1`,
+    location: '',
+    layout: layout.id,
+    tipSize,
+  };
+}
+
+/**
+ * Validate a box
+ * @param {Object} box - Box object {id, name, location, layout, tipSize}
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateBox(box) {
+  const errors = [];
+
+  if (!box || typeof box !== 'object') {
+    return { valid: false, errors: ['Box must be an object'] };
+  }
+  if (!box.id || String(box.id).trim() === '') {
+    errors.push('Box ID is required');
+  }
+  if (!box.name || String(box.name).trim() === '') {
+    errors.push('Box name is required');
+  }
+  if (!findLayout(box.layout)) {
+    errors.push(`Unknown box layout "${box.layout}"`);
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Find a box by ID
+ * @param {Array} boxes - Boxes array
+ * @param {string} id - Box ID
+ * @returns {Object|null}
+ */
+export function findBox(boxes, id) {
+  return boxes.find(b => b.id === id) || null;
+}
+
+/**
+ * Layout of a box
+ * @param {Object} box - Box object
+ * @returns {Object|null} - Layout (see box-layouts.js)
+ */
+export function boxLayout(box) {
+  return box ? findLayout(box.layout) : null;
+}
+
+/**
+ * Check whether a box can hold tips of a size (general-purpose holders take any size)
+ * @param {Object} box - Box object
+ * @param {number} tipSize - Tip size in µL
+ * @returns {boolean}
+ */
+export function boxHoldsTipSize(box, tipSize) {
+  return box.tipSize === null || box.tipSize === tipSize;
+}
+
+/**
+ * Boxes that can hold tips of a size
+ * @param {Array} boxes - Boxes array
+ * @param {number} tipSize - Tip size in µL
+ * @returns {Array}
+ */
+export function boxesForTipSize(boxes, tipSize) {
+  return boxes.filter(b => boxHoldsTipSize(b, tipSize));
+}
+
+/**
+ * Describe a box for display, e.g. "10µL-Box-2, shelf B"
+ * @param {Object} box - Box object
+ * @returns {string}
+ */
+export function describeBox(box) {
+  return box.location ? `${box.name}, ${box.location}` : box.name;
+}
+
+/**
+ * Create a box and add it to the list
+ * @param {Array} boxes - Boxes array
+ * @param {{name: string, location: string, layout: string}} details - Name, shelf/location and layout ID
+ * @returns {{boxes: Array, box: Object|null, error: string|null}}
+ */
+export function createBox(boxes, { name = '', location = '', layout = '' } = {}) {
+  const boxLayoutDef = findLayout(layout);
+  const trimmed = name.trim();
+  if (!boxLayoutDef) {
+    return { boxes, box: null, error: `Unknown box layout "${layout}"` };
+  }
+  if (!trimmed) {
+    return { boxes, box: null, error: 'Box name is required' };
+  }
+  if (boxes.some(b => b.name.toLowerCase() === trimmed.toLowerCase())) {
+    return { boxes, box: null, error: `A box named "${trimmed}" already exists` };
+  }
+
+  // IDs number the boxes of each size (or holder layout): box-10-1, box-10-2, ...
+  const prefix = `box-${boxLayoutDef.tipSize !== null ? boxLayoutDef.tipSize : boxLayoutDef.id}`;
+  let n = 1;
+  while (findBox(boxes, `${prefix}-${n}`)) n++;
+
+  const box = {
+    id: `${prefix}-${n}`,
+    name: trimmed,
+    location: location.trim(),
+    layout: boxLayoutDef.id,
+    tipSize: boxLayoutDef.tipSize,
+  };
+  return { boxes: [...boxes, box], box, error: null };
+}
+
+/**
+ * Rename or move a box
+ * @param {Array} boxes - Boxes array
+ * @param {string} id - Box ID
+ * @param {{name: string, location: string}} changes - New name and/or location
+ * @returns {{boxes: Array, error: string|null}}
+ */
+export function updateBox(boxes, id, changes) {
+  const box = findBox(boxes, id);
+  if (!box) return { boxes, error: `Box ${id} not found` };
+
+  const name = changes.name !== undefined ? changes.name.trim() : box.name;
+  if (!name) return { boxes, error: 'Box name is required' };
+  if (boxes.some(b => b.id !== id && b.name.toLowerCase() === name.toLowerCase())) {
+    return { boxes, error: `A box named "${name}" already exists` };
+  }
+
+  const location = changes.location !== undefined ? changes.location.trim() : box.location;
+  return { boxes: boxes.map(b => (b.id === id ? { ...b, name, location } : b)), error: null };
+}
+
+/**
+ * Delete an empty box
+ * @param {Array} boxes - Boxes array
+ * @param {Array} tips - Tips array
+ * @param {string} id - Box ID
+ * @returns {{boxes: Array, error: string|null}}
+ */
+export function deleteBox(boxes, tips, id) {
+  const count = tips.filter(t => t.box === id).length;
+  if (count > 0) {
+    return { boxes, error: `Box still holds ${count} tip(s)` };
+  }
+  return { boxes: boxes.filter(b => b.id !== id), error: null };
+}
+
+/**
+ * Check that a tip's coordinate exists in its box
+ * @param {Object} tip - Tip object with box and coord
+ * @param {Array} boxes - Boxes array
+ * @returns {string|null} - Error message or null
+ */
+export function checkTipInBox(tip, boxes) {
+  const box = findBox(boxes, tip.box);
+  if (!box) return `Unknown box "${tip.box}"`;
+  if (!boxHoldsTipSize(box, tip.tipSize)) return `${box.name} holds ${box.tipSize}µL tips`;
+  if (!parseCoord(tip.coord, boxLayout(box))) return `Invalid coordinate "${tip.coord}" for ${box.name}`;
+  return null;
+}
+
+/**
+ * Per-box statistics
+ * @param {Array} tips - Tips array
+ * @param {Array} boxes - Boxes array
+ * @returns {Array<{box: Object, count: number, capacity: number, free: number}>}
+ */
+export function boxStats(tips, boxes) {
+  return boxes.map(box => {
+    const layout = boxLayout(box);
+    const capacity = layout ? layout.rows * layout.cols : 0;
+    const count = tips.filter(t => t.box === box.id).length;
+    return { box, count, capacity, free: capacity - count };
+  });
+}
+
+/**
+ * Move tips saved before boxes existed into a default box per tip size
+ * @param {Array} tips - Tips array (tips without a box, or in a box that no longer exists, are migrated)
+ * @param {Array} boxes - Boxes array
+ * @returns {{tips: Array, boxes: Array, migrated: number}}
+ */
+export function migrateTips(tips, boxes) {
+  let newBoxes = boxes;
+  let migrated = 0;
+
+  const newTips = tips.map(tip => {
+    if (tip.box && findBox(newBoxes, tip.box)) return tip;
+
+    const id = defaultBoxId(tip.tipSize);
+    if (!findBox(newBoxes, id)) {
+      const box = defaultBox(tip.tipSize);
+      if (!box) return tip; // Unknown size: leave for validation to report
+      newBoxes = [...newBoxes, box];
+    }
+    migrated++;
+    return { ...tip, box: id };
+  });
+
+  return { tips: newTips, boxes: newBoxes, migrated };
+}
+
+/**
+ * Parse saved boxes, dropping anything malformed
+ * @param {string|null} json - Saved boxes
+ * @returns {Array}
+ */
+export function loadBoxes(json) {
+  try {
+    const boxes = JSON.parse(json || '[]');
+    return Array.isArray(boxes) ? boxes.filter(b => validateBox(b).valid) : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+export default {
+  defaultBoxId,
+  defaultBox,
+  validateBox,
+  findBox,
+  boxLayout,
+  boxHoldsTipSize,
+  boxesForTipSize,
+  describeBox,
+  createBox,
+  updateBox,
+  deleteBox,
+  checkTipInBox,
+  boxStats,
+  migrateTips,
+  loadBoxes,
+};
@@ -0,0 +1,366 @@
+/**
+ * Catalog - Core Logic Module
+ * Ingredient catalog: one entry per material (canonical name, aliases, CAS number, supplier,
+ * dilution, density, olfactive family); tips link to an entry by catalog ID
+ */
+
+import { normalizeIngredientName, ingredientsMatch } from './reconcile.js';
+import { rankMatches } from './fuzzy-match.js';
+
+// Olfactive families an entry can belong to
+export const OLFACTIVE_FAMILIES = [
+  'citrus',
+  'aromatic',
+  'green',
+  'floral',
+  'fruity',
+  'spicy',
+  'woody',
+  'amber',
+  'balsamic',
+  'musk',
+  'animalic',
+  'leather',
+  'powdery',
+  'aldehydic',
+  'marine',
+  'gourmand',
+];
+
+/**
+ * Split a trailing dilution off an ingredient name
+ * Only a percentage at the end counts: "Orris Butter (15% Irones)" is a grade, not a dilution.
+ * @param {string} name - Name like "Isobutyl quinoline 10%" or "Tonkin Musk Tincture (3%)"
+ * @returns {{name: string, dilution: number|null}} - Base name and dilution in %
+ */
+export function parseDilution(name) {
+  const match = name.trim().match(/^(.*?)\s*(?:\((\d+(?:[.,]\d+)?)\s*%\)|(\d+(?:[.,]\d+)?)\s*%)$/);
+  if (!match || !match[1]) return { name: name.trim(), dilution: null };
+  return { name: match[1], dilution: parseFloat((match[2] || match[3]).replace(',', '.')) };
+}
+
+/**
+ * Check a CAS registry number: format and check digit
+ * @param {string} cas - e.g. "7732-18-5"
+ * @returns {boolean}
+ */
+export function isValidCas(cas) {
+  const match = String(cas).trim().match(/^(\d{2,7})-(\d{2})-(\d)$/);
+  if (!match) return false;
+  const digits = (match[1] + match[2]).split('').reverse();
+  const sum = digits.reduce((total, digit, i) => total + Number(digit) * (i + 1), 0);
+  return sum % 10 === Number(match[3]);
+}
+
+/**
+ * Every name an entry is known by: canonical name first, then aliases
+ * @param {Object} entry - Catalog entry
+ * @returns {string[]}
+ */
+export function entryNames(entry) {
+  return [entry.name, ...(entry.aliases || [])];
+}
+
+/**
+ * Comparable key of a name (see normalizeIngredientName)
+ * @param {string} name - Ingredient name
+ * @returns {string}
+ */
+function nameKey(name) {
+  return normalizeIngredientName(name).join(' ');
+}
+
+/**
+ * Dilution a name of an entry stands for: the entry's dilution, else the one written in the name
+ * @param {Object} entry - Catalog entry
+ * @param {string} name - One of its names
+ * @returns {number|null}
+ */
+function nameDilution(entry, name) {
+  return entry.dilution ?? parseDilution(name).dilution;
+}
+
+/**
+ * Validate a catalog entry
+ * Names and aliases must be unique across the catalog, compared as normalized names. Dilution
+ * variants may share a name ("Isobutyl quinoline 10%" and "Isobutyl quinoline 1%" are separate
+ * entries); a name without a dilution clashes with every variant.
+ * @param {Object} entry - Entry {id, name, aliases, cas, supplier, dilution, density, family}
+ * @param {Array} catalog - Catalog the entry belongs to (other entries are checked for clashes)
+ * @returns {{valid: boolean, errors: string[]}}
+ */
+export function validateEntry(entry, catalog = []) {
+  const errors = [];
+
+  if (!entry || typeof entry !== 'object') {
+    return { valid: false, errors: ['Entry must be an object'] };
+  }
+  if (!entry.id || String(entry.id).trim() === '') {
+    errors.push('Catalog ID is required');
+  }
+  if (!entry.name || String(entry.name).trim() === '') {
+    errors.push('Name is required');
+  }
+  if (!Array.isArray(entry.aliases || [])) {
+    errors.push('Aliases must be a list');
+  }
+  if (entry.cas && !isValidCas(entry.cas)) {
+    errors.push(`Invalid CAS number "${entry.cas}"`);
+  }
+  if (entry.dilution !== null && entry.dilution !== undefined && !(entry.dilution > 0 && entry.dilution <= 100)) {
+    errors.push('Dilution must be between 0 and 100%');
+  }
+  if (entry.density !== null && entry.density !== undefined && !(entry.density > 0)) {
+    errors.push('Density must be a positive number');
+  }
+  if (entry.family && !OLFACTIVE_FAMILIES.includes(entry.family)) {
+    errors.push(`Unknown olfactive family "${entry.family}"`);
+  }
+
+  if (errors.length === 0) {
+    const taken = [];
+    catalog.filter(e => e.id !== entry.id).forEach(e => {
+      entryNames(e).forEach(n => taken.push({ key: nameKey(n), dilution: nameDilution(e, n), owner: e.name }));
+    });
+    entryNames(entry).forEach(n => {
+      const key = nameKey(n);
+      const dilution = nameDilution(entry, n);
+      const clash = taken.find(t => t.key === key && (t.dilution === null || dilution === null || t.dilution === dilution));
+      if (clash) errors.push(`"${n}" is already used by ${clash.owner}`);
+    });
+  }
+
+  return {
+    valid: errors.length === 0,
+    errors,
+  };
+}
+
+/**
+ * Find an entry by catalog ID
+ * @param {Array} catalog - Catalog entries
+ * @param {string} id - Catalog ID
+ * @returns {Object|null}
+ */
+export function findEntry(catalog, id) {
+  return catalog.find(e => e.id === id) || null;
+}
+
+/**
+ * Find the entry an ingredient name refers to
+ * An exact (normalized) name or alias wins; otherwise names may abbreviate each other
+ * ("Castoreum abs" → "Castoreum Absolute"). Of several matches, the one named exactly as given
+ * is preferred, then the one with the dilution written in the name (see nameDilution).
+ * @param {Array} catalog - Catalog entries
+ * @param {string} name - Ingredient name
+ * @returns {Object|null}
+ */
+export function matchEntry(catalog, name) {
+  const key = nameKey(name);
+  if (!key) return null;
+
+  const exact = catalog.filter(e => entryNames(e).some(n => nameKey(n) === key));
+  const matches = exact.length > 0 ? n => nameKey(n) === key : n => ingredientsMatch(n, name);
+  const candidates = exact.length > 0 ? exact : catalog.filter(e => entryNames(e).some(matches));
+
+  // Dilution variants: a name spelled exactly as given wins, then one standing for the same dilution
+  const { dilution } = parseDilution(name);
+  const spelled = name.trim().toLowerCase();
+  return candidates.find(e => entryNames(e).some(n => n.trim().toLowerCase() === spelled))
+    || candidates.find(e => dilution !== null && entryNames(e).some(n => matches(n) && nameDilution(e, n) === dilution))
+    || candidates[0]
+    || null;
+}
+
+/**
+ * Clean up entry details from a form
+ * @param {Object} details - Raw details
+ * @returns {Object} - Details with trimmed text, alias list and numbers (null when blank)
+ */
+function cleanDetails(details) {
+  const number = value => (value === '' || value === null || value === undefined ? null : Number(value));
+  const aliases = typeof details.aliases === 'string' ? details.aliases.split(',') : details.aliases || [];
+  return {
+    name: String(details.name || '').trim(),
+    aliases: aliases.map(a => a.trim()).filter(Boolean),
+    cas: String(details.cas || '').trim(),
+    supplier: String(details.supplier || '').trim(),
+    dilution: number(details.dilution),
+    density: number(details.density),
+    family: String(details.family || '').trim(),
+  };
+}
+
+/**
+ * Create an entry and add it to the catalog
+ * @param {Array} catalog - Catalog entries
+ * @param {Object} details - {name, aliases (list or comma-separated), cas, supplier, dilution, density, family}
+ * @returns {{catalog: Array, entry: Object|null, error: string|null}}
+ */
+export function createEntry(catalog, details) {
+  const cleaned = cleanDetails(details);
+
+  // IDs follow the name: ing-castoreum-absolute, ing-castoreum-absolute-2, ...
+  const slug = normalizeIngredientName(cleaned.name).join('-') || 'ingredient';
+  let id = `ing-${slug}`;
+  for (let n = 2; findEntry(catalog, id); n++) id = `ing-${slug}-${n}`;
+
+  const entry = { id, ...cleaned };
+  const validation = validateEntry(entry, catalog);
+  if (!validation.valid) {
+    return { catalog, entry: null, error: validation.errors[0] };
+  }
+  return { catalog: [...catalog, entry], entry, error: null };
+}
+
+/**
+ * Change an entry's details (its ID stays)
+ * @param {Array} catalog - Catalog entries
+ * @param {string} id - Catalog ID
+ * @param {Object} changes - Details to change (see createEntry)
+ * @returns {{catalog: Array, error: string|null}}
+ */
+export function updateEntry(catalog, id, changes) {
+  const entry = findEntry(catalog, id);
+  if (!entry) return { catalog, error: `Catalog entry ${id} not found` };
+
+  const updated = { id, ...cleanDetails({ ...entry, ...changes }) };
+  const validation = validateEntry(updated, catalog);
+  if (!validation.valid) {
+    return { catalog, error: validation.errors[0] };
+  }
+  return { catalog: catalog.map(e => (e.id === id ? updated : e)), error: null };
+}
+
+/**
+ * Delete an entry no tip links to
+ * @param {Array} catalog - Catalog entries
+ * @param {Array} tips - Tips array
+ * @param {string} id - Catalog ID
+ * @returns {{catalog: Array, error: string|null}}
+ */
+export function deleteEntry(catalog, tips, id) {
+  const count = tips.filter(t => t.catalogId === id).length;
+  if (count > 0) {
+    return { catalog, error: `${count} tip(s) still link to this entry` };
+  }
+  return { catalog: catalog.filter(e => e.id !== id), error: null };
+}
+
+/**
+ * Autocomplete suggestions for a partly typed name, best match first (see fuzzyScore)
+ * @param {Array} catalog - Catalog entries
+ * @param {string} query - Typed text
+ * @param {number} limit - Maximum number of suggestions
+ * @returns {Array<{entry: Object, name: string, score: number}>} - name is the name or alias that matched
+ */
+export function suggestEntries(catalog, query, limit = 8) {
+  return rankMatches(query, catalog, { names: entryNames, limit })
+    .map(({ item, name, score }) => ({ entry: item, name, score }));
+}
+
+/**
+ * Link a tip to the catalog entry its ingredient refers to, using the canonical name
+ * @param {Object} tip - Tip object
+ * @param {Array} catalog - Catalog entries
+ * @returns {Object} - Linked tip, or the tip unchanged when no entry matches
+ */
+export function linkTip(tip, catalog) {
+  const entry = matchEntry(catalog, tip.ingredient);
+  return entry ? { ...tip, catalogId: entry.id, ingredient: entry.name } : tip;
+}
+
+/**
+ * Link every unlinked tip that matches a catalog entry, and rename linked tips after their entry
+ * Tips linking to a deleted entry are linked afresh.
+ * @param {Array} tips - Tips array
+ * @param {Array} catalog - Catalog entries
+ * @returns {{tips: Array, linked: number, renamed: number}}
+ */
+export function linkTips(tips, catalog) {
+  let linked = 0;
+  let renamed = 0;
+  const newTips = tips.map(tip => {
+    const entry = tip.catalogId ? findEntry(catalog, tip.catalogId) : null;
+    if (entry) {
+      if (tip.ingredient === entry.name) return tip;
+      renamed++;
+      return { ...tip, ingredient: entry.name };
+    }
+    const { catalogId: _, ...unlinked } = tip;
+    const result = linkTip(unlinked, catalog);
+    if (result === unlinked) return tip.catalogId ? unlinked : tip;
+    linked++;
+    return result;
+  });
+  return { tips: newTips.every((t, i) => t === tips[i]) ? tips : newTips, linked, renamed };
+}
+
+/**
+ * One-line description of an entry
+ * @param {Object} entry - Catalog entry
+ * @returns {string} - e.g. "Isobutyl Quinoline · 10% · CAS 65442-31-1 · Symrise · leather"
+ */
+export function describeEntry(entry) {
+  return [
+    entry.name,
+    entry.dilution !== null && entry.dilution !== undefined ? `${entry.dilution}%` : '',
+    entry.cas ? `CAS ${entry.cas}` : '',
+    entry.supplier,
+    entry.density ? `${entry.density} g/mL` : '',
+    entry.family,
+  ].filter(Boolean).join(' · ');
+}
+
+/**
+ * Densities the catalog knows for ingredient names
+ * @param {Array} catalog - Catalog entries
+ * @param {string[]} names - Ingredient names, e.g. formula lines
+ * @returns {Object} - g/mL by name, for names whose entry has a density
+ */
+export function catalogDensities(catalog, names) {
+  const densities = {};
+  names.forEach(name => {
+    const entry = matchEntry(catalog, name);
+    if (entry && entry.density) densities[name] = entry.density;
+  });
+  return densities;
+}
+
+/**
+ * Parse a saved catalog, dropping malformed entries
+ * @param {string|null} json - Saved catalog
+ * @returns {Array}
+ */
+export function loadCatalog(json) {
+  try {
+    const catalog = JSON.parse(json || '[]');
+    if (!Array.isArray(catalog)) return [];
+    const valid = [];
+    catalog.forEach(entry => {
+      if (validateEntry(entry, valid).valid) valid.push(entry);
+    });
+    return valid;
+  } catch (err) {
+    return [];
+  }
+}
+
+export default {
+  OLFACTIVE_FAMILIES,
+  parseDilution,
+  isValidCas,
+  entryNames,
+  validateEntry,
+  findEntry,
+  matchEntry,
+  createEntry,
+  updateEntry,
+  deleteEntry,
+  suggestEntries,
+  linkTip,
+  linkTips,
+  describeEntry,
+  catalogDensities,
+  loadCatalog,
+};
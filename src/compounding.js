@@ -0,0 +1,236 @@
+/**
+ * Compounding - Core Logic Module
+ * Steps through the formula one ingredient at a time, recording each dispense
+ */
+
+import { tipMatchesIngredient } from './reconcile.js';
+import { planDispense } from './pipetting.js';
+
+/**
+ * Generate a batch ID from a timestamp, e.g. "B-20260115-103000"
+ * Two batches started in the same second are told apart by addBatch (see batch-history.js).
+ * @param {Date} date - Session start
+ * @returns {string}
+ */
+export function createBatchId(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `B-${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+    + `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Start a compounding session
+ * @param {Array} lines - Planned lines {name, section, amount} (formula or scaled amounts)
+ * @param {Object} options - Session details
+ * @param {Object} [options.target] - Batch target, e.g. {volume, concentration}
+ * @param {string} [options.formula] - Formula title and date the batch follows
+ * @param {string} [options.revision] - ID of the formula revision the batch follows
+ * @param {Date} [options.now] - Start time (default now)
+ * @returns {Object} - Session in 'active' status at step 0
+ */
+export function createSession(lines, { target = null, formula = '', revision = null, now = new Date() } = {}) {
+  return {
+    id: createBatchId(now),
+    status: 'active', // 'active' | 'paused' | 'finished'
+    formula,
+    revision,
+    target,
+    startedAt: now.toISOString(),
+    updatedAt: now.toISOString(),
+    current: 0,
+    steps: lines.map(line => ({
+      name: line.name,
+      section: line.section,
+      planned: line.amount,
+      actual: null,
+      dispensedAt: null,
+      skipped: false,
+    })),
+  };
+}
+
+/**
+ * Move to the first step that has not been dispensed or skipped, starting at `from`
+ * @param {Array} steps - Session steps
+ * @param {number} from - Index to start looking at
+ * @returns {number} - Step index, or steps.length when all are done
+ */
+function nextOpenStep(steps, from) {
+  for (let i = 0; i < steps.length; i++) {
+    const index = (from + i) % steps.length;
+    if (!isStepDone(steps[index])) return index;
+  }
+  return steps.length;
+}
+
+/**
+ * Check whether a step has been dispensed or skipped
+ * @param {Object} step - Session step
+ * @returns {boolean}
+ */
+export function isStepDone(step) {
+  return step.actual !== null || step.skipped;
+}
+
+/**
+ * Replace one step and advance to the next open one
+ * @param {Object} session - Session
+ * @param {Object} changes - Fields to set on the current step
+ * @param {Date} now - Time of the change
+ * @returns {Object} - New session
+ */
+function updateCurrentStep(session, changes, now) {
+  if (session.status !== 'active' || session.current >= session.steps.length) {
+    return session;
+  }
+  const steps = session.steps.map((step, i) => (i === session.current ? { ...step, ...changes } : step));
+  return {
+    ...session,
+    steps,
+    current: nextOpenStep(steps, session.current + 1),
+    updatedAt: now.toISOString(),
+  };
+}
+
+/**
+ * Record the volume actually dispensed for the current step
+ * @param {Object} session - Session
+ * @param {{value: number, unit: string}} actual - Amount dispensed
+ * @param {Date} now - Dispense time (default now)
+ * @returns {Object} - New session, advanced to the next open step
+ */
+export function recordDispense(session, actual, now = new Date()) {
+  return updateCurrentStep(session, { actual, dispensedAt: now.toISOString(), skipped: false }, now);
+}
+
+/**
+ * Skip the current step (e.g. ingredient out of stock)
+ * @param {Object} session - Session
+ * @param {Date} now - Time of the skip (default now)
+ * @returns {Object} - New session, advanced to the next open step
+ */
+export function skipStep(session, now = new Date()) {
+  return updateCurrentStep(session, { skipped: true, actual: null, dispensedAt: null }, now);
+}
+
+/**
+ * Jump to a step, e.g. to correct an earlier dispense
+ * @param {Object} session - Session
+ * @param {number} index - Step index
+ * @returns {Object} - New session
+ */
+export function goToStep(session, index) {
+  if (index < 0 || index >= session.steps.length) return session;
+  return { ...session, current: index };
+}
+
+/**
+ * Pause an active session
+ * @param {Object} session - Session
+ * @param {Date} now - Pause time (default now)
+ * @returns {Object} - New session in 'paused' status
+ */
+export function pauseSession(session, now = new Date()) {
+  if (session.status !== 'active') return session;
+  return { ...session, status: 'paused', updatedAt: now.toISOString() };
+}
+
+/**
+ * Resume a paused session
+ * @param {Object} session - Session
+ * @param {Date} now - Resume time (default now)
+ * @returns {Object} - New session in 'active' status
+ */
+export function resumeSession(session, now = new Date()) {
+  if (session.status !== 'paused') return session;
+  return { ...session, status: 'active', updatedAt: now.toISOString() };
+}
+
+/**
+ * Count finished steps
+ * @param {Object} session - Session
+ * @returns {{done: number, dispensed: number, skipped: number, total: number}}
+ */
+export function sessionProgress(session) {
+  const dispensed = session.steps.filter(s => s.actual !== null).length;
+  const skipped = session.steps.filter(s => s.skipped).length;
+  return { done: dispensed + skipped, dispensed, skipped, total: session.steps.length };
+}
+
+/**
+ * Finish the session and produce the batch record
+ * @param {Object} session - Session
+ * @param {Date} now - Finish time (default now)
+ * @returns {{session: Object, batch: Object}} - Finished session and batch record
+ */
+export function finishSession(session, now = new Date()) {
+  const finished = { ...session, status: 'finished', updatedAt: now.toISOString() };
+  return {
+    session: finished,
+    batch: {
+      id: session.id,
+      date: session.startedAt,
+      finishedAt: now.toISOString(),
+      formula: session.formula,
+      revision: session.revision || null,
+      target: session.target,
+      lines: session.steps.map(step => ({
+        name: step.name,
+        section: step.section,
+        planned: step.planned,
+        actual: step.actual,
+        dispensedAt: step.dispensedAt,
+        skipped: step.skipped,
+      })),
+    },
+  };
+}
+
+/**
+ * Read a session saved with JSON.stringify, rejecting anything malformed
+ * @param {string|null} json - Saved session
+ * @returns {Object|null} - Session or null if missing, corrupt or finished
+ */
+export function restoreSession(json) {
+  if (!json) return null;
+  try {
+    const session = JSON.parse(json);
+    if (!session || !Array.isArray(session.steps) || !['active', 'paused'].includes(session.status)) {
+      return null;
+    }
+    return session;
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Find the tips to use for an ingredient, best tip size for the amount first (retired tips are skipped)
+ * The size is picked among the sizes of the tips found, not every rack size.
+ * @param {Array} tips - Tips array
+ * @param {string} name - Ingredient name
+ * @param {{value: number, unit: string}} amount - Amount to dispense
+ * @param {Array} catalog - Ingredient catalog entries, for matching by alias
+ * @returns {Array} - Matching tips, recommended size first
+ */
+export function locateTips(tips, name, amount, catalog = []) {
+  const found = tips.filter(t => !t.retiredAt && tipMatchesIngredient(t, name, catalog));
+  if (found.length === 0) return [];
+  const { tipSize } = planDispense(amount, { tipSizes: [...new Set(found.map(t => t.tipSize))] });
+  return found.sort((a, b) => (b.tipSize === tipSize) - (a.tipSize === tipSize));
+}
+
+export default {
+  createBatchId,
+  createSession,
+  isStepDone,
+  recordDispense,
+  skipStep,
+  goToStep,
+  pauseSession,
+  resumeSession,
+  sessionProgress,
+  finishSession,
+  restoreSession,
+  locateTips,
+};
@@ -0,0 +1,194 @@
+/**
+ * Formula Revisions - Core Logic Module
+ * Stores formula revisions and computes structured diffs between them
+ */
+
+import { normalizeAmount } from './formula.js';
+import { ingredientsMatch } from './reconcile.js';
+
+/**
+ * Content fingerprint of a formula, used to tell whether a revision is already stored
+ * @param {Object} formula - Parsed formula
+ * @returns {string}
+ */
+export function formulaFingerprint(formula) {
+  return JSON.stringify(formula.sections.map(section => [
+    section.title,
+    section.ingredients.map(ing => [ing.name, ing.amount.value, ing.amount.unit, ing.function]),
+  ]));
+}
+
+/**
+ * Generate a revision ID from a timestamp, e.g. "R-20260115-103000"
+ * @param {Date} date - Save time
+ * @returns {string}
+ */
+export function createRevisionId(date = new Date()) {
+  const pad = n => String(n).padStart(2, '0');
+  return `R-${date.getFullYear()}${pad(date.getMonth() + 1)}${pad(date.getDate())}`
+    + `-${pad(date.getHours())}${pad(date.getMinutes())}${pad(date.getSeconds())}`;
+}
+
+/**
+ * Create a revision from a parsed formula
+ * @param {Object} formula - Parsed formula
+ * @param {{label: string, now: Date}} options - Label (default the formula date) and save time
+ * @returns {{id: string, label: string, savedAt: string, fingerprint: string, formula: Object}}
+ */
+export function createRevision(formula, { label = '', now = new Date() } = {}) {
+  return {
+    id: createRevisionId(now),
+    label: label || formula.date || 'Untitled',
+    savedAt: now.toISOString(),
+    fingerprint: formulaFingerprint(formula),
+    formula,
+  };
+}
+
+/**
+ * Find a revision by ID
+ * @param {Array} revisions - Stored revisions
+ * @param {string} id - Revision ID
+ * @returns {Object|null}
+ */
+export function findRevision(revisions, id) {
+  return revisions.find(r => r.id === id) || null;
+}
+
+/**
+ * Find the stored revision with the same content as a formula
+ * @param {Array} revisions - Stored revisions
+ * @param {Object} formula - Parsed formula
+ * @returns {Object|null}
+ */
+export function findRevisionByContent(revisions, formula) {
+  const fingerprint = formulaFingerprint(formula);
+  return revisions.find(r => r.fingerprint === fingerprint) || null;
+}
+
+/**
+ * Add a revision, refusing duplicates of stored content
+ * An ID already taken (two saves in the same second) gets a "-2", "-3"... suffix
+ * @param {Array} revisions - Stored revisions
+ * @param {Object} revision - Revision (see createRevision)
+ * @returns {{revisions: Array, revision: Object, error: string|null}} - revision is the stored one on duplicates
+ */
+export function addRevision(revisions, revision) {
+  const existing = revisions.find(r => r.fingerprint === revision.fingerprint);
+  if (existing) {
+    return { revisions, revision: existing, error: `Same content as revision "${existing.label}"` };
+  }
+
+  let id = revision.id;
+  for (let n = 2; findRevision(revisions, id); n++) {
+    id = `${revision.id}-${n}`;
+  }
+  const stored = id === revision.id ? revision : { ...revision, id };
+  return { revisions: [...revisions, stored], revision: stored, error: null };
+}
+
+/**
+ * Delete a revision
+ * @param {Array} revisions - Stored revisions
+ * @param {string} id - Revision ID
+ * @returns {Array} - New revisions array
+ */
+export function deleteRevision(revisions, id) {
+  return revisions.filter(r => r.id !== id);
+}
+
+/**
+ * Parse saved revisions, dropping anything malformed
+ * @param {string|null} json - Saved revisions
+ * @returns {Array}
+ */
+export function loadRevisions(json) {
+  try {
+    const revisions = JSON.parse(json || '[]');
+    return Array.isArray(revisions)
+      ? revisions.filter(r => r && r.id && r.formula && Array.isArray(r.formula.sections))
+      : [];
+  } catch (err) {
+    return [];
+  }
+}
+
+/**
+ * Check whether two amounts are the same quantity
+ * @param {Object} a - Amount
+ * @param {Object} b - Amount
+ * @returns {boolean}
+ */
+function sameAmount(a, b) {
+  const qa = normalizeAmount(a);
+  const qb = normalizeAmount(b);
+  return qa !== null && qb !== null && qa.unit === qb.unit && qa.value === qb.value;
+}
+
+/**
+ * Structured diff between two formula revisions, grouped by section
+ * Ingredients are matched by name across sections, so a move shows as a 'section' change
+ * @param {Object} from - Older parsed formula
+ * @param {Object} to - Newer parsed formula
+ * @returns {{sections: Array, summary: {added: number, removed: number, changed: number}}}
+ *   sections: [{title, added: [ing], removed: [ing], changed: [{name, from, to, changes}]}]
+ */
+export function diffFormulas(from, to) {
+  const flatten = formula => formula.sections.flatMap(section =>
+    section.ingredients.map(ing => ({ ...ing, section: section.title })));
+  const before = flatten(from);
+  const after = flatten(to);
+  const groups = new Map();
+  const group = title => {
+    if (!groups.has(title)) groups.set(title, { title, added: [], removed: [], changed: [] });
+    return groups.get(title);
+  };
+
+  // Keep section order: new formula first, then sections that only existed before
+  to.sections.forEach(section => group(section.title));
+  from.sections.forEach(section => group(section.title));
+
+  const matchedBefore = new Set();
+  after.forEach(ing => {
+    const previous = before.find(old => !matchedBefore.has(old) && ingredientsMatch(old.name, ing.name));
+    if (!previous) {
+      group(ing.section).added.push(ing);
+      return;
+    }
+    matchedBefore.add(previous);
+
+    const changes = [];
+    if (!sameAmount(previous.amount, ing.amount)) changes.push('amount');
+    if (previous.function !== ing.function) changes.push('function');
+    if (previous.section !== ing.section) changes.push('section');
+    if (previous.name !== ing.name) changes.push('name');
+    if (changes.length > 0) {
+      group(ing.section).changed.push({ name: ing.name, from: previous, to: ing, changes });
+    }
+  });
+
+  before.filter(old => !matchedBefore.has(old)).forEach(old => group(old.section).removed.push(old));
+
+  const sections = [...groups.values()]
+    .filter(g => g.added.length || g.removed.length || g.changed.length);
+  return {
+    sections,
+    summary: {
+      added: sections.reduce((n, g) => n + g.added.length, 0),
+      removed: sections.reduce((n, g) => n + g.removed.length, 0),
+      changed: sections.reduce((n, g) => n + g.changed.length, 0),
+    },
+  };
+}
+
+export default {
+  formulaFingerprint,
+  createRevisionId,
+  createRevision,
+  findRevision,
+  findRevisionByContent,
+  addRevision,
+  deleteRevision,
+  loadRevisions,
+  diffFormulas,
+};
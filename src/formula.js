@@ -0,0 +1,239 @@
+/**
+ * Formula - Core Logic Module
+ * Parses the LaTeX formula sheet (susuyomichi_current.tex) into structured data
+ */
+
+// Supported amount units and their base unit (volumes in µL, masses in mg)
+export const UNITS = {
+  'µL': { base: 'µL', factor: 1 },
+  mL: { base: 'µL', factor: 1000 },
+  L: { base: 'µL', factor: 1000000 },
+  mg: { base: 'mg', factor: 1 },
+  g: { base: 'mg', factor: 1000 },
+};
+
+// Spellings accepted for each unit (after LaTeX cleanup)
+const UNIT_ALIASES = {
+  'µl': 'µL',
+  'μl': 'µL', // Greek mu (U+03BC)
+  ul: 'µL',
+  ml: 'mL',
+  l: 'L',
+  mg: 'mg',
+  g: 'g',
+};
+
+/**
+ * Convert a LaTeX fragment to plain text
+ * @param {string} text - LaTeX source like "Fresh Ginger CO$_2$" or "Foug\\`ere"
+ * @returns {string} - Plain text like "Fresh Ginger CO2" or "Fougère"
+ */
+export function latexToText(text) {
+  return text
+    .replace(/\$\\mu\$/g, 'µ')
+    .replace(/\$_\{?(\w+)\}?\$/g, '$1')
+    .replace(/\$\\bullet\$/g, '•')
+    .replace(/\\`e/g, 'è')
+    .replace(/\\'e/g, 'é')
+    .replace(/\\textasciitilde\{\}/g, '~')
+    .replace(/\\textasciicircum\{\}/g, '^')
+    .replace(/\\([%&$#_])/g, '$1')
+    .replace(/\\(?:textbf|textit|textcolor\{[^}]*\})\{([^}]*)\}/g, '$1')
+    .replace(/\s+/g, ' ')
+    .trim();
+}
+
+/**
+ * Parse an amount like "300 µL", "1.6 mL" or "2.4 g"
+ * @param {string} text - Amount text (plain or LaTeX)
+ * @returns {{value: number, unit: string} | null} - Amount or null if invalid
+ */
+export function parseAmount(text) {
+  if (!text) return null;
+  const match = latexToText(text).match(/^(\d+(?:[.,]\d+)?)\s*([a-zA-Zµμ]+)$/);
+  if (!match) return null;
+
+  const unit = UNIT_ALIASES[match[2].toLowerCase()];
+  if (!unit) return null;
+
+  return { value: parseFloat(match[1].replace(',', '.')), unit };
+}
+
+/**
+ * Convert an amount to its base unit (µL for volumes, mg for masses)
+ * @param {{value: number, unit: string}} amount - Amount
+ * @returns {{value: number, unit: string} | null} - Normalized amount or null for unknown units
+ */
+export function normalizeAmount(amount) {
+  const unit = amount && UNITS[amount.unit];
+  if (!unit) return null;
+  // Round away floating point noise (1.6 * 1000 = 1600.0000000000002)
+  return { value: Math.round(amount.value * unit.factor * 1e6) / 1e6, unit: unit.base };
+}
+
+/**
+ * Convert an amount to another unit, crossing volume/mass via density
+ * @param {{value: number, unit: string}} amount - Amount
+ * @param {string} unit - Target unit ('µL', 'mL', 'L', 'mg' or 'g')
+ * @param {number|null} density - Density in g/mL, required to convert between volume and mass
+ * @returns {{value: number, unit: string} | null} - Converted amount or null if not convertible
+ */
+export function convertAmount(amount, unit, density = null) {
+  const quantity = normalizeAmount(amount);
+  const target = UNITS[unit];
+  if (!quantity || !target) return null;
+
+  let value = quantity.value;
+  if (quantity.unit !== target.base) {
+    if (!density) return null;
+    // g/mL equals mg/µL
+    value = quantity.unit === 'µL' ? value * density : value / density;
+  }
+  return { value: Math.round((value / target.factor) * 1e6) / 1e6, unit };
+}
+
+/**
+ * Express an amount in the most readable unit of its kind, rounded for the bench
+ * @param {{value: number, unit: string}} amount - Amount
+ * @returns {{value: number, unit: string} | null} - e.g. 1600 µL → 1.6 mL, 475 mg stays mg
+ */
+export function humanizeAmount(amount) {
+  const quantity = normalizeAmount(amount);
+  if (!quantity) return null;
+
+  const [small, large] = quantity.unit === 'µL' ? ['µL', 'mL'] : ['mg', 'g'];
+  if (quantity.value >= 1000) {
+    return { value: Math.round(quantity.value) / 1000, unit: large };
+  }
+  return { value: Math.round(quantity.value * 10) / 10, unit: small };
+}
+
+/**
+ * Format an amount for display
+ * @param {{value: number, unit: string}} amount - Amount
+ * @returns {string} - e.g. "450 µL"
+ */
+export function formatAmount(amount) {
+  return `${amount.value} ${amount.unit}`;
+}
+
+/**
+ * Parse a section heading like "I. Animalic Base" or "\\textcolor{tentative}{Pending}"
+ * @param {string} heading - Contents of \section*{...}
+ * @returns {{id: string | null, title: string, tentative: boolean}}
+ */
+export function parseSectionHeading(heading) {
+  const tentative = heading.includes('\\textcolor{tentative}');
+  const text = latexToText(heading);
+  const match = text.match(/^([IVXLC]+)\.\s+(.+)$/);
+  return match
+    ? { id: match[1], title: match[2], tentative }
+    : { id: null, title: text, tentative };
+}
+
+/**
+ * Split a tabular row into plain-text cells
+ * @param {string} row - LaTeX row without the trailing \\
+ * @returns {string[]}
+ */
+function splitRow(row) {
+  return row.split(/(?<!\\)&/).map(cell => cell.trim());
+}
+
+/**
+ * Parse the LaTeX formula sheet
+ * @param {string} tex - Contents of susuyomichi_current.tex
+ * @returns {{title: string, description: string, date: string, sections: Array, errors: Array}}
+ */
+export function parseFormula(tex) {
+  const lines = tex.split(/\r?\n/);
+  const formula = { title: '', description: '', date: '', sections: [], errors: [] };
+
+  const titleMatch = tex.match(/\\Large\s+\\textbf\{([^}]*)\}/);
+  if (titleMatch) formula.title = latexToText(titleMatch[1]);
+
+  const subtitleMatch = tex.match(/\{\\small\s+(.*)\}\s*$/m);
+  if (subtitleMatch) {
+    const [description, date = ''] = subtitleMatch[1].split(/\s*\$\\bullet\$\s*/);
+    formula.description = latexToText(description);
+    formula.date = latexToText(date);
+  }
+
+  let section = null;
+  let columns = null; // Header cells of the current table, null outside an ingredient table
+
+  lines.forEach((line, index) => {
+    const trimmed = line.trim();
+
+    const sectionMatch = trimmed.match(/^\\section\*\{(.*)\}$/);
+    if (sectionMatch) {
+      section = { ...parseSectionHeading(sectionMatch[1]), ingredients: [] };
+      columns = null;
+      return;
+    }
+
+    if (!section || !trimmed.endsWith('\\\\')) return;
+    const cells = splitRow(trimmed.slice(0, -2));
+
+    // Header row decides whether this table lists ingredients
+    if (columns === null && cells.some(c => c.startsWith('\\textbf'))) {
+      columns = cells.map(c => latexToText(c).toLowerCase());
+      if (columns.includes('amount')) {
+        formula.sections.push(section);
+      } else {
+        columns = [];
+      }
+      return;
+    }
+
+    if (!columns || !columns.includes('amount')) return;
+
+    const row = {};
+    columns.forEach((column, i) => {
+      row[column] = latexToText(cells[i] || '');
+    });
+
+    const amount = parseAmount(row.amount);
+    if (!row.ingredient || !amount) {
+      formula.errors.push({ line: index + 1, message: `Could not parse row "${trimmed}"` });
+      return;
+    }
+
+    const ingredient = {
+      name: row.ingredient,
+      amount,
+      quantity: normalizeAmount(amount),
+      function: row.function || '',
+      tentative: section.tentative || cells[0].includes('\\textcolor{tentative}'),
+    };
+    if (row.status) ingredient.status = row.status;
+    section.ingredients.push(ingredient);
+  });
+
+  return formula;
+}
+
+/**
+ * Flatten a parsed formula into a list of ingredients tagged with their section
+ * @param {Object} formula - Parsed formula
+ * @param {{includeTentative: boolean}} options - Whether to include pending ingredients
+ * @returns {Array} - Ingredients with a `section` title
+ */
+export function listIngredients(formula, { includeTentative = false } = {}) {
+  return formula.sections
+    .flatMap(section => section.ingredients.map(ing => ({ ...ing, section: section.title })))
+    .filter(ing => includeTentative || !ing.tentative);
+}
+
+export default {
+  UNITS,
+  latexToText,
+  parseAmount,
+  normalizeAmount,
+  convertAmount,
+  humanizeAmount,
+  formatAmount,
+  parseSectionHeading,
+  parseFormula,
+  listIngredients,
+};
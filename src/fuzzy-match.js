@@ -0,0 +1,176 @@
+/**
+ * Fuzzy Match - Core Logic Module
+ * Ranked, typo-tolerant ingredient name matching: names are compared word by word after
+ * normalizing hyphens, strengths and material suffixes ("EO", "CO2", "absolute"), allowing
+ * a few edits per word
+ */
+
+import { normalizeIngredientName } from './reconcile.js';
+
+// Words naming the form of a material rather than the material: "Vetiver EO" is vetiver
+export const MATERIAL_SUFFIXES = ['eo', 'co2', 'absolute', 'abs', 'resinoid', 'concrete', 'extract', 'oil', 'tincture'];
+
+// Lowest score that still counts as a match
+export const MIN_SCORE = 0.5;
+
+// Word scores: exact, prefix of a longer word ("muscon" → "muscone"), within edit distance
+const EXACT_SCORE = 1;
+const PREFIX_SCORE = 0.9;
+const TYPO_SCORE = 0.85;
+const TYPO_PREFIX_SCORE = 0.75;
+const SUBSTRING_SCORE = 0.6;
+
+/**
+ * Split a name into normalized words
+ * "C-12", "C 12" and "C12" all become "c12"; strengths and parenthetical notes are dropped
+ * (see normalizeIngredientName); "essential oil" is written "eo" and "abs" "absolute".
+ * @param {string} name - Ingredient name like "Aldehyde C-12 MNA"
+ * @returns {{core: string[], suffixes: string[]}} - Material words and suffix words
+ */
+export function normalizeTokens(name) {
+  const words = normalizeIngredientName((name || '').replace(/essential\s+oil/gi, 'EO'));
+  const merged = [];
+  words.forEach(word => {
+    const previous = merged[merged.length - 1];
+    if (previous && /^[a-z]{1,2}$/.test(previous) && /^\d+$/.test(word)) {
+      merged[merged.length - 1] = previous + word;
+    } else {
+      merged.push(word === 'abs' ? 'absolute' : word);
+    }
+  });
+
+  const core = merged.filter(w => !MATERIAL_SUFFIXES.includes(w));
+  // A name made only of suffix words ("Absolute") is its own material
+  return core.length > 0
+    ? { core, suffixes: merged.filter(w => MATERIAL_SUFFIXES.includes(w)) }
+    : { core: merged, suffixes: [] };
+}
+
+/**
+ * Edit distance counting insertions, deletions, substitutions and swaps of neighbours
+ * @param {string} a - Word
+ * @param {string} b - Word
+ * @returns {number}
+ */
+export function editDistance(a, b) {
+  const d = Array.from({ length: a.length + 1 }, (_, i) => [i, ...Array(b.length).fill(0)]);
+  for (let j = 1; j <= b.length; j++) d[0][j] = j;
+
+  for (let i = 1; i <= a.length; i++) {
+    for (let j = 1; j <= b.length; j++) {
+      const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+      d[i][j] = Math.min(d[i - 1][j] + 1, d[i][j - 1] + 1, d[i - 1][j - 1] + cost);
+      if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+        d[i][j] = Math.min(d[i][j], d[i - 2][j - 2] + 1);
+      }
+    }
+  }
+  return d[a.length][b.length];
+}
+
+/**
+ * Number of typos tolerated in a word of this length
+ * @param {number} length - Word length
+ * @returns {number}
+ */
+function allowedEdits(length) {
+  if (length <= 3) return 0;
+  return length <= 6 ? 1 : 2;
+}
+
+/**
+ * Score how well a typed word matches a word of a name
+ * @param {string} typed - Normalized query word
+ * @param {string} word - Normalized name word
+ * @returns {number} - 0 for no match
+ */
+function wordScore(typed, word) {
+  if (typed === word) return EXACT_SCORE;
+  if (typed.length >= 2 && word.startsWith(typed)) return PREFIX_SCORE;
+
+  const allowed = allowedEdits(typed.length);
+  if (allowed === 0) return 0;
+  const distance = editDistance(typed, word);
+  if (distance <= allowed) return TYPO_SCORE * (1 - distance / Math.max(typed.length, word.length));
+  if (word.length > typed.length) {
+    const prefixDistance = editDistance(typed, word.slice(0, typed.length));
+    if (prefixDistance <= allowed) return TYPO_PREFIX_SCORE * (1 - prefixDistance / typed.length);
+  }
+  return 0;
+}
+
+/**
+ * Score how well a query matches a name
+ * Every query word must match a different word of the name; names with fewer extra words,
+ * and names starting with the first query word, score higher. Suffixes only matter when
+ * typed ("vetiver co2" prefers "Vetiver CO2" to "Vetiver EO"). Text found verbatim in the
+ * name always matches.
+ * @param {string} query - Typed text, e.g. "dl muscone" or "C12 MNA"
+ * @param {string} name - Ingredient name, e.g. "dl-Muscone 100%"
+ * @returns {number} - 0 (no match) to 1 (same name)
+ */
+export function fuzzyScore(query, name) {
+  const typed = normalizeTokens(query);
+  const target = normalizeTokens(name);
+  const verbatim = query.trim() !== '' && name.toLowerCase().includes(query.trim().toLowerCase()) ? SUBSTRING_SCORE : 0;
+  if (typed.core.length === 0 || typed.core.length > target.core.length) return verbatim;
+
+  // Greedy: each query word takes its best unused word of the name
+  const used = [];
+  let total = 0;
+  for (const word of typed.core) {
+    let best = 0;
+    let bestIndex = -1;
+    target.core.forEach((candidate, i) => {
+      if (used.includes(i)) return;
+      const score = wordScore(word, candidate);
+      if (score > best) {
+        best = score;
+        bestIndex = i;
+      }
+    });
+    if (bestIndex === -1) return verbatim;
+    used.push(bestIndex);
+    total += best;
+  }
+
+  const coverage = typed.core.length / target.core.length;
+  const missingSuffixes = typed.suffixes.filter(s => !target.suffixes.includes(s)).length;
+  const start = used[0] === 0 ? 1 : 0.95;
+  const score = (total / typed.core.length) * (0.8 + 0.2 * coverage) * start * 0.9 ** missingSuffixes;
+  return Math.max(+score.toFixed(4), verbatim);
+}
+
+/**
+ * Rank items by how well any of their names matches a query
+ * @param {string} query - Typed text
+ * @param {Array} items - Items to rank
+ * @param {{names: Function, limit: number, minScore: number}} options - names(item) lists the
+ *   names to try (default: the item itself), most results, lowest score kept
+ * @returns {Array<{item: *, name: string, score: number}>} - Best first; ties keep item order
+ */
+export function rankMatches(query, items, { names = item => [item], limit = Infinity, minScore = MIN_SCORE } = {}) {
+  if (!query || query.trim() === '') return [];
+  return items
+    .map((item, index) => {
+      let best = { item, name: null, score: 0, index };
+      names(item).forEach(name => {
+        const score = fuzzyScore(query, name);
+        if (score > best.score) best = { item, name, score, index };
+      });
+      return best;
+    })
+    .filter(match => match.score >= minScore)
+    .sort((a, b) => b.score - a.score || a.index - b.index)
+    .slice(0, limit)
+    .map(({ item, name, score }) => ({ item, name, score }));
+}
+
+export default {
+  MATERIAL_SUFFIXES,
+  MIN_SCORE,
+  normalizeTokens,
+  editDistance,
+  fuzzyScore,
+  rankMatches,
+};
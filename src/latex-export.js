@@ -0,0 +1,160 @@
+/**
+ * LaTeX Export - Core Logic Module
+ * Writes a parsed formula back out as a .tex sheet in the style of susuyomichi_current.tex
+ */
+
+import { formatAmount } from './formula.js';
+import { locateTips } from './compounding.js';
+import { findBox } from './boxes.js';
+
+// Preamble shared with susuyomichi_current.tex (page colors, fancyhdr headers, booktabs tables)
+export const LATEX_PREAMBLE = String.raw`\documentclass[10pt]{article}
+\usepackage{array}
+\usepackage{booktabs}
+\usepackage{longtable}
+\usepackage[margin=0.75in]{geometry}
+\usepackage{xcolor}
+\usepackage{fancyhdr}
+
+\definecolor{inkblack}{HTML}{050505}
+\definecolor{paperwhite}{HTML}{f0f0f0}
+\definecolor{fadedgold}{HTML}{8a7e56}
+\definecolor{tentative}{HTML}{888888}
+
+\pagecolor{paperwhite}
+\color{inkblack}`;
+
+// Column layouts; the location column takes width from Function so tables still fit the margins
+const COLUMNS = {
+  plain: '@{}p{5.5cm}rp{6cm}@{}',
+  withLocation: '@{}p{5cm}rp{4.5cm}p{3cm}@{}',
+};
+
+// Special characters LaTeX has no backslash escape for
+const LATEX_WORDS = {
+  '\\': '\\textbackslash{}',
+  '~': '\\textasciitilde{}',
+  '^': '\\textasciicircum{}',
+};
+
+/**
+ * Convert plain text to a LaTeX fragment (inverse of latexToText)
+ * @param {string} text - Plain text like "Fresh Ginger CO2" or "Woods & Resins"
+ * @returns {string} - LaTeX like "Fresh Ginger CO$_2$" or "Woods \\& Resins"
+ */
+export function escapeLatex(text) {
+  return String(text)
+    .replace(/[\\%&$#_{}~^]/g, ch => LATEX_WORDS[ch] || `\\${ch}`)
+    .replace(/[µμ]/g, '$\\mu$')
+    .replace(/è/g, '\\`e')
+    .replace(/é/g, "\\'e")
+    .replace(/\bCO2\b/g, 'CO$_2$');
+}
+
+/**
+ * Describe where an ingredient's tips are, e.g. "10 $\mu$L A1, 100 $\mu$L B3"
+ * @param {Array} tips - Tips array
+ * @param {Object} ingredient - Formula ingredient {name, amount}
+ * @param {Array} boxes - Boxes array; tips in a known box show its name instead of the tip size
+ * @param {Array} catalog - Catalog entries, so tips linked to an entry are found under its aliases
+ * @returns {string} - LaTeX cell text, "---" when no tip exists
+ */
+export function formatTipLocation(tips, ingredient, boxes = [], catalog = []) {
+  const located = locateTips(tips, ingredient.name, ingredient.amount, catalog);
+  if (located.length === 0) return '---';
+  return located.map((t) => {
+    const box = findBox(boxes, t.box);
+    const where = box ? escapeLatex(box.name) : `${t.tipSize} $\\mu$L`;
+    return `${where} ${escapeLatex(t.coord)}`;
+  }).join(', ');
+}
+
+/**
+ * Render one formula section as \section* plus a booktabs table
+ * @param {Object} section - Parsed section
+ * @param {Array|null} tips - Tips array, or null to leave out the location column
+ * @param {Array} boxes - Boxes array, for box names in the location column
+ * @param {Array} catalog - Catalog entries, for finding tips in the location column
+ * @returns {string}
+ */
+function renderSection(section, tips, boxes, catalog) {
+  const heading = escapeLatex(section.id ? `${section.id}. ${section.title}` : section.title);
+  const tentative = cell => `\\textcolor{tentative}{${cell}}`;
+  const hasStatus = section.ingredients.some(ing => ing.status);
+
+  const header = ['Ingredient', 'Amount', hasStatus ? 'Status' : 'Function'];
+  if (tips) header.push('Location');
+
+  const rows = section.ingredients.map(ing => {
+    const cells = [
+      escapeLatex(ing.name),
+      escapeLatex(formatAmount(ing.amount)),
+      escapeLatex(hasStatus ? ing.status || '' : ing.function),
+    ];
+    if (tips) cells.push(formatTipLocation(tips, ing, boxes, catalog));
+    return `${cells.map(cell => (ing.tentative ? tentative(cell) : cell)).join(' & ')} \\\\`;
+  });
+
+  return [
+    `\\section*{${section.tentative ? tentative(heading) : heading}}`,
+    `\\begin{tabular}{${tips ? COLUMNS.withLocation : COLUMNS.plain}}`,
+    '\\toprule',
+    `${header.map(h => `\\textbf{${h}}`).join(' & ')} \\\\`,
+    '\\midrule',
+    ...rows,
+    '\\bottomrule',
+    '\\end{tabular}',
+  ].join('\n');
+}
+
+/**
+ * Generate a .tex formula sheet from a parsed formula
+ * @param {Object} formula - Parsed formula (see parseFormula)
+ * @param {{tips: Array|null, boxes: Array, catalog: Array}} options - Tips to add a location column for
+ *   (null to leave it out), their boxes and the catalog used to find them
+ * @returns {string} - LaTeX document
+ */
+export function exportFormulaTex(formula, { tips = null, boxes = [], catalog = [] } = {}) {
+  // Header splits "煤夜道 Susuyomichi" into the left (kanji) and right (romaji) running heads
+  const [left, ...rest] = formula.title.split(' ');
+  const right = rest.join(' ') || left;
+  const subtitle = [formula.description, formula.date].filter(Boolean).map(escapeLatex).join(' $\\bullet$ ');
+
+  const body = formula.sections.map((section, i) => {
+    // Pending sections sit a little further apart, as in the hand-written sheet
+    const spacing = i === 0 ? '' : `\\vspace{${section.tentative ? '1.5em' : '1em'}}\n\n`;
+    return spacing + renderSection(section, tips, boxes, catalog);
+  });
+
+  return `${LATEX_PREAMBLE}
+
+\\pagestyle{fancy}
+\\fancyhf{}
+\\rhead{\\textit{${escapeLatex(right)}}}
+\\lhead{\\textit{${escapeLatex(left)}}}
+\\rfoot{\\thepage}
+
+\\setlength{\\parindent}{0pt}
+\\renewcommand{\\arraystretch}{1.1}
+
+\\begin{document}
+
+\\begin{center}
+{\\Large \\textbf{${escapeLatex(formula.title)}}}\\\\[0.3em]
+{\\small ${subtitle}}
+\\end{center}
+
+\\vspace{1em}
+
+${body.join('\n\n')}
+
+\\end{document}
+`;
+}
+
+export default {
+  LATEX_PREAMBLE,
+  escapeLatex,
+  formatTipLocation,
+  exportFormulaTex,
+};
@@ -0,0 +1,101 @@
+/**
+ * Pipetting - Core Logic Module
+ * Recommends a tip size and number of aspirations for each formula amount
+ */
+
+import { normalizeAmount, formatAmount } from './formula.js';
+import { TIP_SIZES } from './box-layouts.js';
+
+export const PIPETTE_LIMITS = {
+  tipSizes: TIP_SIZES, // Available tip racks in µL (see BOX_LAYOUTS)
+  minVolume: 1, // µL - below this no tip dispenses accurately
+  maxVolume: 10000, // µL - above this measure with a cylinder or balance instead
+  minFraction: 0.1, // A tip is accurate from 10% to 100% of its nominal volume
+};
+
+/**
+ * Work out which tip to use for an amount and how many aspirations it takes
+ * @param {{value: number, unit: string}} amount - Amount like {value: 450, unit: 'µL'}
+ * @param {{tipSizes: number[], density: number}} options - Available tip sizes, density in g/mL for mass amounts
+ * @returns {{tipSize: number|null, draws: number, volumePerDraw: number, volume: number|null, dispensable: boolean, issue: string|null}}
+ */
+export function planDispense(amount, options = {}) {
+  const { tipSizes = PIPETTE_LIMITS.tipSizes, density = null } = options;
+  const fail = (issue, volume = null) => ({
+    tipSize: null, draws: 0, volumePerDraw: 0, volume, dispensable: false, issue,
+  });
+
+  const quantity = normalizeAmount(amount);
+  if (!quantity) return fail(`Unknown unit "${amount && amount.unit}"`);
+
+  let volume = quantity.value;
+  if (quantity.unit === 'mg') {
+    if (!density) return fail('Mass amount: weigh on a balance or supply a density');
+    volume = quantity.value / density; // mg / (mg/µL)
+  }
+  volume = Math.round(volume * 1000) / 1000;
+
+  if (volume < PIPETTE_LIMITS.minVolume) {
+    return fail(`Below ${PIPETTE_LIMITS.minVolume} µL: pre-dilute before dispensing`, volume);
+  }
+  if (volume > PIPETTE_LIMITS.maxVolume) {
+    return fail(`Above ${PIPETTE_LIMITS.maxVolume / 1000} mL: measure with a cylinder or balance`, volume);
+  }
+
+  const sizes = [...tipSizes].sort((a, b) => a - b);
+
+  // Smallest tip that dispenses the whole amount in one accurate draw
+  const single = sizes.find(size => volume <= size && volume >= size * PIPETTE_LIMITS.minFraction);
+  if (single) {
+    return { tipSize: single, draws: 1, volumePerDraw: volume, volume, dispensable: true, issue: null };
+  }
+
+  // Otherwise split evenly across draws of the largest tip
+  const largest = sizes[sizes.length - 1];
+  if (volume < largest) {
+    return fail(`No tip accurate at ${volume} µL`, volume);
+  }
+  const draws = Math.ceil(volume / largest);
+  return {
+    tipSize: largest,
+    draws,
+    volumePerDraw: Math.round((volume / draws) * 1000) / 1000,
+    volume,
+    dispensable: true,
+    issue: null,
+  };
+}
+
+/**
+ * Build a pipetting plan for a list of formula ingredients
+ * @param {Array} ingredients - Formula ingredients (see listIngredients)
+ * @param {{tipSizes: number[], densities: Object}} options - Tip sizes, densities keyed by ingredient name
+ * @returns {Array} - One plan line per ingredient: {name, section, amount, tipSize, draws, ...}
+ */
+export function createPipettingPlan(ingredients, options = {}) {
+  const { densities = {}, ...dispenseOptions } = options;
+  return ingredients.map(ing => ({
+    name: ing.name,
+    section: ing.section,
+    amount: ing.amount,
+    ...planDispense(ing.amount, { ...dispenseOptions, density: densities[ing.name] || null }),
+  }));
+}
+
+/**
+ * Describe a plan line for display, e.g. "5 × 90 µL (100 µL tip)"
+ * @param {Object} line - Result of planDispense
+ * @returns {string}
+ */
+export function describeDispense(line) {
+  if (!line.dispensable) return line.issue;
+  const draw = formatAmount({ value: line.volumePerDraw, unit: 'µL' });
+  return `${line.draws} × ${draw} (${line.tipSize} µL tip)`;
+}
+
+export default {
+  PIPETTE_LIMITS,
+  planDispense,
+  createPipettingPlan,
+  describeDispense,
+};
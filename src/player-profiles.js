@@ -0,0 +1,154 @@
+/**
+ * Player Profiles - Core Logic Module
+ * People sharing the tracker: each profile earns game tokens from the tips it adds and
+ * spends them on Pong matches, including head-to-head matches between two profiles
+ */
+
+import { recordTipAdded, consumeToken } from './tip-tracker.js';
+
+export const DEFAULT_PLAYER_NAME = 'Player 1';
+const MAX_NAME_LENGTH = 24; // Fits a Pong label
+
+/**
+ * Find a profile by ID
+ * @param {Array} profiles - Profiles
+ * @param {string} id - Profile ID
+ * @returns {Object|null}
+ */
+export function findProfile(profiles, id) {
+  return profiles.find(p => p.id === id) || null;
+}
+
+/**
+ * Create a profile and add it to the list
+ * @param {Array} profiles - Profiles
+ * @param {string} name - Display name
+ * @param {{tokens: number, tipsAdded: number}} counters - Starting token and tip counts
+ * @returns {{profiles: Array, profile: Object|null, error: string|null}}
+ */
+export function createProfile(profiles, name, { tokens = 0, tipsAdded = 0 } = {}) {
+  const cleaned = (name || '').trim();
+  if (!cleaned) return { profiles, profile: null, error: 'Player name is required' };
+  if (cleaned.length > MAX_NAME_LENGTH) {
+    return { profiles, profile: null, error: `Player name must be at most ${MAX_NAME_LENGTH} characters` };
+  }
+  if (profiles.some(p => p.name.toLowerCase() === cleaned.toLowerCase())) {
+    return { profiles, profile: null, error: `A player named "${cleaned}" already exists` };
+  }
+
+  // IDs follow the name: profile-ana, profile-ana-2, ...
+  const slug = cleaned.toLowerCase().replace(/[^a-z0-9]+/g, '-').replace(/^-|-$/g, '') || 'player';
+  let id = `profile-${slug}`;
+  for (let n = 2; findProfile(profiles, id); n++) id = `profile-${slug}-${n}`;
+
+  const profile = { id, name: cleaned, tokens: Math.max(0, tokens), tipsAdded: Math.max(0, tipsAdded) };
+  return { profiles: [...profiles, profile], profile, error: null };
+}
+
+/**
+ * Remove a profile; the last one stays so tips still earn tokens
+ * @param {Array} profiles - Profiles
+ * @param {string} id - Profile ID
+ * @returns {{profiles: Array, error: string|null}}
+ */
+export function removeProfile(profiles, id) {
+  if (!findProfile(profiles, id)) return { profiles, error: `Player ${id} not found` };
+  if (profiles.length === 1) return { profiles, error: 'The last player cannot be removed' };
+  return { profiles: profiles.filter(p => p.id !== id), error: null };
+}
+
+/**
+ * Count a tip added by a profile, awarding a token every tipsPerToken tips
+ * @param {Array} profiles - Profiles
+ * @param {string} id - Profile ID of whoever added the tip
+ * @param {number} tipsPerToken - Tips required per token
+ * @returns {{profiles: Array, earned: boolean}}
+ */
+export function recordProfileTip(profiles, id, tipsPerToken) {
+  const profile = findProfile(profiles, id);
+  if (!profile) return { profiles, earned: false };
+  const { tipsAdded, tokens, earned } = recordTipAdded(profile, tipsPerToken);
+  return { profiles: profiles.map(p => (p.id === id ? { ...p, tipsAdded, tokens } : p)), earned };
+}
+
+/**
+ * Check that every player of a match has a token to spend
+ * @param {Array} profiles - Profiles
+ * @param {Array<string>} ids - Profile IDs of the players
+ * @returns {string|null} - Error naming the first player who cannot play, or null
+ */
+export function checkCanPlay(profiles, ids) {
+  for (const id of ids) {
+    const profile = findProfile(profiles, id);
+    if (!profile) return `Player ${id} not found`;
+    if (profile.tokens < 1) return `${profile.name} has no game tokens`;
+  }
+  return null;
+}
+
+/**
+ * Deduct one token from each player of a finished match
+ * Nobody is charged unless everyone can pay.
+ * @param {Array} profiles - Profiles
+ * @param {Array<string>} ids - Profile IDs of the players
+ * @returns {{profiles: Array, error: string|null}}
+ */
+export function chargeMatch(profiles, ids) {
+  const error = checkCanPlay(profiles, ids);
+  if (error) return { profiles, error };
+  return {
+    profiles: profiles.map(p => (ids.includes(p.id) ? { ...p, tokens: consumeToken(p.tokens).tokens } : p)),
+    error: null,
+  };
+}
+
+/**
+ * Profiles to use, creating the first one from the counters kept before profiles existed
+ * @param {{activeId: string|null, profiles: Array}} stored - Stored profiles (see loadPlayerProfiles)
+ * @param {{tokens: number, tipsAdded: number}} legacy - pongTokens and tipsAddedCount
+ * @returns {{activeId: string, profiles: Array}} - At least one profile, with a valid activeId
+ */
+export function withDefaultProfile(stored, legacy) {
+  let { profiles } = stored;
+  if (profiles.length === 0) {
+    ({ profiles } = createProfile([], DEFAULT_PLAYER_NAME, legacy));
+  }
+  const activeId = findProfile(profiles, stored.activeId) ? stored.activeId : profiles[0].id;
+  return { activeId, profiles };
+}
+
+/**
+ * Parse stored profiles
+ * @param {string|null} json - Stored JSON
+ * @returns {{activeId: string|null, profiles: Array}} - Malformed profiles dropped; activeId is
+ *   whoever earns tokens for tips added (null when unknown)
+ */
+export function loadPlayerProfiles(json) {
+  try {
+    const stored = JSON.parse(json || 'null') || {};
+    const profiles = (Array.isArray(stored.profiles) ? stored.profiles : [])
+      .filter(p => p && typeof p.id === 'string' && typeof p.name === 'string' && p.name.trim() !== '')
+      .filter((p, i, all) => all.findIndex(other => other.id === p.id) === i)
+      .map(p => ({
+        id: p.id,
+        name: p.name.trim(),
+        tokens: Number.isInteger(p.tokens) && p.tokens > 0 ? p.tokens : 0,
+        tipsAdded: Number.isInteger(p.tipsAdded) && p.tipsAdded > 0 ? p.tipsAdded : 0,
+      }));
+    return { activeId: findProfile(profiles, stored.activeId) ? stored.activeId : null, profiles };
+  } catch (err) {
+    return { activeId: null, profiles: [] };
+  }
+}
+
+export default {
+  DEFAULT_PLAYER_NAME,
+  findProfile,
+  createProfile,
+  removeProfile,
+  recordProfileTip,
+  checkCanPlay,
+  chargeMatch,
+  withDefaultProfile,
+  loadPlayerProfiles,
+};
@@ -15,33 +15,250 @@ export const PONG_CONFIG = {
   ballSpeedIncrement: 0.15,
   ballSpeedMax: 8,
   pointsToWin: 5,
+  roundsToWin: 2, // Best of 3
   countdownSeconds: 3,
+  roundBreakSeconds: 2,
+  serveDelaySeconds: 0.5,
 };
 
+// Length of one simulation step: the game always advances in whole 60fps frames
+export const STEP_SECONDS = 1 / 60;
+
+// AI presets: seconds between re-aiming, aiming error (±px) and speed relative to the player
+export const AI_DIFFICULTIES = [
+  { id: 'easy', name: 'Easy', description: 'Slow and sloppy', reactionSeconds: 0.25, aimError: 35, speedFactor: 0.7 },
+  { id: 'normal', name: 'Normal', description: 'Beatable but challenging', reactionSeconds: 0.1, aimError: 15, speedFactor: 0.9 },
+  { id: 'hard', name: 'Hard', description: 'Quick, precise and faster than you', reactionSeconds: 0.03, aimError: 6, speedFactor: 1.05 },
+  { id: 'lab-tired', name: 'Lab-tired', description: 'End of a long compounding day', reactionSeconds: 0.45, aimError: 55, speedFactor: 0.55 },
+];
+
+export const DEFAULT_DIFFICULTY = 'normal';
+
+// Who serves after a point: the ball always leaves the center toward the server's opponent
+export const SERVE_RULES = [
+  { id: 'random', name: 'Random direction' },
+  { id: 'alternate', name: 'Alternate every point' },
+  { id: 'winner', name: 'Point winner serves' },
+  { id: 'loser', name: 'Point loser serves' },
+];
+
+// Match rules used when a game is created without its own
+export const DEFAULT_MATCH_RULES = {
+  pointsToWin: PONG_CONFIG.pointsToWin, // Points per round
+  roundsToWin: PONG_CONFIG.roundsToWin, // Rounds per match
+  winByTwo: false, // Round continues until one side leads by two
+  serve: 'random', // SERVE_RULES ID
+  countdownSeconds: PONG_CONFIG.countdownSeconds,
+  roundBreakSeconds: PONG_CONFIG.roundBreakSeconds,
+  serveDelaySeconds: PONG_CONFIG.serveDelaySeconds,
+};
+
+// Match formats offered on the page; rules not given come from DEFAULT_MATCH_RULES
+export const MATCH_FORMATS = [
+  { id: 'best-of-3', name: 'Best of 3', rules: {} },
+  { id: 'quick', name: 'Quick game', rules: { roundsToWin: 1 } },
+  { id: 'classic', name: 'Classic to 11', rules: { roundsToWin: 1, pointsToWin: 11, winByTwo: true, serve: 'alternate' } },
+];
+
+export const DEFAULT_MATCH_FORMAT = 'best-of-3';
+
+// Who plays the right paddle: the AI, or a second player on the same device
+export const PLAY_MODES = [
+  { id: 'ai', name: 'vs AI' },
+  { id: 'versus', name: 'Two players' },
+];
+
+// Gamepad stick travel ignored around the center
+export const GAMEPAD_DEADZONE = 0.3;
+
+// Adaptive AI: each point of lead (up to ADAPTIVE_MAX_LEAD) scales the AI by ADAPTIVE_STEP
+export const ADAPTIVE_STEP = 0.1;
+export const ADAPTIVE_MAX_LEAD = 3;
+
+/**
+ * Pick a new random seed
+ * The only use of Math.random: everything after the seed is reproducible.
+ * @returns {number} - Unsigned 32-bit seed
+ */
+export function createSeed() {
+  return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+/**
+ * Draw a number from a seeded generator (mulberry32)
+ * The generator state is a plain number kept in the game state, so a state can be
+ * copied, stored and replayed.
+ * @param {number} rng - Generator state (a seed to start)
+ * @returns {{value: number, rng: number}} - Number in [0, 1) and the next generator state
+ */
+export function nextRandom(rng) {
+  const next = (rng + 0x6d2b79f5) >>> 0;
+  let t = next;
+  t = Math.imul(t ^ (t >>> 15), t | 1);
+  t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+  return { value: ((t ^ (t >>> 14)) >>> 0) / 0x100000000, rng: next };
+}
+
+/**
+ * Create a ball resting at the center of the court
+ * @returns {Object} - Ball state {x, y, vx, vy, speed}
+ */
+export function createCenteredBall() {
+  return {
+    x: PONG_CONFIG.width / 2 - PONG_CONFIG.ballSize / 2,
+    y: PONG_CONFIG.height / 2 - PONG_CONFIG.ballSize / 2,
+    vx: 0,
+    vy: 0,
+    speed: PONG_CONFIG.ballSpeedInitial,
+  };
+}
+
+/**
+ * Find an AI difficulty
+ * Custom settings ({reactionSeconds, aimError, speedFactor}, any of them) fill in from Normal.
+ * @param {string|Object} difficulty - Preset ID or custom settings
+ * @returns {Object} - Difficulty {id, name, reactionSeconds, aimError, speedFactor}
+ */
+export function findDifficulty(difficulty) {
+  const normal = AI_DIFFICULTIES.find(d => d.id === DEFAULT_DIFFICULTY);
+  if (typeof difficulty === 'string') {
+    return AI_DIFFICULTIES.find(d => d.id === difficulty) || normal;
+  }
+  if (!difficulty || typeof difficulty !== 'object') return normal;
+
+  const custom = { ...normal, id: 'custom', name: 'Custom', description: '' };
+  ['reactionSeconds', 'aimError', 'speedFactor'].forEach(key => {
+    if (Number.isFinite(difficulty[key]) && difficulty[key] >= 0) custom[key] = difficulty[key];
+  });
+  return custom;
+}
+
+/**
+ * Tighten or loosen the AI by the score difference
+ * A player lead makes the AI react sooner, aim better and move faster; an AI lead eases off.
+ * @param {Object} difficulty - Difficulty (see findDifficulty)
+ * @param {number} lead - Player points minus AI points
+ * @returns {Object} - Adjusted difficulty
+ */
+export function adaptDifficulty(difficulty, lead) {
+  const clamped = Math.max(-ADAPTIVE_MAX_LEAD, Math.min(ADAPTIVE_MAX_LEAD, lead));
+  const factor = 1 + ADAPTIVE_STEP * clamped;
+  return {
+    ...difficulty,
+    reactionSeconds: difficulty.reactionSeconds / factor,
+    aimError: difficulty.aimError / factor,
+    speedFactor: difficulty.speedFactor * factor,
+  };
+}
+
+/**
+ * AI settings in effect for the current score
+ * @param {Object} state - Game state
+ * @returns {Object} - Difficulty, adapted when the game is adaptive
+ */
+export function currentDifficulty(state) {
+  const { adaptive, ...difficulty } = state.aiSettings;
+  return adaptive ? adaptDifficulty(difficulty, state.score.player - state.score.ai) : difficulty;
+}
+
+/**
+ * Check match rules, filling in defaults
+ * @param {Object} rules - Some or all of DEFAULT_MATCH_RULES
+ * @returns {{rules: Object|null, error: string|null}}
+ */
+export function createMatchRules(rules = {}) {
+  const merged = { ...DEFAULT_MATCH_RULES, ...rules };
+  if (!Number.isInteger(merged.pointsToWin) || merged.pointsToWin < 1) {
+    return { rules: null, error: 'Points per round must be a whole number of at least 1' };
+  }
+  if (!Number.isInteger(merged.roundsToWin) || merged.roundsToWin < 1) {
+    return { rules: null, error: 'Rounds to win must be a whole number of at least 1' };
+  }
+  if (!SERVE_RULES.some(r => r.id === merged.serve)) {
+    return { rules: null, error: `Unknown serve rule "${merged.serve}"` };
+  }
+  const timer = ['countdownSeconds', 'roundBreakSeconds', 'serveDelaySeconds'].find(key => !(merged[key] >= 0));
+  if (timer) {
+    return { rules: null, error: `${timer} must be 0 or more` };
+  }
+  return { rules: { ...merged, winByTwo: merged.winByTwo === true }, error: null };
+}
+
+/**
+ * Rules of a match format
+ * @param {string} id - MATCH_FORMATS ID (the default format when unknown)
+ * @returns {Object} - Match rules
+ */
+export function matchFormatRules(id) {
+  const format = MATCH_FORMATS.find(f => f.id === id) || MATCH_FORMATS.find(f => f.id === DEFAULT_MATCH_FORMAT);
+  return createMatchRules(format.rules).rules;
+}
+
+/**
+ * Describe match rules for players
+ * @param {Object} rules - Match rules
+ * @returns {string} - e.g. "Best of 3 rounds (first to 5 each)"
+ */
+export function describeMatchRules(rules) {
+  const rounds = rules.roundsToWin === 1 ? 'One round' : `Best of ${rules.roundsToWin * 2 - 1} rounds`;
+  const each = rules.roundsToWin === 1 ? '' : ' each';
+  const parts = [`${rounds} (first to ${rules.pointsToWin}${each}${rules.winByTwo ? ', win by two' : ''})`];
+  if (rules.serve !== 'random') parts.push(SERVE_RULES.find(r => r.id === rules.serve).name);
+  return parts.join(' · ');
+}
+
+/**
+ * Names shown for the two sides
+ * @param {string} mode - PLAY_MODES ID
+ * @param {{player: string, ai: string}} names - Names given (blank ones get defaults)
+ * @returns {{player: string, ai: string}} - Left and right side names
+ */
+export function sideNames(mode, names = {}) {
+  const name = (value, fallback) => (typeof value === 'string' && value.trim() ? value.trim() : fallback);
+  return mode === 'versus'
+    ? { player: name(names.player, 'P1'), ai: name(names.ai, 'P2') }
+    : { player: name(names.player, 'YOU'), ai: 'AI' };
+}
+
 /**
  * Create initial game state
+ * @param {number} seed - Random seed; the same seed and inputs replay the same game
+ * @param {{difficulty: string|Object, adaptive: boolean, rules: Object, mode: string, names: Object}} options -
+ *   AI preset ID or custom settings (see findDifficulty), whether the AI adapts to the score,
+ *   match rules (checked with createMatchRules; defaults when invalid), PLAY_MODES ID and the
+ *   side names (see sideNames)
  * @returns {Object} - Initial game state
  */
-export function createInitialState() {
+export function createInitialState(seed = createSeed(), { difficulty = DEFAULT_DIFFICULTY, adaptive = false, rules = {}, mode = 'ai', names = {} } = {}) {
+  const matchRules = createMatchRules(rules).rules || DEFAULT_MATCH_RULES;
+  const playMode = PLAY_MODES.some(m => m.id === mode) ? mode : 'ai';
   return {
-    phase: 'countdown', // 'countdown' | 'playing' | 'finished'
-    countdown: PONG_CONFIG.countdownSeconds,
+    phase: 'countdown', // 'countdown' | 'playing' | 'roundEnd' | 'finished'
+    mode: playMode, // 'versus': a second player moves the right ('ai') paddle
+    names: sideNames(playMode, names),
+    seed: seed >>> 0,
+    rng: seed >>> 0, // Generator state, advanced by every random draw
+    frame: 0, // Steps taken
+    rules: matchRules,
+    server: 'player', // Serves next unless rules.serve is 'random'
+    countdown: matchRules.countdownSeconds,
+    serveTimer: 0, // Seconds until the ball is served again after a point
     player: {
       y: PONG_CONFIG.height / 2 - PONG_CONFIG.paddleHeight / 2,
     },
     ai: {
       y: PONG_CONFIG.height / 2 - PONG_CONFIG.paddleHeight / 2,
-      targetY: PONG_CONFIG.height / 2,
+      targetY: PONG_CONFIG.height / 2 - PONG_CONFIG.paddleHeight / 2,
+      reactTimer: 0, // Seconds until the AI aims again
     },
-    ball: {
-      x: PONG_CONFIG.width / 2 - PONG_CONFIG.ballSize / 2,
-      y: PONG_CONFIG.height / 2 - PONG_CONFIG.ballSize / 2,
-      vx: 0,
-      vy: 0,
-      speed: PONG_CONFIG.ballSpeedInitial,
-    },
-    score: { player: 0, ai: 0 },
-    input: { up: false, down: false },
+    aiSettings: { ...findDifficulty(difficulty), adaptive: !!adaptive },
+    ball: createCenteredBall(),
+    score: { player: 0, ai: 0 }, // Points this round
+    rounds: { player: 0, ai: 0 }, // Rounds won
+    currentRound: 1,
+    roundWinner: null, // 'player' | 'ai' once a round ends
+    matchWinner: null, // 'player' | 'ai' once the match ends
+    input: { up: false, down: false }, // Left paddle; in versus mode input.opponent moves the right one
   };
 }
 
@@ -56,12 +273,19 @@ export function clampPaddleY(y) {
 
 /**
  * Move player paddle based on input
+ * A targetY (pointer or touch drag) moves the paddle toward it at paddle speed without
+ * overshooting; otherwise up/down move it.
  * @param {number} currentY - Current paddle Y
- * @param {Object} input - Input state {up, down}
+ * @param {Object} input - Input state {up, down, targetY?}
  * @param {number} frameSpeed - Frame speed multiplier
  * @returns {number} - New Y position
  */
 export function movePlayerPaddle(currentY, input, frameSpeed) {
+  if (Number.isFinite(input.targetY)) {
+    const diff = clampPaddleY(input.targetY) - currentY;
+    return clampPaddleY(currentY + Math.sign(diff) * Math.min(Math.abs(diff), PONG_CONFIG.paddleSpeed * frameSpeed));
+  }
+
   let newY = currentY;
   if (input.up) {
     newY -= PONG_CONFIG.paddleSpeed * frameSpeed;
@@ -72,6 +296,71 @@ export function movePlayerPaddle(currentY, input, frameSpeed) {
   return clampPaddleY(newY);
 }
 
+/**
+ * Paddle target for a pointer on the court
+ * @param {number} offsetY - Pointer Y from the top of the canvas, in display pixels
+ * @param {number} displayHeight - Canvas height as displayed (it may be scaled)
+ * @returns {number} - Paddle Y centering the paddle on the pointer, whole pixels
+ */
+export function pointerTargetY(offsetY, displayHeight) {
+  const courtY = (offsetY / displayHeight) * PONG_CONFIG.height;
+  return Math.round(clampPaddleY(courtY - PONG_CONFIG.paddleHeight / 2));
+}
+
+/**
+ * Up/down from a gamepad: D-pad or left stick
+ * @param {Object|null} gamepad - Gamepad from navigator.getGamepads()
+ * @param {number} deadzone - Stick travel ignored around the center
+ * @returns {{up: boolean, down: boolean}}
+ */
+export function gamepadInput(gamepad, deadzone = GAMEPAD_DEADZONE) {
+  if (!gamepad) return { up: false, down: false };
+  const pressed = index => !!(gamepad.buttons && gamepad.buttons[index] && gamepad.buttons[index].pressed);
+  const stick = (gamepad.axes && gamepad.axes[1]) || 0;
+  return {
+    up: pressed(12) || stick < -deadzone, // Standard mapping: 12 = D-pad up, 13 = D-pad down
+    down: pressed(13) || stick > deadzone,
+  };
+}
+
+/**
+ * Combine input sources into the one input a step reads
+ * @param {Array<Object>} sources - Inputs {up, down, targetY?} from keys, buttons, pointer, gamepad
+ * @returns {Object} - {up, down}, plus targetY when a source has one
+ */
+export function mergeInputs(sources) {
+  const input = {
+    up: sources.some(source => source && source.up),
+    down: sources.some(source => source && source.down),
+  };
+  const pointer = sources.find(source => source && Number.isFinite(source.targetY));
+  if (pointer) input.targetY = pointer.targetY;
+  return input;
+}
+
+/**
+ * One paddle's input: booleans, and targetY only when set
+ * @param {Object} input - Input {up, down, targetY?}
+ * @returns {Object}
+ */
+function normalizePaddleInput(input) {
+  const normalized = { up: !!input.up, down: !!input.down };
+  if (Number.isFinite(input.targetY)) normalized.targetY = input.targetY;
+  return normalized;
+}
+
+/**
+ * Input as stored in the state and recordings: the left paddle's, plus the second player's
+ * under opponent when given
+ * @param {Object} input - Input {up, down, targetY?, opponent?}
+ * @returns {Object}
+ */
+function normalizeInput(input) {
+  const normalized = normalizePaddleInput(input);
+  if (input.opponent) normalized.opponent = normalizePaddleInput(input.opponent);
+  return normalized;
+}
+
 /**
  * Predict where ball will intersect a given X position (accounting for bounces)
  * @param {Object} ball - Ball state {x, y, vx, vy}
@@ -106,19 +395,22 @@ export function predictBallY(ball, targetX) {
  * Calculate AI target position
  * @param {Object} ball - Ball state
  * @param {number} currentAiY - Current AI paddle Y
- * @returns {number} - Target Y for AI paddle center
+ * @param {number} rng - Generator state
+ * @param {number} aimError - Largest aiming error in px (default: Normal)
+ * @returns {{targetY: number, rng: number}} - Target Y for AI paddle top and the next generator state
  */
-export function calculateAITarget(ball, currentAiY) {
+export function calculateAITarget(ball, currentAiY, rng, aimError = findDifficulty(DEFAULT_DIFFICULTY).aimError) {
   const aiX = PONG_CONFIG.width - PONG_CONFIG.paddleMargin - PONG_CONFIG.paddleWidth;
 
   if (ball.vx > 0) {
     // Ball coming toward AI
     const predictedY = predictBallY(ball, aiX);
-    // Add randomness (±15px) to make beatable
-    return predictedY - PONG_CONFIG.paddleHeight / 2 + (Math.random() - 0.5) * 30;
+    // Add randomness (±aimError) to make beatable
+    const noise = nextRandom(rng);
+    return { targetY: predictedY - PONG_CONFIG.paddleHeight / 2 + (noise.value - 0.5) * 2 * aimError, rng: noise.rng };
   } else {
     // Ball going away - return to center
-    return PONG_CONFIG.height / 2 - PONG_CONFIG.paddleHeight / 2;
+    return { targetY: PONG_CONFIG.height / 2 - PONG_CONFIG.paddleHeight / 2, rng };
   }
 }
 
@@ -127,10 +419,11 @@ export function calculateAITarget(ball, currentAiY) {
  * @param {number} currentY - Current AI Y
  * @param {number} targetY - Target Y
  * @param {number} frameSpeed - Frame speed multiplier
+ * @param {number} speedFactor - AI speed relative to the player (default: Normal)
  * @returns {number} - New Y position
  */
-export function moveAIPaddle(currentY, targetY, frameSpeed) {
-  const aiSpeed = PONG_CONFIG.paddleSpeed * 0.9;
+export function moveAIPaddle(currentY, targetY, frameSpeed, speedFactor = findDifficulty(DEFAULT_DIFFICULTY).speedFactor) {
+  const aiSpeed = PONG_CONFIG.paddleSpeed * speedFactor;
   const diff = targetY - currentY;
 
   if (Math.abs(diff) <= 2) return currentY;
@@ -220,42 +513,470 @@ export function checkScore(ball) {
 }
 
 /**
- * Check if game is won
+ * Check if the round is won
  * @param {Object} score - Score object {player, ai}
- * @returns {'player' | 'ai' | null} - Winner or null if game continues
+ * @param {Object} rules - Match rules (pointsToWin, winByTwo)
+ * @returns {'player' | 'ai' | null} - Winner or null if the round continues
  */
-export function checkWinner(score) {
-  if (score.player >= PONG_CONFIG.pointsToWin) return 'player';
-  if (score.ai >= PONG_CONFIG.pointsToWin) return 'ai';
+export function checkWinner(score, rules = DEFAULT_MATCH_RULES) {
+  const margin = rules.winByTwo ? 2 : 1;
+  if (score.player >= rules.pointsToWin && score.player - score.ai >= margin) return 'player';
+  if (score.ai >= rules.pointsToWin && score.ai - score.player >= margin) return 'ai';
   return null;
 }
 
 /**
  * Generate initial ball velocity for serve
- * @param {number} seed - Optional seed for deterministic testing
- * @returns {{vx: number, vy: number}}
+ * @param {number} rng - Generator state (random when omitted)
+ * @param {number} direction - 1 (toward the AI) or -1 (toward the player); random when omitted
+ * @returns {{vx: number, vy: number, rng: number}} - Velocity and the next generator state
  */
-export function generateServeVelocity(seed = null) {
-  const random = seed !== null ? () => seed : Math.random;
-  const angle = random() * 0.8 - 0.4; // -0.4 to 0.4 radians
-  const direction = random() > 0.5 ? 1 : -1;
+export function generateServeVelocity(rng = createSeed(), direction = null) {
+  const angleDraw = nextRandom(rng);
+  const directionDraw = nextRandom(angleDraw.rng);
+  const angle = angleDraw.value * 0.8 - 0.4; // -0.4 to 0.4 radians
+  direction = direction || (directionDraw.value >= 0.5 ? 1 : -1);
   return {
     vx: direction * PONG_CONFIG.ballSpeedInitial * Math.cos(angle),
     vy: PONG_CONFIG.ballSpeedInitial * Math.sin(angle),
+    rng: directionDraw.rng,
+  };
+}
+
+/**
+ * Check if the match is won
+ * @param {Object} rounds - Rounds won {player, ai}
+ * @param {Object} rules - Match rules (roundsToWin)
+ * @returns {'player' | 'ai' | null} - Match winner or null if match continues
+ */
+export function checkMatchWinner(rounds, rules = DEFAULT_MATCH_RULES) {
+  if (rounds.player >= rules.roundsToWin) return 'player';
+  if (rounds.ai >= rules.roundsToWin) return 'ai';
+  return null;
+}
+
+/**
+ * Who serves after a point
+ * @param {Object} state - Game state before the point
+ * @param {'player' | 'ai'} scorer - Who scored
+ * @returns {'player' | 'ai'}
+ */
+export function nextServer(state, scorer) {
+  const other = side => (side === 'player' ? 'ai' : 'player');
+  switch (state.rules.serve) {
+    case 'alternate': return other(state.server);
+    case 'winner': return scorer;
+    case 'loser': return other(scorer);
+    default: return state.server;
+  }
+}
+
+/**
+ * Serve the ball from the center of the court
+ * @param {Object} state - Game state
+ * @returns {Object} - New state with the ball in motion
+ */
+export function serveBall(state) {
+  const direction = state.rules.serve === 'random' ? null : state.server === 'player' ? 1 : -1;
+  const { vx, vy, rng } = generateServeVelocity(state.rng, direction);
+  return {
+    ...state,
+    rng,
+    serveTimer: 0,
+    ball: { ...createCenteredBall(), vx, vy },
+  };
+}
+
+/**
+ * Award a point and resolve round / match transitions
+ * @param {Object} state - Game state
+ * @param {'player' | 'ai'} scorer - Who scored
+ * @returns {{state: Object, events: Array}} - New state and emitted events
+ */
+export function awardPoint(state, scorer) {
+  const score = { ...state.score, [scorer]: state.score[scorer] + 1 };
+  const events = [{ type: 'point', scorer }];
+  const next = {
+    ...state,
+    score,
+    server: nextServer(state, scorer),
+    ball: createCenteredBall(),
+    serveTimer: state.rules.serveDelaySeconds,
+  };
+
+  const roundWinner = checkWinner(score, state.rules);
+  if (!roundWinner) {
+    return { state: next, events };
+  }
+
+  const rounds = { ...state.rounds, [roundWinner]: state.rounds[roundWinner] + 1 };
+  events.push({ type: 'roundEnd', winner: roundWinner });
+
+  const matchWinner = checkMatchWinner(rounds, state.rules);
+  if (matchWinner) {
+    events.push({ type: 'matchEnd', winner: matchWinner });
+    return {
+      state: { ...next, rounds, roundWinner, matchWinner, phase: 'finished', serveTimer: 0 },
+      events,
+    };
+  }
+
+  return {
+    state: {
+      ...next,
+      rounds,
+      roundWinner,
+      phase: 'roundEnd',
+      countdown: state.rules.roundBreakSeconds,
+      serveTimer: 0,
+    },
+    events,
+  };
+}
+
+/**
+ * Reset court and score for the next round of the match
+ * @param {Object} state - Game state (in 'roundEnd' phase)
+ * @returns {Object} - New state in 'countdown' phase
+ */
+export function startNextRound(state) {
+  const centerY = PONG_CONFIG.height / 2 - PONG_CONFIG.paddleHeight / 2;
+  return {
+    ...state,
+    phase: 'countdown',
+    countdown: state.rules.countdownSeconds,
+    serveTimer: 0,
+    currentRound: state.currentRound + 1,
+    score: { player: 0, ai: 0 },
+    roundWinner: null,
+    ball: createCenteredBall(),
+    player: { ...state.player, y: centerY },
+    ai: { ...state.ai, y: centerY },
+  };
+}
+
+/**
+ * Move the AI paddle for one frame, aiming again once its reaction time has passed
+ * @param {Object} state - Game state
+ * @param {number} frameSpeed - Frame speed multiplier
+ * @returns {{ai: Object, rng: number}} - New AI paddle state and generator state
+ */
+export function updateAI(state, frameSpeed) {
+  const difficulty = currentDifficulty(state);
+  let { targetY, reactTimer } = state.ai;
+  let { rng } = state;
+
+  reactTimer -= frameSpeed / 60;
+  if (reactTimer <= 0) {
+    ({ targetY, rng } = calculateAITarget(state.ball, state.ai.y, rng, difficulty.aimError));
+    reactTimer = difficulty.reactionSeconds;
+  }
+
+  const y = moveAIPaddle(state.ai.y, targetY, frameSpeed, difficulty.speedFactor);
+  return { ai: { ...state.ai, y, targetY, reactTimer }, rng };
+}
+
+/**
+ * Move the right paddle for one frame: the second player's input in versus mode, else the AI
+ * @param {Object} state - Game state
+ * @param {number} frameSpeed - Frame speed multiplier
+ * @returns {{ai: Object, rng: number}} - New right paddle state and generator state
+ */
+export function updateOpponent(state, frameSpeed) {
+  if (state.mode !== 'versus') return updateAI(state, frameSpeed);
+  const y = movePlayerPaddle(state.ai.y, state.input.opponent || { up: false, down: false }, frameSpeed);
+  return { ai: { ...state.ai, y }, rng: state.rng };
+}
+
+/**
+ * Advance the 'playing' phase by one frame: paddles, ball, collisions, scoring
+ * @param {Object} state - Game state
+ * @param {number} frameSpeed - Frame speed multiplier (1 = one 60fps frame)
+ * @returns {{state: Object, events: Array}} - New state and emitted events
+ */
+export function updatePlaying(state, frameSpeed) {
+  const events = [];
+  const player = { ...state.player, y: movePlayerPaddle(state.player.y, state.input, frameSpeed) };
+  const { ai, rng } = updateOpponent(state, frameSpeed);
+
+  // Ball waits at center between points
+  if (state.serveTimer > 0) {
+    return advanceMatch({ ...state, rng, player, ai }, { type: 'tick', seconds: frameSpeed / 60 });
+  }
+
+  let ball = {
+    ...state.ball,
+    x: state.ball.x + state.ball.vx * frameSpeed,
+    y: state.ball.y + state.ball.vy * frameSpeed,
   };
+
+  const wall = checkWallCollision(ball);
+  if (wall.collided) {
+    ball = { ...ball, y: wall.newY, vy: wall.newVy };
+    events.push({ type: 'wall' });
+  }
+
+  const playerPaddleX = PONG_CONFIG.paddleMargin;
+  const aiPaddleX = PONG_CONFIG.width - PONG_CONFIG.paddleMargin - PONG_CONFIG.paddleWidth;
+  let hit = checkPaddleCollision(ball, playerPaddleX, player.y, true);
+  if (!hit.hit) {
+    hit = checkPaddleCollision(ball, aiPaddleX, ai.y, false);
+  }
+  if (hit.hit) {
+    ball = hit.newBall;
+    events.push({ type: 'paddle' });
+  }
+
+  const next = { ...state, rng, player, ai, ball };
+  const scorer = checkScore(ball);
+  if (!scorer) {
+    return { state: next, events };
+  }
+
+  const result = advanceMatch(next, { type: 'point', scorer });
+  return { state: result.state, events: [...events, ...result.events] };
+}
+
+/**
+ * Match flow: countdown → playing → roundEnd → (countdown | finished)
+ * Actions are {type: 'tick', seconds} for time passing and {type: 'point', scorer}
+ * for a ball past a paddle. Physics is not part of it (see updatePlaying).
+ * @param {Object} state - Game state
+ * @param {Object} action - Action
+ * @returns {{state: Object, events: Array}} - New state and emitted events
+ */
+export function advanceMatch(state, action) {
+  if (action.type === 'point') {
+    return state.phase === 'playing' ? awardPoint(state, action.scorer) : { state, events: [] };
+  }
+  if (action.type !== 'tick') return { state, events: [] };
+
+  if (state.phase === 'countdown') {
+    const countdown = state.countdown - action.seconds;
+    if (countdown > 0) return { state: { ...state, countdown }, events: [] };
+    return { state: serveBall({ ...state, countdown: 0, phase: 'playing' }), events: [] };
+  }
+
+  if (state.phase === 'playing' && state.serveTimer > 0) {
+    // Ball waits at center between points
+    const serveTimer = state.serveTimer - action.seconds;
+    return { state: serveTimer <= 0 ? serveBall(state) : { ...state, serveTimer }, events: [] };
+  }
+
+  if (state.phase === 'roundEnd') {
+    const countdown = state.countdown - action.seconds;
+    if (countdown > 0) return { state: { ...state, countdown }, events: [] };
+    return { state: startNextRound(state), events: [] };
+  }
+
+  return { state, events: [] };
+}
+
+/**
+ * Advance the game by one animation frame, dispatching on phase
+ * @param {Object} state - Game state
+ * @param {number} deltaTime - Elapsed time in seconds
+ * @returns {{state: Object, events: Array}} - New state and emitted events
+ */
+export function updateGame(state, deltaTime) {
+  if (state.phase === 'playing') {
+    return updatePlaying(state, 60 * deltaTime); // Normalize to 60fps
+  }
+  return advanceMatch(state, { type: 'tick', seconds: deltaTime });
+}
+
+/**
+ * Advance the game by one fixed step with the given input
+ * The page calls this once per STEP_SECONDS of real time; replays call it once per
+ * recorded frame, so both produce the same game.
+ * @param {Object} state - Game state
+ * @param {Object} input - Input for this step {up, down, targetY?, opponent?}
+ * @returns {{state: Object, events: Array}} - New state and emitted events
+ */
+export function step(state, input = state.input) {
+  if (state.phase === 'finished') return { state, events: [] };
+  const result = updateGame({ ...state, input: normalizeInput(input) }, STEP_SECONDS);
+  return { state: { ...result.state, frame: state.frame + 1 }, events: result.events };
+}
+
+/**
+ * Start an input log for a game
+ * @param {number} seed - Seed the game was created with
+ * @param {Object} options - Options the game was created with (see createInitialState)
+ * @returns {{seed: number, options: Object, frames: number, inputs: Array}} - Empty recording
+ */
+export function createRecording(seed, { difficulty = DEFAULT_DIFFICULTY, adaptive = false, rules = {}, mode = 'ai', names = {} } = {}) {
+  const matchRules = createMatchRules(rules).rules || DEFAULT_MATCH_RULES;
+  const playMode = PLAY_MODES.some(m => m.id === mode) ? mode : 'ai';
+  return {
+    seed: seed >>> 0,
+    options: { difficulty, adaptive: !!adaptive, rules: matchRules, mode: playMode, names: sideNames(playMode, names) },
+    frames: 0,
+    inputs: [],
+  };
+}
+
+/**
+ * Log the input of one step
+ * Only changes are stored: {frame, up, down, targetY?, opponent?} holds from that frame on.
+ * @param {Object} recording - Recording
+ * @param {Object} input - Input passed to step() {up, down, targetY?, opponent?}
+ * @returns {Object} - New recording
+ */
+export function recordStep(recording, input) {
+  const next = normalizeInput(input);
+  const last = recording.inputs[recording.inputs.length - 1];
+  const previous = last ? normalizeInput(last) : { up: false, down: false };
+  // Normalized inputs list their keys in the same order
+  const changed = JSON.stringify(previous) !== JSON.stringify(next);
+  return {
+    ...recording,
+    frames: recording.frames + 1,
+    inputs: changed ? [...recording.inputs, { frame: recording.frames, ...next }] : recording.inputs,
+  };
+}
+
+/**
+ * Input recorded for a frame
+ * @param {Object} recording - Recording
+ * @param {number} frame - Frame number (state.frame before the step)
+ * @returns {Object} - Input {up, down, targetY?, opponent?}
+ */
+export function recordedInput(recording, frame) {
+  // Binary search for the last change at or before the frame: pointer drags log many changes
+  let low = 0;
+  let high = recording.inputs.length;
+  while (low < high) {
+    const mid = (low + high) >> 1;
+    if (recording.inputs[mid].frame <= frame) low = mid + 1;
+    else high = mid;
+  }
+  return low === 0 ? { up: false, down: false } : normalizeInput(recording.inputs[low - 1]);
+}
+
+/**
+ * Replay a recording from its seed
+ * @param {Object} recording - Recording
+ * @param {number} frames - Steps to replay (default: all of them)
+ * @returns {{state: Object, events: Array}} - State after the last step and every event emitted
+ */
+export function replayRecording(recording, frames = recording.frames) {
+  let state = createInitialState(recording.seed, recording.options);
+  const events = [];
+  for (let i = 0; i < frames; i++) {
+    const result = step(state, recordedInput(recording, state.frame));
+    state = result.state;
+    result.events.forEach(event => events.push({ ...event, frame: state.frame }));
+  }
+  return { state, events };
+}
+
+/**
+ * Parse a stored recording
+ * @param {string|null} json - Stored JSON
+ * @returns {Object|null} - Recording, or null when missing or malformed
+ */
+export function loadRecording(json) {
+  try {
+    const recording = JSON.parse(json || 'null');
+    if (!recording || !Number.isInteger(recording.seed) || !Number.isInteger(recording.frames) || !Array.isArray(recording.inputs)) {
+      return null;
+    }
+    const inputs = recording.inputs.filter(i => i && Number.isInteger(i.frame) && i.frame >= 0 && i.frame < recording.frames);
+    const options = recording.options || {};
+    const mode = PLAY_MODES.some(m => m.id === options.mode) ? options.mode : 'ai';
+    return {
+      seed: recording.seed >>> 0,
+      options: {
+        difficulty: typeof options.difficulty === 'string' || (options.difficulty && typeof options.difficulty === 'object')
+          ? options.difficulty
+          : DEFAULT_DIFFICULTY,
+        adaptive: !!options.adaptive,
+        rules: createMatchRules(options.rules).rules || DEFAULT_MATCH_RULES,
+        mode,
+        names: sideNames(mode, options.names || {}),
+      },
+      frames: Math.max(0, recording.frames),
+      inputs: inputs.map(i => ({ frame: i.frame, ...normalizeInput(i) })).sort((a, b) => a.frame - b.frame),
+    };
+  } catch (err) {
+    return null;
+  }
+}
+
+/**
+ * Parse stored Pong settings
+ * @param {string|null} json - Stored JSON
+ * @returns {{difficulty: string, adaptive: boolean, format: string, opponent: string}} - AI preset
+ *   ID (Normal when unknown), adaptive flag, match format ID, and 'ai' or the player profile ID
+ *   of the second player
+ */
+export function loadPongSettings(json) {
+  try {
+    const settings = JSON.parse(json || '{}') || {};
+    return {
+      difficulty: AI_DIFFICULTIES.some(d => d.id === settings.difficulty) ? settings.difficulty : DEFAULT_DIFFICULTY,
+      adaptive: settings.adaptive === true,
+      format: MATCH_FORMATS.some(f => f.id === settings.format) ? settings.format : DEFAULT_MATCH_FORMAT,
+      opponent: typeof settings.opponent === 'string' && settings.opponent ? settings.opponent : 'ai',
+    };
+  } catch (err) {
+    return { difficulty: DEFAULT_DIFFICULTY, adaptive: false, format: DEFAULT_MATCH_FORMAT, opponent: 'ai' };
+  }
 }
 
 export default {
   PONG_CONFIG,
+  STEP_SECONDS,
+  AI_DIFFICULTIES,
+  DEFAULT_DIFFICULTY,
+  SERVE_RULES,
+  DEFAULT_MATCH_RULES,
+  MATCH_FORMATS,
+  DEFAULT_MATCH_FORMAT,
+  PLAY_MODES,
+  GAMEPAD_DEADZONE,
+  ADAPTIVE_STEP,
+  ADAPTIVE_MAX_LEAD,
+  createSeed,
+  nextRandom,
+  findDifficulty,
+  adaptDifficulty,
+  currentDifficulty,
+  createCenteredBall,
+  createMatchRules,
+  matchFormatRules,
+  describeMatchRules,
+  sideNames,
   createInitialState,
   clampPaddleY,
   movePlayerPaddle,
+  pointerTargetY,
+  gamepadInput,
+  mergeInputs,
   predictBallY,
   calculateAITarget,
   moveAIPaddle,
+  updateAI,
+  updateOpponent,
   checkWallCollision,
   checkPaddleCollision,
   checkScore,
   checkWinner,
+  checkMatchWinner,
   generateServeVelocity,
+  nextServer,
+  serveBall,
+  awardPoint,
+  startNextRound,
+  updatePlaying,
+  advanceMatch,
+  updateGame,
+  step,
+  createRecording,
+  recordStep,
+  recordedInput,
+  replayRecording,
+  loadRecording,
+  loadPongSettings,
 };
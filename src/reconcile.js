@@ -0,0 +1,103 @@
+/**
+ * Reconcile - Core Logic Module
+ * Cross-checks the tip inventory against the parsed formula
+ */
+
+// Minimum length for an abbreviated word to match ("Abs." → "Absolute")
+const MIN_ABBREVIATION_LENGTH = 3;
+
+/**
+ * Split an ingredient name into comparable words
+ * Drops case, accents, punctuation, parenthetical notes and strengths like "100%"
+ * @param {string} name - Ingredient name like "Orris Butter (15% Irones)"
+ * @returns {string[]} - Words like ['orris', 'butter']
+ */
+export function normalizeIngredientName(name) {
+  return (name || '')
+    .normalize('NFD')
+    .replace(/[\u0300-\u036f]/g, '')
+    .toLowerCase()
+    .replace(/\([^)]*\)/g, ' ')
+    .replace(/\d+(?:[.,]\d+)?\s*%/g, ' ')
+    .split(/[^a-z0-9]+/)
+    .filter(Boolean);
+}
+
+/**
+ * Check whether two words match, allowing one to abbreviate the other
+ * @param {string} a - Normalized word
+ * @param {string} b - Normalized word
+ * @returns {boolean}
+ */
+function wordsMatch(a, b) {
+  if (a === b) return true;
+  const [short, long] = a.length < b.length ? [a, b] : [b, a];
+  return short.length >= MIN_ABBREVIATION_LENGTH && long.startsWith(short);
+}
+
+/**
+ * Check whether two ingredient names refer to the same ingredient
+ * Words must match one-to-one and in order, so "Rose" does not match "Rose oxide"
+ * @param {string} a - Ingredient name
+ * @param {string} b - Ingredient name
+ * @returns {boolean}
+ */
+export function ingredientsMatch(a, b) {
+  const wordsA = normalizeIngredientName(a);
+  const wordsB = normalizeIngredientName(b);
+  if (wordsA.length === 0 || wordsA.length !== wordsB.length) return false;
+  return wordsA.every((word, i) => wordsMatch(word, wordsB[i]));
+}
+
+/**
+ * Check whether a tip holds an ingredient
+ * A tip linked to the ingredient catalog also matches by any alias of its entry.
+ * @param {Object} tip - Tip object
+ * @param {string} name - Ingredient name, e.g. a formula line
+ * @param {Array} catalog - Ingredient catalog entries (see catalog.js)
+ * @returns {boolean}
+ */
+export function tipMatchesIngredient(tip, name, catalog = []) {
+  if (ingredientsMatch(tip.ingredient, name)) return true;
+  const entry = tip.catalogId ? catalog.find(e => e.id === tip.catalogId) : null;
+  return !!entry && [entry.name, ...(entry.aliases || [])].some(alias => ingredientsMatch(alias, name));
+}
+
+/**
+ * Cross-check formula ingredients against the tips in both boxes
+ * @param {Array} ingredients - Formula ingredients (see listIngredients)
+ * @param {Array} tips - Tips array
+ * @param {Array} catalog - Ingredient catalog entries, for matching by alias
+ * @returns {{matched: Array, missing: Array, orphaned: Array}}
+ *   matched: [{ingredient, tips}] formula lines that have at least one tip
+ *   missing: formula ingredients with no tip in either box
+ *   orphaned: tips whose ingredient matches nothing in the formula
+ */
+export function reconcileInventory(ingredients, tips, catalog = []) {
+  const matched = [];
+  const missing = [];
+  const usedTips = new Set();
+
+  ingredients.forEach(ingredient => {
+    const ingredientTips = tips.filter(t => tipMatchesIngredient(t, ingredient.name, catalog));
+    ingredientTips.forEach(t => usedTips.add(t));
+    if (ingredientTips.length > 0) {
+      matched.push({ ingredient, tips: ingredientTips });
+    } else {
+      missing.push(ingredient);
+    }
+  });
+
+  return {
+    matched,
+    missing,
+    orphaned: tips.filter(t => !usedTips.has(t)),
+  };
+}
+
+export default {
+  normalizeIngredientName,
+  ingredientsMatch,
+  tipMatchesIngredient,
+  reconcileInventory,
+};
@@ -0,0 +1,110 @@
+/**
+ * Scaling - Core Logic Module
+ * Re-computes formula amounts for a target batch volume or ethanol dilution
+ */
+
+import { normalizeAmount, convertAmount, humanizeAmount } from './formula.js';
+
+// Assumed density (g/mL) for mass amounts without a supplied density
+export const DEFAULT_DENSITY = 1;
+
+/**
+ * Volume of an ingredient amount in µL, converting mass via density
+ * @param {{value: number, unit: string}} amount - Amount
+ * @param {number|null} density - Density in g/mL
+ * @returns {number|null} - Volume in µL, or null for unknown units
+ */
+export function amountToVolume(amount, density = DEFAULT_DENSITY) {
+  const volume = convertAmount(amount, 'µL', density || DEFAULT_DENSITY);
+  return volume ? volume.value : null;
+}
+
+/**
+ * Total volume of the formula concentrate (all confirmed ingredients)
+ * @param {Object} formula - Parsed formula
+ * @param {Object} densities - Densities in g/mL keyed by ingredient name
+ * @returns {{volume: number, assumedDensity: string[]}} - Volume in µL, names converted with DEFAULT_DENSITY
+ */
+export function concentrateVolume(formula, densities = {}) {
+  const assumedDensity = [];
+  let volume = 0;
+
+  formula.sections.forEach(section => {
+    section.ingredients.filter(ing => !ing.tentative).forEach(ing => {
+      const density = densities[ing.name];
+      if (normalizeAmount(ing.amount).unit === 'mg' && !density) {
+        assumedDensity.push(ing.name);
+      }
+      volume += amountToVolume(ing.amount, density) || 0;
+    });
+  });
+
+  return { volume: Math.round(volume * 1000) / 1000, assumedDensity };
+}
+
+/**
+ * Scale every formula amount to a target batch
+ * Every line is multiplied by the same factor, so ratios within each section are kept
+ * @param {Object} formula - Parsed formula
+ * @param {Object} options - Target batch
+ * @param {{value: number, unit: string}} [options.totalVolume] - Final batch volume (concentrate + ethanol)
+ * @param {number} [options.concentration] - Concentrate share of the final batch in percent (e.g. 20)
+ * @param {Object} [options.densities] - Densities in g/mL keyed by ingredient name
+ * @returns {{factor: number, concentrate: Object, ethanol: Object, total: Object, sections: Array, assumedDensity: string[], error: string|null}}
+ */
+export function scaleFormula(formula, options = {}) {
+  const { totalVolume = null, concentration = null, densities = {} } = options;
+
+  if (!totalVolume && concentration === null) {
+    return { error: 'Target volume or concentration is required' };
+  }
+  if (concentration !== null && !(concentration > 0 && concentration <= 100)) {
+    return { error: 'Concentration must be between 0 and 100%' };
+  }
+
+  const targetTotal = totalVolume ? convertAmount(totalVolume, 'µL') : null;
+  if (totalVolume && (!targetTotal || targetTotal.value <= 0)) {
+    return { error: 'Target volume must be a positive volume' };
+  }
+
+  const current = concentrateVolume(formula, densities);
+  if (current.volume === 0) {
+    return { error: 'Formula has no ingredients' };
+  }
+
+  const share = concentration === null ? 1 : concentration / 100;
+  const concentrate = targetTotal ? targetTotal.value * share : current.volume;
+  const ethanol = concentrate / share - concentrate;
+  const factor = concentrate / current.volume;
+
+  const sections = formula.sections
+    .filter(section => !section.tentative)
+    .map(section => ({
+      id: section.id,
+      title: section.title,
+      ingredients: section.ingredients.filter(ing => !ing.tentative).map(ing => {
+        const quantity = normalizeAmount(ing.amount);
+        return {
+          ...ing,
+          scaled: humanizeAmount({ value: quantity.value * factor, unit: quantity.unit }),
+        };
+      }),
+    }));
+
+  return {
+    factor,
+    concentrate: humanizeAmount({ value: concentrate, unit: 'µL' }),
+    ethanol: humanizeAmount({ value: ethanol, unit: 'µL' }),
+    total: humanizeAmount({ value: concentrate + ethanol, unit: 'µL' }),
+    sections,
+    assumedDensity: current.assumedDensity,
+    error: null,
+  };
+}
+
+export default {
+  DEFAULT_DENSITY,
+  amountToVolume,
+  concentrateVolume,
+  scaleFormula,
+};
@@ -0,0 +1,383 @@
+/**
+ * Storage - Persistence Module
+ * Versioned IndexedDB store for the app state: schema migrations (starting from the original
+ * raw localStorage keys), a backup before every migration and atomic multi-key writes
+ */
+
+import { loadBoxes, migrateTips } from './boxes.js';
+import { loadTipLimits } from './tip-lifecycle.js';
+import { loadHistory } from './tip-history.js';
+import { restoreSession } from './compounding.js';
+import { loadBatches, DEFAULT_DEVIATION_THRESHOLD } from './batch-history.js';
+import { loadRevisions } from './formula-revisions.js';
+import { loadCatalog } from './catalog.js';
+import { loadSavedFilters } from './tip-search.js';
+import { loadRecording, loadPongSettings } from './pong-game.js';
+import { loadPlayerProfiles } from './player-profiles.js';
+
+export const DB_NAME = 'susuyomichi';
+// Version of the IndexedDB object stores; the data schema is versioned separately (SCHEMA_VERSION)
+const DB_VERSION = 1;
+const STATE_STORE = 'state';
+const BACKUP_STORE = 'backups';
+const VERSION_KEY = 'schemaVersion';
+const LOCAL_BACKUP_KEY = 'stateBackup';
+
+/**
+ * Parse JSON, falling back instead of throwing
+ * @param {string|null} json - JSON text
+ * @param {*} fallback - Value for missing or corrupt JSON
+ * @returns {*}
+ */
+function parseJson(json, fallback) {
+  try {
+    const value = JSON.parse(json);
+    return value === null ? fallback : value;
+  } catch (err) {
+    return fallback;
+  }
+}
+
+function parseTips(json) {
+  const tips = parseJson(json, []);
+  return Array.isArray(tips) ? tips.filter(t => t && typeof t === 'object' && !Array.isArray(t)) : [];
+}
+
+function parseCount(json) {
+  const count = parseInt(json, 10);
+  return count >= 0 ? count : 0;
+}
+
+function parseObject(json) {
+  const value = parseJson(json, {});
+  return typeof value === 'object' && !Array.isArray(value) ? value : {};
+}
+
+function parseThreshold(json) {
+  const threshold = parseFloat(json);
+  return threshold >= 0 ? threshold : DEFAULT_DEVIATION_THRESHOLD;
+}
+
+/**
+ * State keys and the parser for each; parsers take the JSON text (null when missing)
+ * and return a usable value, never throwing on corrupt data
+ */
+export const STATE_KEYS = {
+  pipetteTips: parseTips,
+  pongTokens: parseCount,
+  tipsAddedCount: parseCount,
+  tipBoxes: loadBoxes,
+  tipLimits: loadTipLimits,
+  tipHistory: loadHistory,
+  ingredientDensities: parseObject,
+  compoundSession: restoreSession,
+  batchRecords: loadBatches,
+  deviationThreshold: parseThreshold,
+  formulaRevisions: loadRevisions,
+  ingredientCatalog: loadCatalog,
+  savedFilters: loadSavedFilters,
+  pongReplay: loadRecording,
+  pongSettings: loadPongSettings,
+  playerProfiles: loadPlayerProfiles,
+};
+
+/**
+ * Fill in and check every state key
+ * Stored values go through the same parsers as JSON text, so they get the same checks.
+ * @param {Object} values - Values by key (missing keys get their defaults)
+ * @returns {Object} - Complete state
+ */
+export function normalizeState(values = {}) {
+  const state = {};
+  Object.entries(STATE_KEYS).forEach(([key, parse]) => {
+    state[key] = values[key] === undefined ? parse(null) : parse(JSON.stringify(values[key]));
+  });
+  return state;
+}
+
+/**
+ * Raw text of the original localStorage keys that are set
+ * @param {Function} getItem - localStorage.getItem
+ * @returns {Object} - Text by key
+ */
+export function readLegacyItems(getItem) {
+  const items = {};
+  Object.keys(STATE_KEYS).forEach(key => {
+    const value = getItem(key);
+    if (value !== null && value !== undefined) items[key] = value;
+  });
+  return items;
+}
+
+/**
+ * Schema migrations, oldest first. Each takes the state of the previous version.
+ * Version 0 is the original layout: one raw localStorage key per value.
+ */
+export const MIGRATIONS = [
+  {
+    version: 1,
+    description: 'Copy the localStorage keys into the store',
+    migrate: (state, { getItem = () => null } = {}) => {
+      const items = readLegacyItems(getItem);
+      const migrated = {};
+      Object.entries(STATE_KEYS).forEach(([key, parse]) => {
+        migrated[key] = parse(key in items ? items[key] : null);
+      });
+      return migrated;
+    },
+  },
+  {
+    version: 2,
+    description: 'Put every tip in a named box',
+    migrate: (state) => {
+      const { tips, boxes } = migrateTips(state.pipetteTips, state.tipBoxes);
+      return { ...state, pipetteTips: tips, tipBoxes: boxes };
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS[MIGRATIONS.length - 1].version;
+
+/**
+ * Run the migrations after a schema version
+ * @param {Object} state - State at fromVersion
+ * @param {number} fromVersion - Schema version of the state
+ * @param {{getItem: Function}} context - Access to the legacy localStorage keys (for version 1)
+ * @returns {{state: Object, version: number, applied: number[]}}
+ */
+export function migrateState(state, fromVersion, context = {}) {
+  let migrated = state;
+  const applied = [];
+  MIGRATIONS.filter(m => m.version > fromVersion).forEach(m => {
+    migrated = m.migrate(migrated, context);
+    applied.push(m.version);
+  });
+  return { state: migrated, version: Math.max(fromVersion, SCHEMA_VERSION), applied };
+}
+
+/**
+ * Backup of the state before a migration
+ * @param {Object} data - Previous state (raw localStorage text for version 0)
+ * @param {number} version - Schema version of the data
+ * @param {Date} now - Time of the backup
+ * @returns {{id: string, version: number, createdAt: string, data: Object}}
+ */
+export function createBackup(data, version, now = new Date()) {
+  return { id: `backup-v${version}-${now.toISOString()}`, version, createdAt: now.toISOString(), data };
+}
+
+/**
+ * Wrap an IndexedDB request in a promise
+ * @param {IDBRequest} req - Request
+ * @returns {Promise<*>}
+ */
+function promisify(req) {
+  return new Promise((resolve, reject) => {
+    req.onsuccess = () => resolve(req.result);
+    req.onerror = () => reject(req.error);
+  });
+}
+
+/**
+ * Promise settled when a transaction commits or fails
+ * @param {IDBTransaction} tx - Transaction
+ * @returns {Promise<void>}
+ */
+function transactionDone(tx) {
+  return new Promise((resolve, reject) => {
+    tx.oncomplete = () => resolve();
+    tx.onerror = () => reject(tx.error);
+    tx.onabort = () => reject(tx.error || new Error('Transaction aborted'));
+  });
+}
+
+/**
+ * Backend storing the state in IndexedDB
+ * @param {IDBFactory} indexedDB - IndexedDB implementation
+ * @param {string} name - Database name
+ * @returns {Promise<Object>} - Backend {name, readAll, writeAll, listBackups}
+ */
+export async function openIndexedDbBackend(indexedDB, name = DB_NAME) {
+  const openReq = indexedDB.open(name, DB_VERSION);
+  openReq.onupgradeneeded = () => {
+    const db = openReq.result;
+    if (!db.objectStoreNames.contains(STATE_STORE)) db.createObjectStore(STATE_STORE);
+    if (!db.objectStoreNames.contains(BACKUP_STORE)) db.createObjectStore(BACKUP_STORE, { keyPath: 'id' });
+  };
+  const db = await promisify(openReq);
+
+  return {
+    name: 'indexedDB',
+
+    async readAll() {
+      const store = db.transaction(STATE_STORE, 'readonly').objectStore(STATE_STORE);
+      const [keys, values] = await Promise.all([promisify(store.getAllKeys()), promisify(store.getAll())]);
+      const saved = {};
+      keys.forEach((key, i) => {
+        saved[key] = values[i];
+      });
+      return saved;
+    },
+
+    // One transaction: either every key (and the backup) is written or none is
+    writeAll(changes, backup = null) {
+      const tx = db.transaction(backup ? [STATE_STORE, BACKUP_STORE] : [STATE_STORE], 'readwrite');
+      const done = transactionDone(tx);
+      const store = tx.objectStore(STATE_STORE);
+      try {
+        Object.entries(changes).forEach(([key, value]) => store.put(value, key));
+        if (backup) tx.objectStore(BACKUP_STORE).put(backup);
+      } catch (err) {
+        // put() throws for values that cannot be stored; drop the puts already queued
+        done.catch(() => {});
+        tx.abort();
+        return Promise.reject(err);
+      }
+      return done;
+    },
+
+    async listBackups() {
+      const store = db.transaction(BACKUP_STORE, 'readonly').objectStore(BACKUP_STORE);
+      return promisify(store.getAll());
+    },
+
+    close() {
+      db.close();
+    },
+  };
+}
+
+/**
+ * Backend storing each key as JSON in localStorage, for browsers without IndexedDB
+ * Writes are not atomic; the previous state is restored if one of them throws (e.g. quota).
+ * @param {Storage} localStorage - localStorage implementation
+ * @returns {Object} - Backend {name, readAll, writeAll, listBackups}
+ */
+export function createLocalStorageBackend(localStorage) {
+  const setValue = (key, value) => {
+    if (value === null || value === undefined) {
+      localStorage.removeItem(key);
+    } else {
+      localStorage.setItem(key, JSON.stringify(value));
+    }
+  };
+
+  return {
+    name: 'localStorage',
+
+    async readAll() {
+      const saved = {};
+      [...Object.keys(STATE_KEYS), VERSION_KEY].forEach(key => {
+        const text = localStorage.getItem(key);
+        if (text !== null) saved[key] = parseJson(text, undefined);
+      });
+      return saved;
+    },
+
+    async writeAll(changes, backup = null) {
+      const previous = {};
+      const entries = Object.entries(backup ? { ...changes, [LOCAL_BACKUP_KEY]: backup } : changes);
+      entries.forEach(([key]) => {
+        previous[key] = localStorage.getItem(key);
+      });
+      try {
+        entries.forEach(([key, value]) => setValue(key, value));
+      } catch (err) {
+        Object.entries(previous).forEach(([key, text]) => {
+          if (text === null) localStorage.removeItem(key);
+          else localStorage.setItem(key, text);
+        });
+        throw err;
+      }
+    },
+
+    async listBackups() {
+      const backup = parseJson(localStorage.getItem(LOCAL_BACKUP_KEY), null);
+      return backup ? [backup] : [];
+    },
+
+    close() {},
+  };
+}
+
+/**
+ * Open the store: load the state, migrating (after a backup) when the schema is older
+ * Falls back to localStorage when IndexedDB is missing or cannot be opened.
+ * @param {{indexedDB: IDBFactory, localStorage: Storage, name: string, now: Date}} options
+ * @returns {Promise<Object>} - Store {state, version, backend, migration, write, listBackups, close}
+ */
+export async function openStore({
+  indexedDB = globalThis.indexedDB,
+  localStorage = globalThis.localStorage,
+  name = DB_NAME,
+  now = new Date(),
+} = {}) {
+  let backend = null;
+  if (indexedDB) {
+    try {
+      backend = await openIndexedDbBackend(indexedDB, name);
+    } catch (err) {
+      backend = null;
+    }
+  }
+  if (!backend) backend = createLocalStorageBackend(localStorage);
+
+  const saved = await backend.readAll();
+  const fromVersion = Number.isInteger(saved[VERSION_KEY]) ? saved[VERSION_KEY] : 0;
+  const getItem = key => (localStorage ? localStorage.getItem(key) : null);
+
+  let state = normalizeState(saved);
+  let version = fromVersion;
+  const migration = { from: fromVersion, applied: [], backup: null };
+
+  if (fromVersion < SCHEMA_VERSION) {
+    // Back up what the migration reads: the raw localStorage text for version 0
+    const previous = fromVersion === 0 ? readLegacyItems(getItem) : saved;
+    if (Object.keys(previous).length > 0) {
+      migration.backup = createBackup(previous, fromVersion, now);
+    }
+
+    const result = migrateState(state, fromVersion, { getItem });
+    state = normalizeState(result.state);
+    version = result.version;
+    migration.applied = result.applied;
+    await backend.writeAll({ ...state, [VERSION_KEY]: version }, migration.backup);
+  }
+
+  return {
+    state,
+    version,
+    backend: backend.name,
+    migration,
+
+    /**
+     * Write several keys at once
+     * @param {Object} changes - Values by state key
+     * @returns {Promise<void>}
+     */
+    write(changes) {
+      const unknown = Object.keys(changes).filter(key => !(key in STATE_KEYS));
+      if (unknown.length > 0) {
+        return Promise.reject(new Error(`Unknown state key "${unknown[0]}"`));
+      }
+      return backend.writeAll(changes);
+    },
+
+    listBackups: () => backend.listBackups(),
+    close: () => backend.close(),
+  };
+}
+
+export default {
+  DB_NAME,
+  STATE_KEYS,
+  MIGRATIONS,
+  SCHEMA_VERSION,
+  normalizeState,
+  readLegacyItems,
+  migrateState,
+  createBackup,
+  openIndexedDbBackend,
+  createLocalStorageBackend,
+  openStore,
+};
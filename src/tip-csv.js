@@ -0,0 +1,269 @@
+/**
+ * Tip CSV - Core Logic Module
+ * Spreadsheet-friendly export and import of the tip inventory: RFC 4180 quoting,
+ * UTF-8 with a byte order mark (so spreadsheets read "µL") and a column mapping step
+ */
+
+import { findBox } from './boxes.js';
+import { validateImportRows } from './tip-import.js';
+
+// Columns of an exported file, in order; import maps spreadsheet columns onto the same fields
+export const CSV_COLUMNS = [
+  { field: 'ingredient', label: 'Ingredient', required: true },
+  { field: 'tipSize', label: 'Tip Size (µL)', required: true },
+  { field: 'box', label: 'Box', required: false },
+  { field: 'coord', label: 'Coordinate', required: true },
+  { field: 'date', label: 'Date Added', required: false },
+];
+
+// Header names recognized for each field, compared after normalizeHeader()
+const HEADER_ALIASES = {
+  ingredient: ['ingredient', 'name', 'material', 'rawmaterial'],
+  tipSize: ['tipsize', 'size', 'tip', 'volume'],
+  box: ['box', 'rack', 'boxname', 'boxid'],
+  coord: ['coordinate', 'coord', 'position', 'slot', 'well', 'location'],
+  date: ['dateadded', 'date', 'added'],
+};
+
+const BOM = '\uFEFF';
+const DELIMITERS = [',', ';', '\t'];
+
+/**
+ * Guess the delimiter from the first line (spreadsheets in some locales write ";")
+ * @param {string} text - CSV text
+ * @returns {string} - ',', ';' or tab
+ */
+export function detectDelimiter(text) {
+  const firstLine = text.split(/\r?\n/, 1)[0].replace(/"[^"]*"/g, '');
+  let best = ',';
+  let bestCount = 0;
+  DELIMITERS.forEach(delimiter => {
+    const count = firstLine.split(delimiter).length - 1;
+    if (count > bestCount) {
+      best = delimiter;
+      bestCount = count;
+    }
+  });
+  return best;
+}
+
+/**
+ * Parse CSV text into records
+ * Quoted cells may contain the delimiter, doubled quotes ("") and line breaks.
+ * Blank lines (or lines of empty cells, as spreadsheets write) are skipped.
+ * @param {string} text - CSV text (a leading byte order mark is ignored)
+ * @param {string} delimiter - Cell delimiter (default: detectDelimiter)
+ * @returns {{records: Array<{line: number, cells: string[]}>, error: string|null}} - line is where the record starts
+ */
+export function parseCsv(text, delimiter = detectDelimiter(text.replace(BOM, ''))) {
+  const input = text.startsWith(BOM) ? text.slice(1) : text;
+  const records = [];
+  let cells = [];
+  let cell = '';
+  let quoted = false;
+  let line = 1;
+  let recordLine = 1;
+  let quoteLine = 1;
+
+  const endRecord = () => {
+    cells.push(cell);
+    if (cells.some(c => c.trim() !== '')) {
+      records.push({ line: recordLine, cells });
+    }
+    cells = [];
+    cell = '';
+  };
+
+  for (let i = 0; i < input.length; i++) {
+    const ch = input[i];
+    if (quoted) {
+      if (ch === '"' && input[i + 1] === '"') {
+        cell += '"';
+        i++;
+      } else if (ch === '"') {
+        quoted = false;
+      } else {
+        if (ch === '\n') line++;
+        cell += ch;
+      }
+    } else if (ch === '"' && cell.trim() === '') {
+      quoted = true;
+      quoteLine = line;
+      cell = '';
+    } else if (ch === delimiter) {
+      cells.push(cell);
+      cell = '';
+    } else if (ch === '\n' || ch === '\r') {
+      if (ch === '\r' && input[i + 1] === '\n') i++;
+      endRecord();
+      line++;
+      recordLine = line;
+    } else {
+      cell += ch;
+    }
+  }
+
+  if (quoted) {
+    return { records: [], error: `Line ${quoteLine}: quoted cell is never closed` };
+  }
+  endRecord();
+  return { records, error: null };
+}
+
+/**
+ * Quote a cell when it holds the delimiter, a quote, a line break or edge spaces
+ * @param {*} value - Cell value
+ * @param {string} delimiter - Cell delimiter
+ * @returns {string}
+ */
+function quoteCell(value, delimiter) {
+  const text = value === null || value === undefined ? '' : String(value);
+  if (text.includes(delimiter) || /["\r\n]/.test(text) || text !== text.trim()) {
+    return `"${text.replace(/"/g, '""')}"`;
+  }
+  return text;
+}
+
+/**
+ * Write rows as CSV (CRLF line ends, as spreadsheets expect)
+ * @param {Array<Array>} rows - Rows of cell values
+ * @param {string} delimiter - Cell delimiter
+ * @returns {string}
+ */
+export function formatCsv(rows, delimiter = ',') {
+  return rows.map(row => row.map(value => quoteCell(value, delimiter)).join(delimiter)).join('\r\n') + '\r\n';
+}
+
+/**
+ * Export the tips as CSV, boxes written by name
+ * @param {Array} tips - Tips array
+ * @param {Array} boxes - Boxes array
+ * @returns {string} - CSV text starting with a byte order mark
+ */
+export function exportTipsCsv(tips, boxes) {
+  const rows = tips.map(tip => {
+    const box = findBox(boxes, tip.box);
+    return [tip.ingredient, tip.tipSize, box ? box.name : tip.box || '', tip.coord, tip.date];
+  });
+  return BOM + formatCsv([CSV_COLUMNS.map(c => c.label), ...rows]);
+}
+
+/**
+ * Normalize a header for matching: lower case, units and punctuation removed
+ * @param {string} header - Header cell
+ * @returns {string} - e.g. "Tip Size (µL)" → "tipsize"
+ */
+function normalizeHeader(header) {
+  return header.toLowerCase().replace(/\((µ|u)l\)|[^a-z]/g, '');
+}
+
+/**
+ * Guess which column holds each field from the header row
+ * @param {string[]} header - Header cells
+ * @returns {Object} - Column index (or null) by field
+ */
+export function guessColumnMapping(header) {
+  const normalized = header.map(normalizeHeader);
+  const mapping = {};
+  CSV_COLUMNS.forEach(({ field }) => {
+    const aliases = HEADER_ALIASES[field];
+    // Earlier aliases are better matches ("Date Added" over "Added")
+    const matches = aliases.map(alias => normalized.indexOf(alias)).filter(i => i !== -1);
+    mapping[field] = matches.length > 0 ? matches[0] : null;
+  });
+  return mapping;
+}
+
+/**
+ * Check a column mapping
+ * @param {Object} mapping - Column index (or null) by field
+ * @returns {string|null} - Error message or null
+ */
+export function validateColumnMapping(mapping) {
+  const missing = CSV_COLUMNS.find(c => c.required && (mapping[c.field] === null || mapping[c.field] === undefined));
+  if (missing) return `Choose the column holding ${missing.label}`;
+
+  const used = CSV_COLUMNS.map(c => mapping[c.field]).filter(i => i !== null && i !== undefined);
+  if (new Set(used).size !== used.length) return 'Each column can only be used for one field';
+  return null;
+}
+
+/**
+ * Read a CSV export: records, header and a guessed column mapping
+ * @param {string} text - CSV text
+ * @returns {{header: string[], records: Array, mapping: Object|null, error: string|null}} - records exclude the header
+ */
+export function readTipsCsv(text) {
+  const { records, error } = parseCsv(text);
+  if (error) return { header: [], records: [], mapping: null, error };
+  if (records.length === 0) return { header: [], records: [], mapping: null, error: 'The file is empty' };
+
+  const header = records[0].cells.map(cell => cell.trim());
+  return { header, records: records.slice(1), mapping: guessColumnMapping(header), error: null };
+}
+
+/**
+ * Turn a cell into a tip size ("10", "10 µL" and "10µl" all give 10)
+ * @param {string} cell - Cell text
+ * @returns {number} - NaN when there is no number
+ */
+function parseTipSize(cell) {
+  return parseFloat(cell.replace(',', '.'));
+}
+
+/**
+ * Turn a date cell into an ISO timestamp, keeping unreadable text for validation to report
+ * @param {string} cell - Cell text
+ * @returns {string}
+ */
+function parseDate(cell) {
+  if (cell === '') return '';
+  const date = new Date(cell);
+  return Number.isNaN(date.getTime()) ? cell : date.toISOString();
+}
+
+/**
+ * Validate CSV records with the import checks (see validateImportRows), by file line number
+ * Boxes are matched by name or ID; a box cell that matches neither is an error.
+ * @param {Array} records - Records from readTipsCsv
+ * @param {Object} mapping - Column index (or null) by field
+ * @param {Array} boxes - Boxes array
+ * @returns {Array<{line: number, tip: Object|null, errors: string[]}>}
+ */
+export function validateCsvRecords(records, mapping, boxes) {
+  const cellOf = (record, field) => {
+    const index = mapping[field];
+    return index === null || index === undefined ? '' : (record.cells[index] || '').trim();
+  };
+
+  const unknownBoxes = [];
+  const rows = records.map(record => {
+    const boxCell = cellOf(record, 'box');
+    const box = boxes.find(b => b.id === boxCell || b.name.toLowerCase() === boxCell.toLowerCase());
+    unknownBoxes.push(boxCell !== '' && !box ? boxCell : null);
+    return {
+      ingredient: cellOf(record, 'ingredient'),
+      tipSize: parseTipSize(cellOf(record, 'tipSize')),
+      box: box ? box.id : undefined,
+      coord: cellOf(record, 'coord'),
+      date: parseDate(cellOf(record, 'date')),
+    };
+  });
+
+  const checked = validateImportRows(rows, boxes, { lines: records.map(r => r.line) });
+  return checked.map((row, i) => (unknownBoxes[i]
+    ? { ...row, errors: [...row.errors, `Unknown box "${unknownBoxes[i]}"`] }
+    : row));
+}
+
+export default {
+  CSV_COLUMNS,
+  detectDelimiter,
+  parseCsv,
+  formatCsv,
+  exportTipsCsv,
+  guessColumnMapping,
+  validateColumnMapping,
+  readTipsCsv,
+  validateCsvRecords,
+};
@@ -0,0 +1,155 @@
+/**
+ * Tip History - Core Logic Module
+ * Operation log for undo/redo: each entry stores the tips an operation removed and added,
+ * so adds, deletes, clear-all and import merges can all be reversed and replayed
+ */
+
+// Oldest entries are dropped beyond this many undo steps
+export const MAX_HISTORY = 100;
+
+/**
+ * Create an empty history
+ * @returns {{undo: Array, redo: Array}}
+ */
+export function createHistory() {
+  return { undo: [], redo: [] };
+}
+
+/**
+ * Key comparing tips by content
+ * @param {Object} tip - Tip object
+ * @returns {string}
+ */
+function tipKey(tip) {
+  return JSON.stringify(tip);
+}
+
+/**
+ * Key of the slot a tip sits in: box + coord, or tip size + coord for tips without a box
+ * @param {Object} tip - Tip object
+ * @returns {string}
+ */
+function slotKey(tip) {
+  return tip.box ? `box:${tip.box}|${tip.coord}` : `size:${tip.tipSize}|${tip.coord}`;
+}
+
+/**
+ * Tips removed and added between two versions of the tips array
+ * @param {Array} before - Tips before the operation
+ * @param {Array} after - Tips after the operation
+ * @returns {{removed: Array, added: Array}}
+ */
+export function diffTips(before, after) {
+  const afterKeys = new Set(after.map(tipKey));
+  const beforeKeys = new Set(before.map(tipKey));
+  return {
+    removed: before.filter(t => !afterKeys.has(tipKey(t))),
+    added: after.filter(t => !beforeKeys.has(tipKey(t))),
+  };
+}
+
+/**
+ * Record an operation; a new operation clears the redo stack
+ * @param {{undo: Array, redo: Array}} history - Current history
+ * @param {string} label - What the operation did, e.g. 'Add Civettone @ 10µL-Box-1 A1'
+ * @param {Array} before - Tips before the operation
+ * @param {Array} after - Tips after the operation
+ * @param {Date} now - Time of the operation
+ * @returns {{undo: Array, redo: Array}} - New history (unchanged when no tip changed)
+ */
+export function recordOperation(history, label, before, after, now = new Date()) {
+  const { removed, added } = diffTips(before, after);
+  if (removed.length === 0 && added.length === 0) return history;
+
+  const entry = { label, at: now.toISOString(), removed, added };
+  return { undo: [...history.undo, entry].slice(-MAX_HISTORY), redo: [] };
+}
+
+/**
+ * Apply an entry's change to the tips array
+ * Tips are taken out by slot, not content, so a tip changed since (e.g. auto-retired when the
+ * page loaded) is still replaced rather than left next to the restored one.
+ * @param {Array} tips - Tips array
+ * @param {Array} remove - Tips to take out
+ * @param {Array} add - Tips to put back
+ * @returns {Array}
+ */
+function applyChange(tips, remove, add) {
+  const removeKeys = new Set(remove.map(slotKey));
+  const addKeys = new Set(add.map(slotKey));
+  return [...tips.filter(t => !removeKeys.has(slotKey(t)) && !addKeys.has(slotKey(t))), ...add];
+}
+
+/**
+ * Undo the last operation
+ * @param {{undo: Array, redo: Array}} history - Current history
+ * @param {Array} tips - Current tips
+ * @returns {{history: Object, tips: Array, entry: Object|null}} - entry is null when there is nothing to undo
+ */
+export function undo(history, tips) {
+  const entry = history.undo[history.undo.length - 1];
+  if (!entry) return { history, tips, entry: null };
+
+  return {
+    history: { undo: history.undo.slice(0, -1), redo: [...history.redo, entry] },
+    tips: applyChange(tips, entry.added, entry.removed),
+    entry,
+  };
+}
+
+/**
+ * Redo the last undone operation
+ * @param {{undo: Array, redo: Array}} history - Current history
+ * @param {Array} tips - Current tips
+ * @returns {{history: Object, tips: Array, entry: Object|null}} - entry is null when there is nothing to redo
+ */
+export function redo(history, tips) {
+  const entry = history.redo[history.redo.length - 1];
+  if (!entry) return { history, tips, entry: null };
+
+  return {
+    history: { undo: [...history.undo, entry], redo: history.redo.slice(0, -1) },
+    tips: applyChange(tips, entry.removed, entry.added),
+    entry,
+  };
+}
+
+/**
+ * Check a history entry read from storage
+ * @param {Object} entry - Entry object
+ * @returns {boolean}
+ */
+function isValidEntry(entry) {
+  return Boolean(entry)
+    && typeof entry.label === 'string'
+    && Array.isArray(entry.removed)
+    && Array.isArray(entry.added);
+}
+
+/**
+ * Parse a saved history, dropping malformed entries
+ * @param {string|null} json - Saved history
+ * @returns {{undo: Array, redo: Array}}
+ */
+export function loadHistory(json) {
+  try {
+    const saved = JSON.parse(json || 'null');
+    if (!saved || !Array.isArray(saved.undo) || !Array.isArray(saved.redo)) return createHistory();
+    return {
+      undo: saved.undo.filter(isValidEntry).slice(-MAX_HISTORY),
+      redo: saved.redo.filter(isValidEntry),
+    };
+  } catch (err) {
+    return createHistory();
+  }
+}
+
+export default {
+  MAX_HISTORY,
+  createHistory,
+  diffTips,
+  recordOperation,
+  undo,
+  redo,
+  loadHistory,
+};
@@ -0,0 +1,237 @@
+/**
+ * Tip Import - Core Logic Module
+ * Import wizard: validates every row, diffs it against the current tips
+ * (new, replaced, conflict, unchanged, invalid) and applies it as a merge or replace-all
+ */
+
+import { layoutForTipSize, formatCoord } from './box-layouts.js';
+import { defaultBoxId, findBox, boxLayout, boxHoldsTipSize, migrateTips } from './boxes.js';
+import { ingredientsMatch } from './reconcile.js';
+import { validateTip, findExistingTip, addTip } from './tip-tracker.js';
+
+// What can be done with an imported tip whose slot holds a different ingredient
+export const CONFLICT_RESOLUTIONS = ['keep', 'replace', 'keep-both'];
+
+/**
+ * Parse an exported tips file
+ * @param {string} text - File contents
+ * @returns {{rows: Array|null, error: string|null}}
+ */
+export function parseImportFile(text) {
+  let data;
+  try {
+    data = JSON.parse(text);
+  } catch (err) {
+    return { rows: null, error: 'Invalid JSON file' };
+  }
+  if (!Array.isArray(data)) {
+    return { rows: null, error: 'Expected a list of tips' };
+  }
+  return { rows: data, error: null };
+}
+
+/**
+ * Split a coordinate into the two parts as written ("A12" → ["A", "12"], "2C" → ["2", "C"])
+ * @param {string} coord - Coordinate
+ * @returns {{row: string, col: string}}
+ */
+function splitCoord(coord) {
+  const match = coord.match(/^([A-Z]+|\d+)([A-Z]+|\d+)$/);
+  return match ? { row: match[1], col: match[2] } : { row: coord, col: '' };
+}
+
+/**
+ * Check whether an existing tip already has every field of an imported one
+ * Fields the file does not carry (e.g. uses, in a CSV) are not compared.
+ * @param {Object} existing - Tip in the tracker
+ * @param {Object} imported - Imported tip
+ * @returns {boolean}
+ */
+function hasImportedFields(existing, imported) {
+  return Object.keys(imported).every(key => JSON.stringify(existing[key]) === JSON.stringify(imported[key]));
+}
+
+/**
+ * Clean up an imported row into a tip
+ * An empty date is dropped, so it does not count as a change (applyImport dates new tips).
+ * @param {Object} row - Row as read from the file
+ * @returns {Object|null} - Tip, or null if the row is not an object
+ */
+function normalizeRow(row) {
+  if (!row || typeof row !== 'object' || Array.isArray(row)) return null;
+
+  const { date, ...rest } = row;
+  const coord = String(row.coord ?? `${row.row ?? ''}${row.col ?? ''}`).trim().toUpperCase();
+  return {
+    ...rest,
+    ingredient: String(row.ingredient ?? '').trim(),
+    tipSize: Number(row.tipSize),
+    ...splitCoord(coord),
+    coord,
+    ...(date === undefined || date === '' ? {} : { date }),
+  };
+}
+
+/**
+ * Validate imported rows; rows without a known box go to the default box for their size
+ * @param {Array} rows - Rows read from the file
+ * @param {Array} boxes - Boxes array
+ * @param {{firstLine: number, lines: number[]}} options - Number of the first row, or the line
+ *   number of each row (for files where rows span several lines)
+ * @returns {Array<{line: number, tip: Object|null, errors: string[]}>}
+ */
+export function validateImportRows(rows, boxes, { firstLine = 1, lines = null } = {}) {
+  return rows.map((raw, i) => {
+    const line = lines ? lines[i] : firstLine + i;
+    const tip = normalizeRow(raw);
+    if (!tip) return { line, tip: null, errors: ['Row must be an object'] };
+
+    const box = findBox(boxes, tip.box);
+    const placed = box ? tip : { ...tip, box: defaultBoxId(tip.tipSize) };
+    const errors = [...validateTip(placed, box ? boxLayout(box) : null).errors];
+    if (box && !boxHoldsTipSize(box, tip.tipSize)) {
+      errors.push(`${box.name} holds ${box.tipSize}µL tips`);
+    }
+    if (tip.date !== undefined && Number.isNaN(new Date(tip.date).getTime())) {
+      errors.push(`Invalid date "${tip.date}"`);
+    }
+    return { line, tip: placed, errors };
+  });
+}
+
+/**
+ * Diff validated rows against the current tips
+ * - new: the slot is free
+ * - unchanged: the slot holds this tip (every imported field already matches)
+ * - replaced: the slot holds the same ingredient (imported fields win, others are kept)
+ * - conflict: the slot holds a different ingredient (needs a resolution)
+ * - invalid: validation failed, or an earlier row already fills the slot
+ * @param {Array} tips - Current tips
+ * @param {Array} checked - Rows from validateImportRows
+ * @returns {Array<{line: number, tip: Object|null, errors: string[], status: string, existing: Object|null}>}
+ */
+export function diffImport(tips, checked) {
+  const seen = new Map(); // box|coord → line that filled it
+
+  return checked.map(row => {
+    if (row.errors.length > 0) return { ...row, status: 'invalid', existing: null };
+
+    const slot = `${row.tip.box}|${row.tip.coord}`;
+    if (seen.has(slot)) {
+      return { ...row, status: 'invalid', errors: [`Same slot as line ${seen.get(slot)}`], existing: null };
+    }
+    seen.set(slot, row.line);
+
+    const existing = findExistingTip(tips, row.tip.coord, row.tip.tipSize, row.tip.box);
+    let status = 'new';
+    if (existing && hasImportedFields(existing, row.tip)) {
+      status = 'unchanged';
+    } else if (existing) {
+      status = ingredientsMatch(existing.ingredient, row.tip.ingredient) ? 'replaced' : 'conflict';
+    }
+    return { ...row, status, existing };
+  });
+}
+
+/**
+ * Count diff entries by status
+ * @param {Array} diff - Entries from diffImport
+ * @returns {{new: number, replaced: number, conflict: number, unchanged: number, invalid: number}}
+ */
+export function summarizeImport(diff) {
+  const counts = { new: 0, replaced: 0, conflict: 0, unchanged: 0, invalid: 0 };
+  diff.forEach(entry => {
+    counts[entry.status]++;
+  });
+  return counts;
+}
+
+/**
+ * First free slot in a box, in reading order
+ * @param {Array} tips - Tips array
+ * @param {string} boxId - Box ID
+ * @param {number} tipSize - Tip size, for boxes that do not exist yet
+ * @param {Array} boxes - Boxes array
+ * @returns {string|null} - Coordinate, or null when the box is full
+ */
+export function findFreeSlot(tips, boxId, tipSize, boxes) {
+  const layout = boxLayout(findBox(boxes, boxId)) || layoutForTipSize(tipSize);
+  if (!layout) return null;
+  for (let r = 0; r < layout.rows; r++) {
+    for (let c = 0; c < layout.cols; c++) {
+      const coord = formatCoord(r, c, layout);
+      if (!tips.some(t => t.box === boxId && t.coord === coord)) return coord;
+    }
+  }
+  return null;
+}
+
+/**
+ * Apply an import
+ * merge: new and replaced rows are written, unchanged rows skipped, conflicts resolved per row
+ * (keep ours by default, replace, or keep both by moving the imported tip to a free slot).
+ * replace-all: the valid rows become the whole tips array.
+ * An update of the same tip (unchanged or replaced) keeps the fields the file does not carry,
+ * such as uses and limits; other imported tips without a date are dated now.
+ * Invalid rows are always skipped. Pure, so a dry run is just a call whose result is not saved.
+ * @param {Array} tips - Current tips
+ * @param {Array} boxes - Boxes array
+ * @param {Array} diff - Entries from diffImport
+ * @param {{mode: string, resolutions: Object, now: Date}} options - 'merge' or 'replace-all';
+ *   resolution by row line; current time
+ * @returns {{tips: Array, boxes: Array, summary: Object}} - summary {added, replaced, kept, removed, skipped, moved}
+ */
+export function applyImport(tips, boxes, diff, { mode = 'merge', resolutions = {}, now = new Date() } = {}) {
+  let result = mode === 'replace-all' ? [] : tips;
+  const summary = { added: 0, replaced: 0, kept: 0, removed: mode === 'replace-all' ? tips.length : 0, skipped: 0, moved: [] };
+  const imported = entry => (entry.status === 'unchanged' || entry.status === 'replaced'
+    ? { ...entry.existing, ...entry.tip }
+    : { date: now.toISOString(), ...entry.tip });
+
+  diff.forEach(entry => {
+    if (entry.status === 'invalid') {
+      summary.skipped++;
+      return;
+    }
+    if (mode === 'replace-all' || entry.status === 'new') {
+      result = [...result, imported(entry)];
+      summary.added++;
+      return;
+    }
+    if (entry.status === 'unchanged') {
+      summary.kept++;
+      return;
+    }
+
+    const resolution = entry.status === 'replaced' ? 'replace' : resolutions[entry.line] || 'keep';
+    if (resolution === 'replace') {
+      result = addTip(result, imported(entry), true).tips;
+      summary.replaced++;
+    } else if (resolution === 'keep-both') {
+      const coord = findFreeSlot(result, entry.tip.box, entry.tip.tipSize, boxes);
+      if (!coord) {
+        summary.skipped++;
+        return;
+      }
+      result = [...result, { ...imported(entry), ...splitCoord(coord), coord }];
+      summary.added++;
+      summary.moved.push({ line: entry.line, from: entry.tip.coord, to: coord });
+    } else {
+      summary.kept++;
+    }
+  });
+
+  // Rows for default boxes that do not exist yet create them
+  const boxed = migrateTips(result, boxes);
+  return { tips: boxed.tips, boxes: boxed.boxes, summary };
+}
+
+export default {
+  CONFLICT_RESOLUTIONS,
+  parseImportFile,
+  validateImportRows,
+  diffImport,
+  summarizeImport,
+  findFreeSlot,
+  applyImport,
+};
@@ -0,0 +1,203 @@
+/**
+ * Tip Lifecycle - Core Logic Module
+ * Tips are reused for the same ingredient; records each use and flags tips that have
+ * reached their maximum number of uses or maximum age so they get replaced
+ */
+
+// Defaults for tips without their own limits; null means no limit
+export const DEFAULT_TIP_LIMITS = {
+  maxUses: 20,
+  maxAgeDays: 90,
+  autoRetire: false,
+};
+
+const DAY_MS = 24 * 60 * 60 * 1000;
+
+/**
+ * Check a limit value: a positive whole number, or null for no limit
+ * @param {*} value - Limit value
+ * @returns {boolean}
+ */
+function isValidLimit(value) {
+  return value === null || (Number.isInteger(value) && value > 0);
+}
+
+/**
+ * Limits that apply to a tip: its own maxUses/maxAgeDays, else the defaults
+ * @param {Object} tip - Tip object
+ * @param {Object} limits - Default limits (see DEFAULT_TIP_LIMITS)
+ * @returns {{maxUses: number|null, maxAgeDays: number|null}}
+ */
+export function tipLimits(tip, limits = DEFAULT_TIP_LIMITS) {
+  return {
+    maxUses: tip.maxUses !== undefined ? tip.maxUses : limits.maxUses,
+    maxAgeDays: tip.maxAgeDays !== undefined ? tip.maxAgeDays : limits.maxAgeDays,
+  };
+}
+
+/**
+ * Whole days since a tip was added
+ * @param {Object} tip - Tip object with date
+ * @param {Date} now - Current time
+ * @returns {number}
+ */
+export function tipAgeDays(tip, now = new Date()) {
+  const added = new Date(tip.date).getTime();
+  if (Number.isNaN(added)) return 0;
+  return Math.max(0, Math.floor((now.getTime() - added) / DAY_MS));
+}
+
+/**
+ * Record one use of a tip
+ * @param {Object} tip - Tip object
+ * @param {Date} now - Time of use
+ * @returns {Object} - Tip with the use appended
+ */
+export function recordTipUse(tip, now = new Date()) {
+  return { ...tip, uses: [...(tip.uses || []), now.toISOString()] };
+}
+
+/**
+ * Set a tip's own limits; null clears an override so the default applies again
+ * @param {Object} tip - Tip object
+ * @param {{maxUses: number|null, maxAgeDays: number|null}} changes - New limits
+ * @returns {{tip: Object, error: string|null}}
+ */
+export function setTipLimits(tip, changes) {
+  const updated = { ...tip };
+  for (const key of ['maxUses', 'maxAgeDays']) {
+    if (!(key in changes)) continue;
+    if (changes[key] === null) {
+      delete updated[key];
+    } else if (isValidLimit(changes[key])) {
+      updated[key] = changes[key];
+    } else {
+      return { tip, error: `${key === 'maxUses' ? 'Max uses' : 'Max age'} must be a positive whole number` };
+    }
+  }
+  return { tip: updated, error: null };
+}
+
+/**
+ * Take a tip out of service
+ * @param {Object} tip - Tip object
+ * @param {Date} now - Time of retirement
+ * @returns {Object} - Retired tip
+ */
+export function retireTip(tip, now = new Date()) {
+  return tip.retiredAt ? tip : { ...tip, retiredAt: now.toISOString() };
+}
+
+/**
+ * Put a fresh tip in the same slot: new date, no uses, not retired (own limits are kept)
+ * @param {Object} tip - Tip object
+ * @param {Date} now - Time of replacement
+ * @returns {Object} - Fresh tip
+ */
+export function replaceTip(tip, now = new Date()) {
+  const { retiredAt, ...rest } = tip;
+  return { ...rest, date: now.toISOString(), uses: [] };
+}
+
+/**
+ * Wear of a tip against its limits
+ * A tip is "worn" once it has reached its maximum uses or age, "retired" once taken out of service.
+ * @param {Object} tip - Tip object
+ * @param {Object} limits - Default limits (see DEFAULT_TIP_LIMITS)
+ * @param {Date} now - Current time
+ * @returns {{uses: number, maxUses: number|null, ageDays: number, maxAgeDays: number|null,
+ *   status: 'ok'|'worn'|'retired', reasons: string[]}}
+ */
+export function tipWear(tip, limits = DEFAULT_TIP_LIMITS, now = new Date()) {
+  const { maxUses, maxAgeDays } = tipLimits(tip, limits);
+  const uses = (tip.uses || []).length;
+  const ageDays = tipAgeDays(tip, now);
+
+  const reasons = [];
+  if (maxUses !== null && uses >= maxUses) reasons.push(`${uses}/${maxUses} uses`);
+  if (maxAgeDays !== null && ageDays >= maxAgeDays) reasons.push(`${ageDays} days old (max ${maxAgeDays})`);
+
+  let status = reasons.length > 0 ? 'worn' : 'ok';
+  if (tip.retiredAt) status = 'retired';
+
+  return { uses, maxUses, ageDays, maxAgeDays, status, reasons };
+}
+
+/**
+ * Check whether a tip should be replaced (worn or retired)
+ * @param {Object} tip - Tip object
+ * @param {Object} limits - Default limits
+ * @param {Date} now - Current time
+ * @returns {boolean}
+ */
+export function needsReplacement(tip, limits = DEFAULT_TIP_LIMITS, now = new Date()) {
+  return tipWear(tip, limits, now).status !== 'ok';
+}
+
+/**
+ * Retire every worn tip (used when automatic retirement is on)
+ * @param {Array} tips - Tips array
+ * @param {Object} limits - Default limits
+ * @param {Date} now - Current time
+ * @returns {{tips: Array, retired: number}}
+ */
+export function retireWornTips(tips, limits = DEFAULT_TIP_LIMITS, now = new Date()) {
+  let retired = 0;
+  const newTips = tips.map(tip => {
+    if (tipWear(tip, limits, now).status !== 'worn') return tip;
+    retired++;
+    return retireTip(tip, now);
+  });
+  return { tips: retired > 0 ? newTips : tips, retired };
+}
+
+/**
+ * Count tips by wear status
+ * @param {Array} tips - Tips array
+ * @param {Object} limits - Default limits
+ * @param {Date} now - Current time
+ * @returns {{ok: number, worn: number, retired: number}}
+ */
+export function summarizeWear(tips, limits = DEFAULT_TIP_LIMITS, now = new Date()) {
+  const counts = { ok: 0, worn: 0, retired: 0 };
+  tips.forEach(tip => {
+    counts[tipWear(tip, limits, now).status]++;
+  });
+  return counts;
+}
+
+/**
+ * Parse saved default limits, falling back to DEFAULT_TIP_LIMITS for anything malformed
+ * @param {string|null} json - Saved limits
+ * @returns {{maxUses: number|null, maxAgeDays: number|null, autoRetire: boolean}}
+ */
+export function loadTipLimits(json) {
+  let saved;
+  try {
+    saved = JSON.parse(json || '{}');
+  } catch (err) {
+    return { ...DEFAULT_TIP_LIMITS };
+  }
+  if (!saved || typeof saved !== 'object') return { ...DEFAULT_TIP_LIMITS };
+
+  return {
+    maxUses: isValidLimit(saved.maxUses) ? saved.maxUses : DEFAULT_TIP_LIMITS.maxUses,
+    maxAgeDays: isValidLimit(saved.maxAgeDays) ? saved.maxAgeDays : DEFAULT_TIP_LIMITS.maxAgeDays,
+    autoRetire: typeof saved.autoRetire === 'boolean' ? saved.autoRetire : DEFAULT_TIP_LIMITS.autoRetire,
+  };
+}
+
+export default {
+  DEFAULT_TIP_LIMITS,
+  tipLimits,
+  tipAgeDays,
+  recordTipUse,
+  setTipLimits,
+  retireTip,
+  replaceTip,
+  tipWear,
+  needsReplacement,
+  retireWornTips,
+  summarizeWear,
+  loadTipLimits,
+};
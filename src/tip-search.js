@@ -0,0 +1,413 @@
+/**
+ * Tip Search - Core Logic Module
+ * Query syntax for the tips table and grid: field filters (size, box, added date, catalog family,
+ * formula section), AND / OR / NOT with parentheses, and saved filters
+ */
+
+import { tipMatchesIngredient } from './reconcile.js';
+import { findEntry, entryNames } from './catalog.js';
+import { fuzzyScore, MIN_SCORE } from './fuzzy-match.js';
+
+// Filters a term can start with, e.g. "size:>=100"
+export const SEARCH_FIELDS = [
+  { field: 'name', example: 'name:"rose oxide"', description: 'Ingredient name or catalog alias, typos allowed' },
+  { field: 'size', example: 'size:>=100', description: 'Tip size in µL (=, <, <=, >, >=)' },
+  { field: 'box', example: 'box:shelf', description: 'Box name contains, or box ID' },
+  { field: 'added', example: 'added:<2026-01', description: 'Date added: YYYY, YYYY-MM or YYYY-MM-DD (=, <, <=, >, >=)' },
+  { field: 'family', example: 'family:leather', description: 'Olfactive family of the linked catalog entry' },
+  { field: 'section', example: 'section:heart', description: 'Used in a formula section whose title contains' },
+];
+
+// Shorthands for date filters: "before:2026-01" is "added:<2026-01"
+const FIELD_ALIASES = {
+  ingredient: { field: 'name' },
+  date: { field: 'added' },
+  before: { field: 'added', op: '<' },
+  after: { field: 'added', op: '>' },
+  since: { field: 'added', op: '>=' },
+};
+
+// "added before 2026-01" written out in words
+const DATE_WORDS = { before: '<', after: '>', since: '>=', on: '=' };
+
+const COMPARISONS = ['<=', '>=', '<', '>', '='];
+
+/**
+ * Split a query into words, quoted phrases, parentheses and negation marks
+ * @param {string} query - Search query
+ * @returns {{tokens: Array<{type: string, text: string, quoted: boolean, plain: number}>, error: string|null}}
+ *   plain: length of the text before the first quote
+ */
+function tokenize(query) {
+  const tokens = [];
+  let i = 0;
+  while (i < query.length) {
+    const ch = query[i];
+    if (/\s/.test(ch)) {
+      i++;
+    } else if (ch === '(' || ch === ')') {
+      tokens.push({ type: ch, text: ch, quoted: false, plain: 1 });
+      i++;
+    } else if (ch === '-' && i + 1 < query.length && !/[\s)]/.test(query[i + 1])) {
+      tokens.push({ type: 'NOT', text: '-', quoted: false, plain: 1 });
+      i++;
+    } else {
+      // A word runs to the next space or parenthesis; quotes may hold either
+      let text = '';
+      let quoted = false;
+      let plain = null;
+      while (i < query.length && !/[\s()]/.test(query[i])) {
+        if (query[i] === '"') {
+          const close = query.indexOf('"', i + 1);
+          if (close === -1) return { tokens: [], error: 'Quote is never closed' };
+          plain = plain ?? text.length;
+          text += query.slice(i + 1, close);
+          quoted = true;
+          i = close + 1;
+        } else {
+          text += query[i++];
+        }
+      }
+      const keyword = !quoted && ['AND', 'OR', 'NOT'].includes(text);
+      tokens.push({ type: keyword ? text : 'word', text, quoted, plain: plain ?? text.length });
+    }
+  }
+  return { tokens, error: null };
+}
+
+/**
+ * Read a date filter value as a time range
+ * @param {string} text - "2026", "2026-01" or "2026-01-15"
+ * @returns {{start: number, end: number}|null} - UTC milliseconds, end exclusive
+ */
+function parseDateRange(text) {
+  const match = text.match(/^(\d{4})(?:-(\d{1,2})(?:-(\d{1,2}))?)?$/);
+  if (!match) return null;
+  const year = Number(match[1]);
+  const month = match[2] ? Number(match[2]) - 1 : null;
+  const day = match[3] ? Number(match[3]) : null;
+  if (month !== null && month > 11) return null;
+
+  const start = Date.UTC(year, month ?? 0, day ?? 1);
+  if (day !== null && new Date(start).getUTCDate() !== day) return null;
+  const end = day !== null ? Date.UTC(year, month, day + 1)
+    : month !== null ? Date.UTC(year, month + 1, 1)
+      : Date.UTC(year + 1, 0, 1);
+  return { start, end };
+}
+
+/**
+ * Build a filter term from a "field:value" word or a plain word
+ * @param {Object} token - Word token
+ * @param {string|null} defaultOp - Comparison implied by a date word ("added before ...")
+ * @returns {{term: Object|null, error: string|null}}
+ */
+function parseTerm(token, defaultOp = null) {
+  // The field name must be outside quotes: '"Note: musk"' is a plain phrase
+  const match = token.text.match(/^([a-z]+):(.*)$/i);
+  if (!match || match[1].length >= token.plain) {
+    const term = { type: 'term', field: 'name', op: '=', value: token.text.toLowerCase() };
+    return { term: token.quoted ? term : { ...term, bare: true }, error: null };
+  }
+
+  const alias = FIELD_ALIASES[match[1].toLowerCase()] || { field: match[1].toLowerCase() };
+  if (!SEARCH_FIELDS.some(f => f.field === alias.field)) {
+    return { term: null, error: `Unknown filter "${match[1]}:"` };
+  }
+
+  let value = match[2];
+  let op = alias.op || defaultOp || '=';
+  const comparison = COMPARISONS.find(c => value.startsWith(c));
+  if (comparison && !alias.op) {
+    op = comparison;
+    value = value.slice(comparison.length);
+  }
+  if (value.trim() === '') {
+    return { term: null, error: `Missing value for ${match[1]}:` };
+  }
+
+  const term = { type: 'term', field: alias.field, op, value: value.trim().toLowerCase() };
+  if (term.field === 'size') {
+    term.value = Number(term.value);
+    if (!(term.value > 0)) return { term: null, error: `Invalid tip size "${value}"` };
+  } else if (term.field === 'added') {
+    term.range = parseDateRange(term.value);
+    if (!term.range) return { term: null, error: `Invalid date "${value}" (use YYYY, YYYY-MM or YYYY-MM-DD)` };
+  } else if (op !== '=') {
+    return { term: null, error: `${match[1]}: can only be compared with =` };
+  }
+  return { term, error: null };
+}
+
+/**
+ * Parse a search query
+ * Words are ANDed; OR binds looser than AND; NOT or a leading "-" negates; parentheses group.
+ * Plain words match ingredient names (neighbouring words as one name), "field:value" filters
+ * by another field (SEARCH_FIELDS).
+ * @param {string} query - e.g. 'size:10 (family:leather OR section:heart) added before 2026-01'
+ * @returns {{query: Object|null, error: string|null}} - Parsed query (null for an empty one)
+ */
+export function parseQuery(query) {
+  const { tokens, error } = tokenize(query || '');
+  if (error) return { query: null, error };
+  if (tokens.length === 0) return { query: null, error: null };
+
+  let pos = 0;
+  const peek = () => tokens[pos];
+
+  // Recursive descent: or := and (OR and)* ; and := unary (AND? unary)* ; unary := NOT unary | (or) | term
+  const parseOr = () => {
+    const terms = [parseAnd()];
+    while (peek() && peek().type === 'OR') {
+      pos++;
+      terms.push(parseAnd());
+    }
+    return terms.length === 1 ? terms[0] : { type: 'or', terms };
+  };
+
+  const parseAnd = () => {
+    const terms = [parseUnary()];
+    while (peek() && peek().type !== 'OR' && peek().type !== ')') {
+      const explicit = peek().type === 'AND';
+      if (explicit) pos++;
+      const term = parseUnary();
+      // Neighbouring plain words form one name ("dl muscone"), so they are scored together
+      const last = terms[terms.length - 1];
+      if (!explicit && term.bare && last.bare) {
+        terms[terms.length - 1] = { ...last, value: `${last.value} ${term.value}` };
+      } else {
+        terms.push(term);
+      }
+    }
+    return terms.length === 1 ? terms[0] : { type: 'and', terms };
+  };
+
+  const parseUnary = () => {
+    const token = tokens[pos++];
+    if (!token) {
+      throw new Error(`Search term expected after ${tokens[pos - 2] ? tokens[pos - 2].text : 'the start'}`);
+    }
+    if (token.type === 'NOT') return { type: 'not', term: parseUnary() };
+    if (token.type === '(') {
+      const inner = parseOr();
+      if (!peek() || peek().type !== ')') throw new Error('Missing ")"');
+      pos++;
+      return inner;
+    }
+    if (token.type !== 'word') throw new Error(`Unexpected "${token.text}"`);
+
+    // "added before 2026-01"
+    const [next, date] = [tokens[pos], tokens[pos + 1]];
+    const dateOp = next && !next.quoted ? DATE_WORDS[next.text.toLowerCase()] : null;
+    if (!token.quoted && token.text.toLowerCase() === 'added' && dateOp && date && date.type === 'word') {
+      pos += 2;
+      const result = parseTerm({ text: `added:${date.text}`, plain: Infinity }, dateOp);
+      if (result.error) throw new Error(result.error);
+      return result.term;
+    }
+
+    const result = parseTerm(token);
+    if (result.error) throw new Error(result.error);
+    return result.term;
+  };
+
+  try {
+    const parsed = parseOr();
+    if (pos < tokens.length) throw new Error(`Unexpected "${tokens[pos].text}"`);
+    return { query: parsed, error: null };
+  } catch (err) {
+    return { query: null, error: err.message };
+  }
+}
+
+/**
+ * Compare a number with a filter value
+ * @param {number} actual - Value of the tip
+ * @param {string} op - Comparison
+ * @param {number} expected - Filter value
+ * @returns {boolean}
+ */
+function compare(actual, op, expected) {
+  switch (op) {
+    case '<': return actual < expected;
+    case '<=': return actual <= expected;
+    case '>': return actual > expected;
+    case '>=': return actual >= expected;
+    default: return actual === expected;
+  }
+}
+
+/**
+ * Score a tip against one filter term
+ * @param {Object} tip - Tip object
+ * @param {Object} term - Parsed term
+ * @param {Object} context - {boxes, catalog, ingredients}
+ * @returns {number} - Fuzzy score for names, 1 or 0 for other filters
+ */
+function termScore(tip, term, { boxes = [], catalog = [], ingredients = [] }) {
+  const entry = tip.catalogId ? findEntry(catalog, tip.catalogId) : null;
+
+  switch (term.field) {
+    case 'size':
+      return Number(compare(tip.tipSize, term.op, term.value));
+    case 'box': {
+      const box = boxes.find(b => b.id === tip.box);
+      return Number(tip.box === term.value || (!!box && box.name.toLowerCase().includes(term.value)));
+    }
+    case 'added': {
+      const time = new Date(tip.date).getTime();
+      if (Number.isNaN(time)) return 0;
+      const { start, end } = term.range;
+      switch (term.op) {
+        case '<': return Number(time < start);
+        case '<=': return Number(time < end);
+        case '>': return Number(time >= end);
+        case '>=': return Number(time >= start);
+        default: return Number(time >= start && time < end);
+      }
+    }
+    case 'family':
+      return Number(!!entry && (entry.family || '').toLowerCase() === term.value);
+    case 'section':
+      return Number(ingredients
+        .filter(ing => ing.section.toLowerCase().includes(term.value))
+        .some(ing => tipMatchesIngredient(tip, ing.name, catalog)));
+    default: {
+      const names = entry ? [tip.ingredient, ...entryNames(entry)] : [tip.ingredient];
+      const score = Math.max(...names.map(name => fuzzyScore(term.value, name)));
+      return score >= MIN_SCORE ? score : 0;
+    }
+  }
+}
+
+/**
+ * Score a tip against a parsed query
+ * AND averages its terms (0 if any is 0), OR takes the best, NOT turns a match into 0 and a miss into 1.
+ * @param {Object} tip - Tip object
+ * @param {Object|null} query - Parsed query (null matches every tip)
+ * @param {{boxes: Array, catalog: Array, ingredients: Array}} context - Boxes, ingredient catalog
+ *   and formula ingredients (see listIngredients), for box, family and section filters
+ * @returns {number} - 0 (no match) to 1
+ */
+export function scoreQuery(tip, query, context = {}) {
+  if (!query) return 1;
+  switch (query.type) {
+    case 'and': {
+      const scores = query.terms.map(term => scoreQuery(tip, term, context));
+      return scores.includes(0) ? 0 : scores.reduce((sum, score) => sum + score, 0) / scores.length;
+    }
+    case 'or': return Math.max(...query.terms.map(term => scoreQuery(tip, term, context)));
+    case 'not': return scoreQuery(tip, query.term, context) > 0 ? 0 : 1;
+    default: return termScore(tip, query, context);
+  }
+}
+
+/**
+ * Check a tip against a parsed query
+ * @param {Object} tip - Tip object
+ * @param {Object|null} query - Parsed query (null matches every tip)
+ * @param {Object} context - See scoreQuery
+ * @returns {boolean}
+ */
+export function matchesQuery(tip, query, context = {}) {
+  return scoreQuery(tip, query, context) > 0;
+}
+
+/**
+ * Filter tips with a search query
+ * @param {Array} tips - Tips array
+ * @param {string} query - Search query (see parseQuery)
+ * @param {Object} context - See scoreQuery
+ * @returns {{tips: Array, scores: number[], error: string|null}} - Matching tips in their order,
+ *   with the score of each for ranking; every tip (scored 1) when the query is invalid
+ */
+export function searchTips(tips, query, context = {}) {
+  const parsed = parseQuery(query);
+  if (parsed.error) return { tips, scores: tips.map(() => 1), error: parsed.error };
+
+  const matches = tips
+    .map(tip => ({ tip, score: scoreQuery(tip, parsed.query, context) }))
+    .filter(match => match.score > 0);
+  return { tips: matches.map(m => m.tip), scores: matches.map(m => m.score), error: null };
+}
+
+/**
+ * Order search results best match first; equal scores keep their order
+ * @param {{tips: Array, scores: number[]}} results - Result of searchTips
+ * @returns {Array} - Tips
+ */
+export function rankResults({ tips, scores }) {
+  return tips
+    .map((tip, i) => ({ tip, score: scores[i], i }))
+    .sort((a, b) => b.score - a.score || a.i - b.i)
+    .map(match => match.tip);
+}
+
+/**
+ * Quote a value for use in a query when it holds spaces or parentheses
+ * @param {string} value - e.g. an ingredient name
+ * @returns {string}
+ */
+export function quoteValue(value) {
+  return /[\s()"]/.test(value) ? `"${value.replace(/"/g, '')}"` : value;
+}
+
+/**
+ * Save a named filter; a filter with the same name is replaced
+ * @param {Array} filters - Saved filters [{name, query}]
+ * @param {string} name - Filter name
+ * @param {string} query - Search query
+ * @returns {{filters: Array, error: string|null}}
+ */
+export function saveFilter(filters, name, query) {
+  const trimmed = (name || '').trim();
+  if (!trimmed) return { filters, error: 'Filter name is required' };
+  if (!(query || '').trim()) return { filters, error: 'Search query is empty' };
+  const { error } = parseQuery(query);
+  if (error) return { filters, error };
+
+  const filter = { name: trimmed, query: query.trim() };
+  const index = filters.findIndex(f => f.name === trimmed);
+  return {
+    filters: index === -1 ? [...filters, filter] : filters.map((f, i) => (i === index ? filter : f)),
+    error: null,
+  };
+}
+
+/**
+ * Delete a saved filter
+ * @param {Array} filters - Saved filters
+ * @param {string} name - Filter name
+ * @returns {Array}
+ */
+export function deleteFilter(filters, name) {
+  return filters.filter(f => f.name !== name);
+}
+
+/**
+ * Parse saved filters, dropping malformed ones
+ * @param {string|null} json - Saved filters
+ * @returns {Array<{name: string, query: string}>}
+ */
+export function loadSavedFilters(json) {
+  try {
+    const filters = JSON.parse(json || '[]');
+    if (!Array.isArray(filters)) return [];
+    return filters.filter(f => f && typeof f.name === 'string' && typeof f.query === 'string');
+  } catch (err) {
+    return [];
+  }
+}
+
+export default {
+  SEARCH_FIELDS,
+  parseQuery,
+  scoreQuery,
+  matchesQuery,
+  searchTips,
+  rankResults,
+  quoteValue,
+  saveFilter,
+  deleteFilter,
+  loadSavedFilters,
+};
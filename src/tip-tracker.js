@@ -3,95 +3,71 @@
  * Extracted for testing purposes
  */
 
-// Grid coordinate conventions
+import {
+  TIP_SIZES,
+  layoutForTipSize,
+  layoutLabels,
+  parseCoord,
+  formatCoord,
+} from './box-layouts.js';
+import { DEFAULT_TIP_LIMITS, summarizeWear } from './tip-lifecycle.js';
+import { searchTips } from './tip-search.js';
+
+// Labels of the original two 8×12 boxes, derived from their layouts (see box-layouts.js)
 export const GRID_CONFIG = {
-  // 10µL box: rows A-H, columns 1-12
-  tip10: {
-    rowLabels: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H'],
-    colLabels: ['1', '2', '3', '4', '5', '6', '7', '8', '9', '10', '11', '12'],
-  },
-  // 100µL box: columns A-L, rows 1-8 (transposed labeling)
-  tip100: {
-    colLabels: ['A', 'B', 'C', 'D', 'E', 'F', 'G', 'H', 'I', 'J', 'K', 'L'],
-    rowLabels: ['1', '2', '3', '4', '5', '6', '7', '8'],
-  },
+  tip10: layoutLabels(layoutForTipSize(10)),
+  tip100: layoutLabels(layoutForTipSize(100)),
   rows: 8,
   cols: 12,
 };
 
 /**
- * Parse a tip coordinate into grid position based on tip size
+ * Parse a tip coordinate into grid position based on the tip size's box layout
  * @param {string} coord - Coordinate like "A1", "D8", "L8"
- * @param {number} tipSize - 10 or 100
+ * @param {number} tipSize - Tip size in µL (see TIP_SIZES)
  * @returns {{row: number, col: number} | null} - Grid position (0-indexed) or null if invalid
  */
 export function parseCoordToGridPosition(coord, tipSize) {
-  if (!coord || coord.length < 2) return null;
-
-  const letter = coord.charAt(0).toUpperCase();
-  const number = coord.slice(1);
-
-  if (tipSize === 10) {
-    // 10µL: letter is row (A-H), number is column (1-12)
-    const rowIndex = GRID_CONFIG.tip10.rowLabels.indexOf(letter);
-    const colIndex = GRID_CONFIG.tip10.colLabels.indexOf(number);
-    if (rowIndex === -1 || colIndex === -1) return null;
-    return { row: rowIndex, col: colIndex };
-  } else if (tipSize === 100) {
-    // 100µL: letter is column (A-L), number is row (1-8)
-    const colIndex = GRID_CONFIG.tip100.colLabels.indexOf(letter);
-    const rowIndex = GRID_CONFIG.tip100.rowLabels.indexOf(number);
-    if (rowIndex === -1 || colIndex === -1) return null;
-    return { row: rowIndex, col: colIndex };
-  }
-
-  return null;
+  return parseCoord(coord, layoutForTipSize(tipSize));
 }
 
 /**
- * Generate the expected coordinate for a grid position based on tip size
- * @param {number} row - Row index (0-7)
- * @param {number} col - Column index (0-11)
- * @param {number} tipSize - 10 or 100
- * @returns {string} - Coordinate string
+ * Generate the expected coordinate for a grid position based on the tip size's box layout
+ * @param {number} row - Row index (0-indexed)
+ * @param {number} col - Column index (0-indexed)
+ * @param {number} tipSize - Tip size in µL (see TIP_SIZES)
+ * @returns {string|null} - Coordinate string or null if out of bounds
  */
 export function gridPositionToCoord(row, col, tipSize) {
-  if (row < 0 || row >= GRID_CONFIG.rows || col < 0 || col >= GRID_CONFIG.cols) {
-    return null;
-  }
-
-  if (tipSize === 10) {
-    return GRID_CONFIG.tip10.rowLabels[row] + GRID_CONFIG.tip10.colLabels[col];
-  } else if (tipSize === 100) {
-    return GRID_CONFIG.tip100.colLabels[col] + GRID_CONFIG.tip100.rowLabels[row];
-  }
-
-  return null;
+  return formatCoord(row, col, layoutForTipSize(tipSize));
 }
 
 /**
  * Validate a tip entry
  * @param {Object} tip - Tip object
+ * @param {Object|null} layout - Layout of the tip's box (default the rack layout for its tip size)
  * @returns {{valid: boolean, errors: string[]}}
  */
-export function validateTip(tip) {
+export function validateTip(tip, layout = null) {
   const errors = [];
 
   if (!tip.ingredient || tip.ingredient.trim() === '') {
     errors.push('Ingredient is required');
   }
 
-  if (![10, 100].includes(tip.tipSize)) {
-    errors.push('Tip size must be 10 or 100');
+  if (!TIP_SIZES.includes(tip.tipSize)) {
+    errors.push(`Tip size must be one of ${TIP_SIZES.join(', ')} µL`);
   }
 
   if (!tip.coord || tip.coord.length < 2) {
     errors.push('Coordinate is required');
   }
 
-  const gridPos = parseCoordToGridPosition(tip.coord, tip.tipSize);
+  const gridPos = layout ? parseCoord(tip.coord, layout) : parseCoordToGridPosition(tip.coord, tip.tipSize);
   if (!gridPos) {
-    errors.push(`Invalid coordinate "${tip.coord}" for ${tip.tipSize}µL tip`);
+    errors.push(layout
+      ? `Invalid coordinate "${tip.coord}" for ${layout.name}`
+      : `Invalid coordinate "${tip.coord}" for ${tip.tipSize}µL tip`);
   }
 
   return {
@@ -101,25 +77,62 @@ export function validateTip(tip) {
 }
 
 /**
- * Check if a coordinate is occupied in a tips array (for a specific tip size)
+ * Build a tip entry from form input
+ * @param {string} ingredient - Ingredient name
+ * @param {number} tipSize - Tip size in µL
+ * @param {string} row - First coordinate part as written (the letter on letter-first boxes)
+ * @param {string} col - Second coordinate part as written
+ * @param {Date} date - When the tip was added (default now)
+ * @returns {Object} - Tip object
+ */
+export function createTip(ingredient, tipSize, row, col, date = new Date()) {
+  // Labels are upper-case letters and numbers whichever part comes first ("D8", "2C")
+  const first = String(row).trim().toUpperCase();
+  const second = String(col).trim().toUpperCase();
+  return {
+    ingredient: ingredient.trim(),
+    tipSize,
+    row: first,
+    col: second,
+    coord: first + second,
+    date: date.toISOString(),
+  };
+}
+
+/**
+ * Check whether a tip sits at a slot: box + coord when a box is given, else tip size + coord
+ * @param {Object} tip - Tip object
+ * @param {string} coord - Coordinate
+ * @param {number} tipSize - Tip size in µL
+ * @param {string|null} box - Box ID
+ * @returns {boolean}
+ */
+function isAtSlot(tip, coord, tipSize, box) {
+  return tip.coord === coord && (box ? tip.box === box : tip.tipSize === tipSize);
+}
+
+/**
+ * Check if a coordinate is occupied in a tips array (in a specific box, or for a tip size)
  * @param {Array} tips - Array of tip objects
  * @param {string} coord - Coordinate to check
- * @param {number} tipSize - Tip size (10 or 100)
+ * @param {number} tipSize - Tip size in µL
+ * @param {string|null} box - Box ID; tips are keyed by box + coord once boxes exist
  * @returns {Object|null} - The existing tip or null
  */
-export function findExistingTip(tips, coord, tipSize) {
-  return tips.find(t => t.coord === coord && t.tipSize === tipSize) || null;
+export function findExistingTip(tips, coord, tipSize, box = null) {
+  return tips.find(t => isAtSlot(t, coord, tipSize, box)) || null;
 }
 
 /**
  * Add a tip to the array, optionally replacing existing
  * @param {Array} tips - Existing tips array
  * @param {Object} newTip - New tip to add
- * @param {boolean} replace - Whether to replace existing tip at same coord/size
+ * @param {boolean} replace - Whether to replace existing tip at same coord in the same box (or size)
  * @returns {{tips: Array, replaced: Object|null}}
  */
 export function addTip(tips, newTip, replace = false) {
-  const existing = findExistingTip(tips, newTip.coord, newTip.tipSize);
+  const box = newTip.box || null;
+  const existing = findExistingTip(tips, newTip.coord, newTip.tipSize, box);
 
   if (existing && !replace) {
     return { tips, replaced: null, error: 'Coordinate already occupied' };
@@ -127,7 +140,7 @@ export function addTip(tips, newTip, replace = false) {
 
   let newTips = tips;
   if (existing) {
-    newTips = tips.filter(t => !(t.coord === newTip.coord && t.tipSize === newTip.tipSize));
+    newTips = tips.filter(t => !isAtSlot(t, newTip.coord, newTip.tipSize, box));
   }
 
   return {
@@ -142,22 +155,57 @@ export function addTip(tips, newTip, replace = false) {
  * @param {Array} tips - Existing tips array
  * @param {string} coord - Coordinate of tip to delete
  * @param {number} tipSize - Tip size
+ * @param {string|null} box - Box ID of the tip
+ * @returns {Array} - New tips array
+ */
+export function deleteTip(tips, coord, tipSize, box = null) {
+  return tips.filter(t => !isAtSlot(t, coord, tipSize, box));
+}
+
+/**
+ * Update one tip in the array, e.g. to record a use (see tip-lifecycle.js)
+ * @param {Array} tips - Existing tips array
+ * @param {string} coord - Coordinate of the tip
+ * @param {number} tipSize - Tip size
+ * @param {string|null} box - Box ID of the tip
+ * @param {Function} update - Receives the tip and returns the updated tip
+ * @returns {Array} - New tips array
+ */
+export function updateTip(tips, coord, tipSize, box, update) {
+  return tips.map(t => (isAtSlot(t, coord, tipSize, box) ? update(t) : t));
+}
+
+/**
+ * Merge imported tips into the array, imported entries replacing any tip in the same slot
+ * (same box and coord, or same tip size and coord for tips without a box).
+ * Replaces without asking; the import wizard (tip-import.js) previews conflicts first.
+ * @param {Array} tips - Existing tips array
+ * @param {Array} imported - Tips read from an export file
  * @returns {Array} - New tips array
  */
-export function deleteTip(tips, coord, tipSize) {
-  return tips.filter(t => !(t.coord === coord && t.tipSize === tipSize));
+export function mergeImportedTips(tips, imported) {
+  let merged = tips;
+  imported.forEach(imp => {
+    merged = merged.filter(t => !isAtSlot(t, imp.coord, imp.tipSize, imp.box || null));
+    merged = [...merged, imp];
+  });
+  return merged;
 }
 
 /**
  * Filter tips by search query
+ * A query that does not parse (e.g. an unclosed quote while typing) matches ingredient names as text.
  * @param {Array} tips - Tips array
- * @param {string} query - Search query (matches ingredient name)
+ * @param {string} query - Search query (see parseQuery in tip-search.js)
+ * @param {Object} context - Boxes, catalog and formula ingredients (see matchesQuery)
  * @returns {Array} - Filtered tips
  */
-export function filterTips(tips, query) {
+export function filterTips(tips, query, context = {}) {
   if (!query || query.trim() === '') {
     return tips;
   }
+  const result = searchTips(tips, query, context);
+  if (!result.error) return result.tips;
   const lowerQuery = query.toLowerCase();
   return tips.filter(t => t.ingredient.toLowerCase().includes(lowerQuery));
 }
@@ -181,16 +229,42 @@ export function sortTips(tips, field, ascending = true) {
   });
 }
 
+/**
+ * Shorten an ingredient name to fit a grid cell
+ * @param {string} name - Ingredient name
+ * @param {number} maxLength - Maximum displayed length (default 8)
+ * @returns {string} - Name, truncated with an ellipsis if too long
+ */
+export function abbreviateIngredient(name, maxLength = 8) {
+  return name.length > maxLength ? name.substring(0, maxLength - 1) + '…' : name;
+}
+
 /**
  * Calculate statistics for tips array
  * @param {Array} tips - Tips array
+ * @param {Object} limits - Default tip limits for wear (see tip-lifecycle.js)
+ * @param {Date} now - Current time, for tip age
  * @returns {Object} - Statistics object
  */
-export function calculateStats(tips) {
+export function calculateStats(tips, limits = DEFAULT_TIP_LIMITS, now = new Date()) {
+  const bySize = {};
+  TIP_SIZES.forEach(size => {
+    bySize[size] = tips.filter(t => t.tipSize === size).length;
+  });
+  const byBox = {};
+  tips.filter(t => t.box).forEach(t => {
+    byBox[t.box] = (byBox[t.box] || 0) + 1;
+  });
+  const wear = summarizeWear(tips, limits, now);
   return {
     total: tips.length,
-    tip10Count: tips.filter(t => t.tipSize === 10).length,
-    tip100Count: tips.filter(t => t.tipSize === 100).length,
+    tip10Count: bySize[10],
+    tip100Count: bySize[100],
+    bySize,
+    byBox,
+    worn: wear.worn,
+    retired: wear.retired,
+    needsReplacement: wear.worn + wear.retired,
   };
 }
 
@@ -214,17 +288,59 @@ export function wouldEarnToken(currentCount, tipsPerToken = 5) {
   return (currentCount + 1) % tipsPerToken === 0;
 }
 
+/**
+ * Record that a tip was added, awarding a token every N tips
+ * @param {{tipsAdded: number, tokens: number}} counters - Current counters
+ * @param {number} tipsPerToken - Tips required per token
+ * @returns {{tipsAdded: number, tokens: number, earned: boolean}}
+ */
+export function recordTipAdded(counters, tipsPerToken = 5) {
+  const earned = wouldEarnToken(counters.tipsAdded, tipsPerToken);
+  return {
+    tipsAdded: counters.tipsAdded + 1,
+    tokens: counters.tokens + (earned ? 1 : 0),
+    earned,
+  };
+}
+
+/**
+ * Progress toward the next token
+ * @param {number} tipsAdded - Total tips added count
+ * @param {number} tipsPerToken - Tips required per token
+ * @returns {number} - Tips added since the last token (0 to tipsPerToken - 1)
+ */
+export function tokenProgress(tipsAdded, tipsPerToken = 5) {
+  return tipsAdded % tipsPerToken;
+}
+
+/**
+ * Spend one token to play a game
+ * @param {number} tokens - Current token count
+ * @returns {{tokens: number, consumed: boolean}} - consumed is false when no token was available
+ */
+export function consumeToken(tokens) {
+  if (tokens < 1) return { tokens: 0, consumed: false };
+  return { tokens: tokens - 1, consumed: true };
+}
+
 export default {
   GRID_CONFIG,
   parseCoordToGridPosition,
   gridPositionToCoord,
   validateTip,
+  createTip,
   findExistingTip,
   addTip,
   deleteTip,
+  updateTip,
+  mergeImportedTips,
   filterTips,
   sortTips,
+  abbreviateIngredient,
   calculateStats,
   calculateTokensEarned,
   wouldEarnToken,
+  recordTipAdded,
+  tokenProgress,
+  consumeToken,
 };
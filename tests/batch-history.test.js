@@ -0,0 +1,161 @@
+/**
+ * Batch History - Regression Tests
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_DEVIATION_THRESHOLD,
+  validateBatch,
+  loadBatches,
+  findBatch,
+  addBatch,
+  deleteBatch,
+  setBatchRevision,
+  sortBatches,
+  calculateDeviation,
+  annotateDeviations,
+  summarizeBatch,
+} from '../src/batch-history.js';
+
+const batch = {
+  id: 'B-20260115-1030',
+  date: '2026-01-15T10:30:00.000Z',
+  target: { totalVolume: { value: 100, unit: 'mL' }, concentration: 20 },
+  lines: [
+    { name: 'Castoreum Absolute', planned: { value: 300, unit: 'µL' }, actual: { value: 310, unit: 'µL' }, skipped: false },
+    { name: 'Civettone', planned: { value: 125, unit: 'µL' }, actual: { value: 140, unit: 'µL' }, skipped: false },
+    { name: 'Geraniol', planned: { value: 1.25, unit: 'mL' }, actual: { value: 1250, unit: 'µL' }, skipped: false },
+    { name: 'Damascone beta', planned: { value: 3, unit: 'µL' }, actual: null, skipped: true },
+    { name: 'Patchoulol', planned: { value: 0.5, unit: 'g' }, actual: { value: 500, unit: 'µL' }, skipped: false },
+  ],
+};
+
+describe('validateBatch', () => {
+  it('should accept a complete batch', () => {
+    expect(validateBatch(batch)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should require id, date and lines', () => {
+    const result = validateBatch({ id: '', date: 'never' });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual(['Batch ID is required', 'Batch date is required', 'Batch lines are required']);
+  });
+
+  it('should report incomplete lines by number', () => {
+    const result = validateBatch({ ...batch, lines: [{ name: 'Musk' }] });
+    expect(result.errors).toEqual(['Line 1 needs an ingredient and planned amount']);
+  });
+
+  it('should reject non-objects', () => {
+    expect(validateBatch(null).valid).toBe(false);
+  });
+});
+
+describe('loadBatches', () => {
+  it('should parse saved batches', () => {
+    expect(loadBatches(JSON.stringify([batch]))).toEqual([batch]);
+  });
+
+  it('should drop malformed entries', () => {
+    expect(loadBatches(JSON.stringify([batch, { id: 'x' }]))).toEqual([batch]);
+  });
+
+  it('should survive corrupt or missing data', () => {
+    expect(loadBatches('{oops')).toEqual([]);
+    expect(loadBatches(null)).toEqual([]);
+    expect(loadBatches('{"id":"B-1"}')).toEqual([]);
+  });
+});
+
+describe('addBatch / findBatch / deleteBatch', () => {
+  it('should add and find a batch', () => {
+    const result = addBatch([], batch);
+    expect(result.error).toBeNull();
+    expect(result.batch).toBe(batch);
+    expect(findBatch(result.batches, batch.id)).toBe(batch);
+  });
+
+  it('should number IDs that are taken', () => {
+    let result = addBatch([batch], batch);
+    expect(result.error).toBeNull();
+    expect(result.batch).toEqual({ ...batch, id: `${batch.id}-2` });
+    result = addBatch(result.batches, batch);
+    expect(result.batches.map(b => b.id)).toEqual([batch.id, `${batch.id}-2`, `${batch.id}-3`]);
+  });
+
+  it('should reject invalid batches', () => {
+    const result = addBatch([], { id: 'B-1' });
+    expect(result.error).toContain('Batch date is required');
+  });
+
+  it('should delete by ID', () => {
+    expect(deleteBatch([batch], batch.id)).toEqual([]);
+    expect(findBatch([], 'missing')).toBeNull();
+  });
+});
+
+describe('setBatchRevision', () => {
+  it('should mark the revision of one batch', () => {
+    const other = { ...batch, id: 'B-2' };
+    const result = setBatchRevision([batch, other], batch.id, 'R-20260101-090000');
+    expect(result[0].revision).toBe('R-20260101-090000');
+    expect(result[1]).toBe(other);
+    expect(batch.revision).toBeUndefined();
+  });
+});
+
+describe('sortBatches', () => {
+  it('should sort newest first without mutating', () => {
+    const older = { ...batch, id: 'B-1', date: '2025-12-01T00:00:00.000Z' };
+    const batches = [older, batch];
+    expect(sortBatches(batches).map((b) => b.id)).toEqual([batch.id, 'B-1']);
+    expect(batches[0]).toBe(older);
+  });
+});
+
+describe('calculateDeviation', () => {
+  it('should compute percent deviation', () => {
+    expect(calculateDeviation(batch.lines[0])).toBe(3.3);
+    expect(calculateDeviation(batch.lines[1])).toBe(12);
+  });
+
+  it('should compare across units', () => {
+    expect(calculateDeviation(batch.lines[2])).toBe(0);
+  });
+
+  it('should treat skipped lines as -100%', () => {
+    expect(calculateDeviation(batch.lines[3])).toBe(-100);
+  });
+
+  it('should compare volume to mass only with density', () => {
+    expect(calculateDeviation(batch.lines[4])).toBeNull();
+    expect(calculateDeviation(batch.lines[4], 1.1)).toBe(10);
+  });
+
+  it('should return null without an actual amount', () => {
+    expect(calculateDeviation({ planned: { value: 1, unit: 'mL' }, actual: null, skipped: false })).toBeNull();
+  });
+});
+
+describe('annotateDeviations', () => {
+  it('should flag lines over the default threshold', () => {
+    expect(DEFAULT_DEVIATION_THRESHOLD).toBe(5);
+    const flagged = annotateDeviations(batch).filter((l) => l.flagged).map((l) => l.name);
+    expect(flagged).toEqual(['Civettone', 'Damascone beta']);
+  });
+
+  it('should honour a custom threshold', () => {
+    const flagged = annotateDeviations(batch, 2).filter((l) => l.flagged).map((l) => l.name);
+    expect(flagged).toEqual(['Castoreum Absolute', 'Civettone', 'Damascone beta']);
+  });
+
+  it('should use densities', () => {
+    const lines = annotateDeviations(batch, 5, { Patchoulol: 1.1 });
+    expect(lines[4]).toMatchObject({ deviation: 10, flagged: true });
+  });
+});
+
+describe('summarizeBatch', () => {
+  it('should count dispensed, skipped and deviating lines', () => {
+    expect(summarizeBatch(batch)).toEqual({ total: 5, dispensed: 4, skipped: 1, deviations: 2 });
+  });
+});
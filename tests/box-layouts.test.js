@@ -0,0 +1,124 @@
+/**
+ * Box Layouts - Regression Tests
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  BOX_LAYOUTS,
+  TIP_SIZES,
+  validateLayout,
+  findLayout,
+  layoutForTipSize,
+  layoutLabels,
+  coordParts,
+  describeLayout,
+  parseCoord,
+  formatCoord,
+} from '../src/box-layouts.js';
+
+const holder = findLayout('holder-24');
+
+describe('BOX_LAYOUTS', () => {
+  it('should all be valid', () => {
+    BOX_LAYOUTS.forEach((layout) => {
+      expect(validateLayout(layout)).toEqual({ valid: true, errors: [] });
+    });
+  });
+
+  it('should list the rack tip sizes', () => {
+    expect(TIP_SIZES).toEqual([10, 20, 100, 200, 1000]);
+  });
+
+  it('should find layouts by ID and tip size', () => {
+    expect(findLayout('plate-96').name).toBe('96-well holder');
+    expect(findLayout('missing')).toBeNull();
+    expect(layoutForTipSize(200).id).toBe('rack-200');
+    expect(layoutForTipSize(50)).toBeNull();
+    expect(layoutForTipSize(null)).toBeNull();
+  });
+});
+
+describe('validateLayout', () => {
+  const layout = { id: 'x', name: 'X', tipSize: null, rows: 2, cols: 3, rowLabels: 'letters', colLabels: 'numbers', letterFirst: true };
+
+  it('should require one letter axis and one number axis', () => {
+    const result = validateLayout({ ...layout, colLabels: 'letters' });
+    expect(result.errors).toEqual(['One axis must use letters and the other numbers']);
+  });
+
+  it('should reject unknown label sets and bad geometry', () => {
+    const result = validateLayout({ ...layout, id: '', rows: 0, rowLabels: 'roman' });
+    expect(result.valid).toBe(false);
+    expect(result.errors).toEqual([
+      'Layout ID is required',
+      'Rows and columns must be positive whole numbers',
+      'Label sets must be one of: letters, numbers',
+    ]);
+  });
+
+  it('should limit letter axes to 26', () => {
+    expect(validateLayout({ ...layout, rows: 27 }).errors).toEqual(['Letter labels only go up to Z (26)']);
+  });
+
+  it('should reject a pitch that is not a positive size', () => {
+    expect(validateLayout({ ...layout, pitchMm: 0 }).errors).toEqual(['Slot pitch must be a positive number of millimetres']);
+    expect(validateLayout({ ...layout, pitchMm: 9 }).valid).toBe(true);
+  });
+
+  it('should reject non-objects', () => {
+    expect(validateLayout(null).valid).toBe(false);
+  });
+});
+
+describe('layoutLabels / coordParts / describeLayout', () => {
+  it('should generate labels from the label sets', () => {
+    const labels = layoutLabels(holder);
+    expect(labels.rowLabels).toEqual(['1', '2', '3', '4']);
+    expect(labels.colLabels).toEqual(['A', 'B', 'C', 'D', 'E', 'F']);
+  });
+
+  it('should order coordinate parts as written', () => {
+    expect(coordParts(findLayout('rack-10')).map((p) => p.axis)).toEqual(['row', 'col']);
+    expect(coordParts(findLayout('rack-100')).map((p) => p.axis)).toEqual(['col', 'row']);
+    expect(coordParts(holder).map((p) => p.axis)).toEqual(['row', 'col']);
+  });
+
+  it('should describe the convention', () => {
+    expect(describeLayout(findLayout('rack-10'))).toBe('Rows A-H, Columns 1-12');
+    expect(describeLayout(findLayout('rack-100'))).toBe('Columns A-L, Rows 1-8');
+    expect(describeLayout(holder)).toBe('Rows 1-4, Columns A-F');
+  });
+});
+
+describe('parseCoord / formatCoord', () => {
+  it('should follow letter-first layouts', () => {
+    expect(parseCoord('H12', findLayout('rack-1000'))).toEqual({ row: 7, col: 11 });
+    expect(parseCoord('L8', findLayout('rack-100'))).toEqual({ row: 7, col: 11 });
+    expect(formatCoord(7, 11, findLayout('rack-100'))).toBe('L8');
+  });
+
+  it('should follow number-first layouts', () => {
+    expect(parseCoord('2C', holder)).toEqual({ row: 1, col: 2 });
+    expect(parseCoord('2c', holder)).toEqual({ row: 1, col: 2 });
+    expect(parseCoord('C2', holder)).toBeNull();
+    expect(formatCoord(3, 5, holder)).toBe('4F');
+  });
+
+  it('should reject coordinates outside the box', () => {
+    expect(parseCoord('5A', holder)).toBeNull();
+    expect(parseCoord('1G', holder)).toBeNull();
+    expect(parseCoord('', holder)).toBeNull();
+    expect(parseCoord('A1', null)).toBeNull();
+    expect(formatCoord(4, 0, holder)).toBeNull();
+    expect(formatCoord(0, -1, holder)).toBeNull();
+  });
+
+  it('should round-trip every slot of every layout', () => {
+    BOX_LAYOUTS.forEach((layout) => {
+      for (let r = 0; r < layout.rows; r++) {
+        for (let c = 0; c < layout.cols; c++) {
+          expect(parseCoord(formatCoord(r, c, layout), layout)).toEqual({ row: r, col: c });
+        }
+      }
+    });
+  });
+});
@@ -0,0 +1,163 @@
+/**
+ * Box Print - Regression Tests
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_PITCH_MM,
+  LABEL_SHEET,
+  escapeHtml,
+  describeConvention,
+  createBoxMap,
+  renderBoxMapsHtml,
+  createTipLabels,
+  renderLabelSheetHtml,
+} from '../src/box-print.js';
+import { findLayout } from '../src/box-layouts.js';
+import { defaultBox } from '../src/boxes.js';
+
+const now = new Date('2026-01-15T10:00:00.000Z');
+const date = '2026-01-10T09:00:00.000Z';
+const box10 = { ...defaultBox(10), location: 'shelf B' };
+const box100 = defaultBox(100);
+const holder = { id: 'box-holder-24-1', name: 'Holder', location: '', layout: 'holder-24', tipSize: null };
+const boxes = [box10, box100, holder];
+const tip = (ingredient, coord, box = box10, extra = {}) => ({
+  ingredient, tipSize: box.tipSize || 10, coord, date, box: box.id, ...extra,
+});
+
+describe('escapeHtml', () => {
+  it('should escape markup and attribute quotes', () => {
+    expect(escapeHtml(`<b>Ambrox & "Cashmeran"</b>`)).toBe('&lt;b&gt;Ambrox &amp; &quot;Cashmeran&quot;&lt;/b&gt;');
+    expect(escapeHtml("Jasmin d'Égypte")).toBe("Jasmin d'Égypte");
+  });
+});
+
+describe('describeConvention', () => {
+  it('should explain row-letter layouts', () => {
+    expect(describeConvention(findLayout('rack-10'))).toBe('Rows A-H, Columns 1-12 · B3 = row B, column 3');
+  });
+
+  it('should explain column-letter layouts', () => {
+    expect(describeConvention(findLayout('rack-100'))).toBe('Columns A-L, Rows 1-8 · C2 = column C, row 2');
+  });
+
+  it('should explain number-first layouts', () => {
+    expect(describeConvention(findLayout('holder-24'))).toBe('Rows 1-4, Columns A-F · 2C = row 2, column C');
+  });
+});
+
+describe('createBoxMap', () => {
+  const tips = [
+    tip('Ambroxan', 'A1'),
+    tip('Ambroxan', 'B3'),
+    tip('Civettone', 'H12', box10, { retiredAt: date }),
+    tip('Iso E Super', 'A2', box10, { uses: Array(20).fill(date) }),
+    tip('Rose', 'A1', box100),
+  ];
+
+  it('should lay out every slot of the box', () => {
+    const map = createBoxMap(box10, tips, { now });
+    expect(map.cells).toHaveLength(8);
+    expect(map.cells[0]).toHaveLength(12);
+    expect(map.cells[1][2]).toMatchObject({ coord: 'B3', label: 'Ambro…', status: 'ok', mark: '' });
+    expect(map.cells[0][3]).toEqual({ coord: 'A4', tip: null });
+  });
+
+  it('should describe the box, its convention and the print date', () => {
+    const map = createBoxMap(box10, tips, { now });
+    expect(map).toMatchObject({
+      title: '10µL-Box-1, shelf B',
+      layoutName: '10 µL rack',
+      convention: 'Rows A-H, Columns 1-12 · B3 = row B, column 3',
+      pitchMm: 9,
+      count: 4,
+      capacity: 96,
+      printed: '2026-01-15',
+    });
+    expect(map.rowLabels[0]).toBe('A');
+    expect(map.colLabels[11]).toBe('12');
+  });
+
+  it('should only show the tips of the box', () => {
+    const map = createBoxMap(box100, tips, { now });
+    expect(map.count).toBe(1);
+    expect(map.cells[0][0].label).toBe('Rose');
+  });
+
+  it('should build a sorted legend of abbreviations', () => {
+    const map = createBoxMap(box10, tips, { now });
+    expect(map.legend).toEqual([
+      { label: 'Ambro…', ingredient: 'Ambroxan', coords: ['A1', 'B3'] },
+      { label: 'Civet…', ingredient: 'Civettone', coords: ['H12'] },
+      { label: 'Iso E…', ingredient: 'Iso E Super', coords: ['A2'] },
+    ]);
+  });
+
+  it('should mark worn and retired tips', () => {
+    const map = createBoxMap(box10, tips, { now });
+    expect(map.cells[0][1]).toMatchObject({ status: 'worn', mark: '*' });
+    expect(map.cells[7][11]).toMatchObject({ status: 'retired', mark: '✕' });
+  });
+
+  it('should use the layout pitch, and allow longer labels', () => {
+    const map = createBoxMap(holder, [tip('Ambroxan', '2C', holder)], { now, labelLength: 12 });
+    expect(map.pitchMm).toBe(19.3);
+    expect(map.cells[1][2].label).toBe('Ambroxan');
+  });
+
+  it('should fall back to the default pitch and skip unknown layouts', () => {
+    expect(DEFAULT_PITCH_MM).toBe(9);
+    expect(createBoxMap({ ...box10, layout: 'missing' }, tips, { now })).toBeNull();
+  });
+});
+
+describe('renderBoxMapsHtml', () => {
+  it('should draw each map to scale with its legend', () => {
+    const map = createBoxMap(box10, [tip('Vanilla <abs>', 'A1')], { now });
+    const html = renderBoxMapsHtml([map, createBoxMap(box100, [], { now })]);
+    expect(html).toContain('<title>Box Maps</title>');
+    expect(html).toContain('width:9mm;height:9mm');
+    expect(html).toContain('Rows A-H, Columns 1-12 · B3 = row B, column 3');
+    expect(html).toContain('Printed 2026-01-15');
+    expect(html).toContain('Vanilla &lt;abs&gt;');
+    expect(html).toContain('<li>Empty box</li>');
+    expect(html.match(/<section class="box-map">/g)).toHaveLength(2);
+  });
+});
+
+describe('createTipLabels', () => {
+  it('should make one label per tip in box and slot order', () => {
+    const labels = createTipLabels([
+      tip('Rose', 'B1', box100),
+      tip('Musk', 'B1'),
+      tip('Ambroxan', 'A12'),
+    ], boxes, now);
+    expect(labels).toEqual([
+      { ingredient: 'Ambroxan', location: '10µL-Box-1 · A12', detail: '10 µL · printed 2026-01-15' },
+      { ingredient: 'Musk', location: '10µL-Box-1 · B1', detail: '10 µL · printed 2026-01-15' },
+      { ingredient: 'Rose', location: '100µL-Box-1 · B1', detail: '100 µL · printed 2026-01-15' },
+    ]);
+  });
+
+  it('should skip retired tips', () => {
+    expect(createTipLabels([tip('Musk', 'A1', box10, { retiredAt: date })], boxes, now)).toEqual([]);
+  });
+});
+
+describe('renderLabelSheetHtml', () => {
+  const label = { ingredient: 'Musk & Co', location: '10µL-Box-1 · A1', detail: '10 µL' };
+
+  it('should place labels on the sheet grid', () => {
+    const html = renderLabelSheetHtml([label, label, label, label, label, label]);
+    expect(html).toContain('left:4.75mm;top:10.7mm');
+    expect(html).toContain('left:45.35mm;top:10.7mm');
+    expect(html).toContain('left:4.75mm;top:31.9mm');
+    expect(html).toContain('Musk &amp; Co');
+  });
+
+  it('should start a new sheet when one is full', () => {
+    const perPage = LABEL_SHEET.columns * LABEL_SHEET.rows;
+    const html = renderLabelSheetHtml(Array(perPage + 1).fill(label));
+    expect(html.match(/<div class="sheet">/g)).toHaveLength(2);
+  });
+});
@@ -0,0 +1,168 @@
+/**
+ * Boxes - Regression Tests
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  defaultBoxId,
+  defaultBox,
+  validateBox,
+  findBox,
+  boxLayout,
+  boxesForTipSize,
+  describeBox,
+  createBox,
+  updateBox,
+  deleteBox,
+  checkTipInBox,
+  boxStats,
+  migrateTips,
+  loadBoxes,
+} from '../src/boxes.js';
+
+const box10 = defaultBox(10);
+const holder = { id: 'box-holder-24-1', name: 'Vial holder', location: 'bench', layout: 'holder-24', tipSize: null };
+
+describe('defaultBox', () => {
+  it('should name the first box of a size', () => {
+    expect(defaultBoxId(10)).toBe('box-10-1');
+    expect(box10).toEqual({ id: 'box-10-1', name: '10µL-Box-1', location: '', layout: 'rack-10', tipSize: 10 });
+    expect(defaultBox(50)).toBeNull();
+  });
+});
+
+describe('validateBox', () => {
+  it('should accept a complete box', () => {
+    expect(validateBox(box10)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should require id, name and a known layout', () => {
+    expect(validateBox({ id: '', name: ' ', layout: 'rack-7' }).errors).toEqual([
+      'Box ID is required',
+      'Box name is required',
+      'Unknown box layout "rack-7"',
+    ]);
+    expect(validateBox(null).valid).toBe(false);
+  });
+});
+
+describe('createBox', () => {
+  it('should number boxes of the same size', () => {
+    const result = createBox([box10], { name: ' 10µL-Box-2 ', location: 'shelf B', layout: 'rack-10' });
+    expect(result.error).toBeNull();
+    expect(result.box).toEqual({ id: 'box-10-2', name: '10µL-Box-2', location: 'shelf B', layout: 'rack-10', tipSize: 10 });
+    expect(result.boxes).toHaveLength(2);
+    expect(describeBox(result.box)).toBe('10µL-Box-2, shelf B');
+  });
+
+  it('should use the layout ID for holders', () => {
+    expect(createBox([], { name: 'Vials', layout: 'holder-24' }).box.id).toBe('box-holder-24-1');
+  });
+
+  it('should reject duplicate names, missing names and unknown layouts', () => {
+    expect(createBox([box10], { name: '10µl-box-1', layout: 'rack-10' }).error)
+      .toBe('A box named "10µl-box-1" already exists');
+    expect(createBox([], { name: '', layout: 'rack-10' }).error).toBe('Box name is required');
+    expect(createBox([], { name: 'X', layout: 'nope' }).error).toBe('Unknown box layout "nope"');
+  });
+});
+
+describe('updateBox / deleteBox', () => {
+  it('should rename and move a box', () => {
+    const result = updateBox([box10], box10.id, { location: ' shelf A ' });
+    expect(result.boxes[0]).toMatchObject({ name: '10µL-Box-1', location: 'shelf A' });
+    expect(updateBox([box10, holder], holder.id, { name: '10µL-Box-1' }).error)
+      .toBe('A box named "10µL-Box-1" already exists');
+    expect(updateBox([], 'missing', {}).error).toBe('Box missing not found');
+  });
+
+  it('should only delete empty boxes', () => {
+    const tips = [{ ingredient: 'Musk', tipSize: 10, coord: 'A1', box: box10.id }];
+    expect(deleteBox([box10], tips, box10.id).error).toBe('Box still holds 1 tip(s)');
+    expect(deleteBox([box10, holder], tips, holder.id)).toEqual({ boxes: [box10], error: null });
+  });
+});
+
+describe('lookups', () => {
+  it('should find boxes and their layouts', () => {
+    expect(findBox([box10, holder], holder.id)).toBe(holder);
+    expect(findBox([], 'x')).toBeNull();
+    expect(boxLayout(holder).rows).toBe(4);
+    expect(boxLayout(null)).toBeNull();
+  });
+
+  it('should list boxes that take a tip size', () => {
+    const box100 = defaultBox(100);
+    expect(boxesForTipSize([box10, box100, holder], 100)).toEqual([box100, holder]);
+  });
+});
+
+describe('checkTipInBox', () => {
+  it('should check box, size and coordinate', () => {
+    const boxes = [box10, holder];
+    expect(checkTipInBox({ tipSize: 10, coord: 'H12', box: box10.id }, boxes)).toBeNull();
+    expect(checkTipInBox({ tipSize: 100, coord: '2C', box: holder.id }, boxes)).toBeNull();
+    expect(checkTipInBox({ tipSize: 100, coord: 'A1', box: box10.id }, boxes)).toBe('10µL-Box-1 holds 10µL tips');
+    expect(checkTipInBox({ tipSize: 10, coord: 'A13', box: box10.id }, boxes))
+      .toBe('Invalid coordinate "A13" for 10µL-Box-1');
+    expect(checkTipInBox({ tipSize: 10, coord: 'A1', box: 'gone' }, boxes)).toBe('Unknown box "gone"');
+  });
+});
+
+describe('boxStats', () => {
+  it('should count tips and free slots per box', () => {
+    const tips = [
+      { tipSize: 10, coord: 'A1', box: box10.id },
+      { tipSize: 10, coord: '1A', box: holder.id },
+      { tipSize: 10, coord: '1B', box: holder.id },
+    ];
+    expect(boxStats(tips, [box10, holder])).toEqual([
+      { box: box10, count: 1, capacity: 96, free: 95 },
+      { box: holder, count: 2, capacity: 24, free: 22 },
+    ]);
+  });
+});
+
+describe('migrateTips', () => {
+  it('should move unboxed tips into a default box per size', () => {
+    const tips = [
+      { ingredient: 'Musk', tipSize: 10, coord: 'A1' },
+      { ingredient: 'Rose', tipSize: 100, coord: 'L8' },
+      { ingredient: 'Civet', tipSize: 10, coord: 'A1', box: 'box-10-2' },
+    ];
+    const second = { ...box10, id: 'box-10-2', name: '10µL-Box-2' };
+    const result = migrateTips(tips, [second]);
+    expect(result.migrated).toBe(2);
+    expect(result.tips.map((t) => t.box)).toEqual(['box-10-1', 'box-100-1', 'box-10-2']);
+    expect(result.boxes.map((b) => b.name)).toEqual(['10µL-Box-2', '10µL-Box-1', '100µL-Box-1']);
+    expect(tips[0].box).toBeUndefined();
+  });
+
+  it('should reuse existing default boxes and be idempotent', () => {
+    const first = migrateTips([{ ingredient: 'Musk', tipSize: 10, coord: 'A1' }], [box10]);
+    expect(first.boxes).toEqual([box10]);
+    const again = migrateTips(first.tips, first.boxes);
+    expect(again).toEqual({ tips: first.tips, boxes: first.boxes, migrated: 0 });
+  });
+
+  it('should move tips whose box no longer exists', () => {
+    const result = migrateTips([{ ingredient: 'Civet', tipSize: 10, coord: 'A1', box: 'box-10-7' }], [box10]);
+    expect(result.migrated).toBe(1);
+    expect(result.tips[0].box).toBe('box-10-1');
+  });
+
+  it('should leave tips of unknown sizes alone', () => {
+    const tip = { ingredient: 'Odd', tipSize: 50, coord: 'A1' };
+    expect(migrateTips([tip], [])).toEqual({ tips: [tip], boxes: [], migrated: 0 });
+  });
+});
+
+describe('loadBoxes', () => {
+  it('should parse saved boxes and drop malformed ones', () => {
+    expect(loadBoxes(JSON.stringify([box10, { id: 'x' }]))).toEqual([box10]);
+  });
+
+  it('should survive corrupt or missing data', () => {
+    expect(loadBoxes('{oops')).toEqual([]);
+    expect(loadBoxes(null)).toEqual([]);
+  });
+});
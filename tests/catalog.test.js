@@ -0,0 +1,312 @@
+/**
+ * Catalog - Regression Tests
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  OLFACTIVE_FAMILIES,
+  parseDilution,
+  isValidCas,
+  entryNames,
+  validateEntry,
+  findEntry,
+  matchEntry,
+  createEntry,
+  updateEntry,
+  deleteEntry,
+  suggestEntries,
+  linkTip,
+  linkTips,
+  describeEntry,
+  catalogDensities,
+  loadCatalog,
+} from '../src/catalog.js';
+
+const date = '2026-01-10T09:00:00.000Z';
+const ibq = {
+  id: 'ing-isobutyl-quinoline',
+  name: 'Isobutyl Quinoline',
+  aliases: ['IBQ'],
+  cas: '65442-31-1',
+  supplier: 'Symrise',
+  dilution: 10,
+  density: 1.02,
+  family: 'leather',
+};
+const castoreum = {
+  id: 'ing-castoreum-absolute',
+  name: 'Castoreum Absolute',
+  aliases: ['Castoreum abs'],
+  cas: '',
+  supplier: '',
+  dilution: null,
+  density: null,
+  family: 'animalic',
+};
+const tonkin = { ...castoreum, id: 'ing-tonkin-musk-tincture', name: 'Tonkin Musk Tincture', aliases: [], dilution: 3 };
+const catalog = [ibq, castoreum, tonkin];
+const tip = (ingredient, coord, extra = {}) => ({
+  ingredient, tipSize: 10, row: coord[0], col: coord.slice(1), coord, date, box: 'box-10-1', ...extra,
+});
+
+describe('OLFACTIVE_FAMILIES', () => {
+  it('should include the families used in the formula', () => {
+    expect(OLFACTIVE_FAMILIES).toEqual(expect.arrayContaining(['leather', 'animalic', 'powdery', 'woody']));
+  });
+});
+
+describe('parseDilution', () => {
+  it('should read a trailing percentage with or without brackets', () => {
+    expect(parseDilution('Isobutyl quinoline 10%')).toEqual({ name: 'Isobutyl quinoline', dilution: 10 });
+    expect(parseDilution('Tonkin Musk Tincture (3%)')).toEqual({ name: 'Tonkin Musk Tincture', dilution: 3 });
+    expect(parseDilution('Ambrox 0,5 %')).toEqual({ name: 'Ambrox', dilution: 0.5 });
+  });
+
+  it('should leave grades and plain names alone', () => {
+    expect(parseDilution('Orris Butter (15% Irones)')).toEqual({ name: 'Orris Butter (15% Irones)', dilution: null });
+    expect(parseDilution(' Civettone ')).toEqual({ name: 'Civettone', dilution: null });
+    expect(parseDilution('10%')).toEqual({ name: '10%', dilution: null });
+  });
+});
+
+describe('isValidCas', () => {
+  it('should accept numbers with a correct check digit', () => {
+    expect(isValidCas('7732-18-5')).toBe(true);
+    expect(isValidCas('65442-31-1')).toBe(true);
+  });
+
+  it('should reject bad formats and check digits', () => {
+    expect(isValidCas('7732-18-4')).toBe(false);
+    expect(isValidCas('7732185')).toBe(false);
+    expect(isValidCas('')).toBe(false);
+  });
+});
+
+describe('validateEntry', () => {
+  it('should accept a complete entry', () => {
+    expect(validateEntry(ibq, catalog)).toEqual({ valid: true, errors: [] });
+  });
+
+  it('should check every field', () => {
+    const { errors } = validateEntry({ id: '', name: ' ', aliases: [], cas: '123-45-6', dilution: 150, density: -1, family: 'fizzy' });
+    expect(errors).toEqual([
+      'Catalog ID is required',
+      'Name is required',
+      'Invalid CAS number "123-45-6"',
+      'Dilution must be between 0 and 100%',
+      'Density must be a positive number',
+      'Unknown olfactive family "fizzy"',
+    ]);
+  });
+
+  it('should reject names and aliases another entry already uses', () => {
+    const clash = { ...castoreum, id: 'ing-new', name: 'New', aliases: ['isobutyl-quinoline'] };
+    expect(validateEntry(clash, catalog).errors).toEqual(['"isobutyl-quinoline" is already used by Isobutyl Quinoline']);
+  });
+});
+
+describe('entryNames / findEntry', () => {
+  it('should list the canonical name first', () => {
+    expect(entryNames(ibq)).toEqual(['Isobutyl Quinoline', 'IBQ']);
+  });
+
+  it('should find entries by ID', () => {
+    expect(findEntry(catalog, 'ing-castoreum-absolute')).toBe(castoreum);
+    expect(findEntry(catalog, 'ing-missing')).toBeNull();
+  });
+});
+
+describe('matchEntry', () => {
+  it('should match names and aliases, ignoring case and dilution', () => {
+    expect(matchEntry(catalog, 'Isobutyl quinoline 10%')).toBe(ibq);
+    expect(matchEntry(catalog, 'ibq')).toBe(ibq);
+    expect(matchEntry(catalog, 'Tonkin Musk Tincture (3%)')).toBe(tonkin);
+  });
+
+  it('should match abbreviations', () => {
+    expect(matchEntry(catalog, 'Castoreum Abs.')).toBe(castoreum);
+  });
+
+  it('should prefer the entry with the dilution in the name', () => {
+    const neat = { ...ibq, id: 'ing-isobutyl-quinoline-2', name: 'Isobutyl Quinoline neat', aliases: ['IBQ neat'], dilution: null };
+    const strong = { ...ibq, id: 'ing-ibq-1', name: 'IBQ 1', aliases: [], dilution: 1 };
+    expect(matchEntry([strong, ibq, neat], 'IBQ 10%')).toBe(ibq);
+  });
+
+  it('should return null when nothing matches', () => {
+    expect(matchEntry(catalog, 'Rose oxide')).toBeNull();
+    expect(matchEntry(catalog, '')).toBeNull();
+  });
+});
+
+describe('createEntry', () => {
+  it('should add an entry with an ID from its name', () => {
+    const result = createEntry([], { name: ' Civettone ', aliases: 'Civetone, , 9-cycloheptadecen-1-one', dilution: '', density: '0.92', family: 'animalic' });
+    expect(result.error).toBeNull();
+    expect(result.entry).toEqual({
+      id: 'ing-civettone',
+      name: 'Civettone',
+      aliases: ['Civetone', '9-cycloheptadecen-1-one'],
+      cas: '',
+      supplier: '',
+      dilution: null,
+      density: 0.92,
+      family: 'animalic',
+    });
+    expect(result.catalog).toEqual([result.entry]);
+  });
+
+  it('should keep IDs unique', () => {
+    const first = { ...castoreum, id: 'ing-rose', name: 'Rose Otto', aliases: [] };
+    expect(createEntry([first], { name: 'Rose' }).entry.id).toBe('ing-rose-2');
+  });
+
+  it('should refuse invalid entries', () => {
+    expect(createEntry(catalog, { name: 'IBQ' })).toEqual({
+      catalog, entry: null, error: '"IBQ" is already used by Isobutyl Quinoline',
+    });
+  });
+
+  it('should keep dilution variants of one material apart', () => {
+    let result = createEntry([], { name: 'Isobutyl quinoline 10%', dilution: 10 });
+    result = createEntry(result.catalog, { name: 'Isobutyl quinoline 1%', dilution: 1 });
+    expect(result.error).toBeNull();
+    expect(result.catalog.map(e => e.id)).toEqual(['ing-isobutyl-quinoline', 'ing-isobutyl-quinoline-2']);
+    expect(matchEntry(result.catalog, 'Isobutyl quinoline 1%')).toBe(result.entry);
+
+    const byField = createEntry([], { name: 'Ethyl vanillin', dilution: 10 }).catalog;
+    expect(createEntry(byField, { name: 'Ethyl vanillin', dilution: 1 }).error).toBeNull();
+    expect(createEntry(byField, { name: 'Ethyl vanillin 10%' }).error).toBe('"Ethyl vanillin 10%" is already used by Ethyl vanillin');
+  });
+
+  it('should link tips to variants that differ only in the name', () => {
+    let result = createEntry([], { name: 'Isobutyl quinoline 10%' });
+    result = createEntry(result.catalog, { name: 'Isobutyl quinoline 1%' });
+    expect(result.error).toBeNull();
+    const [strong, weak] = result.catalog;
+    expect(matchEntry(result.catalog, 'Isobutyl quinoline 1%')).toBe(weak);
+    expect(matchEntry(result.catalog, 'isobutyl quinoline (10%)')).toBe(strong);
+    expect(linkTip(tip('Isobutyl quinoline 1%', 'A1'), result.catalog)).toEqual(
+      tip('Isobutyl quinoline 1%', 'A1', { catalogId: weak.id })
+    );
+  });
+});
+
+describe('updateEntry', () => {
+  it('should change details and keep the ID', () => {
+    const result = updateEntry(catalog, ibq.id, { supplier: 'Givaudan', aliases: 'IBQ, Pyralone' });
+    expect(result.error).toBeNull();
+    expect(findEntry(result.catalog, ibq.id)).toEqual({ ...ibq, supplier: 'Givaudan', aliases: ['IBQ', 'Pyralone'] });
+  });
+
+  it('should allow keeping its own names', () => {
+    expect(updateEntry(catalog, ibq.id, { name: 'isobutyl quinoline' }).error).toBeNull();
+  });
+
+  it('should report unknown entries and invalid changes', () => {
+    expect(updateEntry(catalog, 'ing-missing', {}).error).toBe('Catalog entry ing-missing not found');
+    expect(updateEntry(catalog, ibq.id, { cas: 'abc' })).toEqual({ catalog, error: 'Invalid CAS number "abc"' });
+  });
+});
+
+describe('deleteEntry', () => {
+  it('should delete entries no tip links to', () => {
+    expect(deleteEntry(catalog, [tip('IBQ', 'A1')], ibq.id).catalog).toEqual([castoreum, tonkin]);
+  });
+
+  it('should refuse while tips link to the entry', () => {
+    const tips = [tip('Isobutyl Quinoline', 'A1', { catalogId: ibq.id })];
+    expect(deleteEntry(catalog, tips, ibq.id)).toEqual({ catalog, error: '1 tip(s) still link to this entry' });
+  });
+});
+
+describe('suggestEntries', () => {
+  it('should rank closer matches first', () => {
+    const musk = { ...castoreum, id: 'ing-musk-ketone', name: 'Musk Ketone', aliases: [] };
+    expect(suggestEntries([...catalog, musk], 'mus').map(s => s.entry.name)).toEqual(['Musk Ketone', 'Tonkin Musk Tincture']);
+  });
+
+  it('should report the alias that matched and its score', () => {
+    expect(suggestEntries(catalog, 'ib')).toEqual([{ entry: ibq, name: 'IBQ', score: 0.9 }]);
+  });
+
+  it('should tolerate typos', () => {
+    expect(suggestEntries(catalog, 'isobutyl quinolin')[0].entry).toBe(ibq);
+    expect(suggestEntries(catalog, 'castorem')[0].entry).toBe(castoreum);
+  });
+
+  it('should respect the limit and ignore empty queries', () => {
+    const many = ['Rose A', 'Rose B', 'Rose C'].map((name, i) => ({ ...castoreum, id: `ing-${i}`, name, aliases: [] }));
+    expect(suggestEntries(many, 'rose', 2)).toHaveLength(2);
+    expect(suggestEntries(catalog, '  ')).toEqual([]);
+  });
+});
+
+describe('linkTip', () => {
+  it('should link a matching tip and use the canonical name', () => {
+    expect(linkTip(tip('ibq 10%', 'A1'), catalog)).toEqual(tip('Isobutyl Quinoline', 'A1', { catalogId: ibq.id }));
+  });
+
+  it('should leave other tips unchanged', () => {
+    const rose = tip('Rose oxide', 'A2');
+    expect(linkTip(rose, catalog)).toBe(rose);
+  });
+});
+
+describe('linkTips', () => {
+  it('should link unlinked tips and count them', () => {
+    const tips = [tip('Castoreum Abs.', 'A1'), tip('Rose oxide', 'A2')];
+    const result = linkTips(tips, catalog);
+    expect(result.linked).toBe(1);
+    expect(result.tips[0]).toMatchObject({ ingredient: 'Castoreum Absolute', catalogId: castoreum.id });
+    expect(result.tips[1]).toBe(tips[1]);
+  });
+
+  it('should rename linked tips after their entry', () => {
+    const tips = [tip('IBQ', 'A1', { catalogId: ibq.id })];
+    expect(linkTips(tips, catalog)).toMatchObject({ tips: [{ ingredient: 'Isobutyl Quinoline' }], linked: 0, renamed: 1 });
+  });
+
+  it('should relink or unlink tips whose entry is gone', () => {
+    const tips = [tip('IBQ', 'A1', { catalogId: 'ing-old' }), tip('Rose', 'A2', { catalogId: 'ing-rose' })];
+    const result = linkTips(tips, catalog);
+    expect(result.tips[0].catalogId).toBe(ibq.id);
+    expect(result.tips[1]).toEqual(tip('Rose', 'A2'));
+  });
+
+  it('should return the same array when nothing changes', () => {
+    const tips = [tip('Isobutyl Quinoline', 'A1', { catalogId: ibq.id })];
+    expect(linkTips(tips, catalog).tips).toBe(tips);
+  });
+});
+
+describe('describeEntry', () => {
+  it('should list the details that are set', () => {
+    expect(describeEntry(ibq)).toBe('Isobutyl Quinoline · 10% · CAS 65442-31-1 · Symrise · 1.02 g/mL · leather');
+    expect(describeEntry(castoreum)).toBe('Castoreum Absolute · animalic');
+  });
+});
+
+describe('catalogDensities', () => {
+  it('should give densities for names whose entry has one', () => {
+    expect(catalogDensities(catalog, ['Isobutyl quinoline 10%', 'Castoreum Absolute', 'Rose'])).toEqual({
+      'Isobutyl quinoline 10%': 1.02,
+    });
+  });
+});
+
+describe('loadCatalog', () => {
+  it('should round-trip a saved catalog', () => {
+    expect(loadCatalog(JSON.stringify(catalog))).toEqual(catalog);
+  });
+
+  it('should drop malformed and clashing entries', () => {
+    const saved = [ibq, { name: 'No ID' }, { ...ibq, id: 'ing-copy' }, 'junk'];
+    expect(loadCatalog(JSON.stringify(saved))).toEqual([ibq]);
+  });
+
+  it('should survive corrupt or missing data', () => {
+    expect(loadCatalog('not json')).toEqual([]);
+    expect(loadCatalog(null)).toEqual([]);
+    expect(loadCatalog('{}')).toEqual([]);
+  });
+});
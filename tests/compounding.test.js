@@ -0,0 +1,228 @@
+/**
+ * Compounding Session - Regression Tests
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  createBatchId,
+  createSession,
+  isStepDone,
+  recordDispense,
+  skipStep,
+  goToStep,
+  pauseSession,
+  resumeSession,
+  sessionProgress,
+  finishSession,
+  restoreSession,
+  locateTips,
+} from '../src/compounding.js';
+import { addBatch } from '../src/batch-history.js';
+
+const start = new Date(2026, 0, 15, 10, 30);
+const later = new Date(2026, 0, 15, 10, 45);
+
+const lines = [
+  { name: 'Castoreum Absolute', section: 'Animalic Base', amount: { value: 300, unit: 'µL' } },
+  { name: 'Civettone', section: 'Animalic Base', amount: { value: 125, unit: 'µL' } },
+  { name: 'Damascone beta', section: 'Fruit', amount: { value: 3, unit: 'µL' } },
+];
+
+describe('createBatchId', () => {
+  it('should encode the local date and time', () => {
+    expect(createBatchId(start)).toBe('B-20260115-103000');
+  });
+
+  it('should keep batches started in the same minute apart', () => {
+    const first = finishSession(createSession(lines, { now: start }), later).batch;
+    const second = finishSession(createSession(lines, { now: new Date(2026, 0, 15, 10, 30, 42) }), later).batch;
+    const third = finishSession(createSession(lines, { now: start }), later).batch;
+    let { batches } = addBatch([], first);
+    ({ batches } = addBatch(batches, second));
+    ({ batches } = addBatch(batches, third));
+    expect(batches.map(b => b.id)).toEqual(['B-20260115-103000', 'B-20260115-103042', 'B-20260115-103000-2']);
+  });
+});
+
+describe('createSession', () => {
+  it('should start active at the first step', () => {
+    const session = createSession(lines, { formula: 'Susuyomichi January 2026', now: start });
+    expect(session.id).toBe('B-20260115-103000');
+    expect(session.status).toBe('active');
+    expect(session.current).toBe(0);
+    expect(session.formula).toBe('Susuyomichi January 2026');
+    expect(session.revision).toBeNull();
+    expect(session.startedAt).toBe(start.toISOString());
+    expect(session.steps).toHaveLength(3);
+    expect(session.steps[0]).toEqual({
+      name: 'Castoreum Absolute',
+      section: 'Animalic Base',
+      planned: { value: 300, unit: 'µL' },
+      actual: null,
+      dispensedAt: null,
+      skipped: false,
+    });
+  });
+});
+
+describe('recordDispense', () => {
+  it('should record the actual amount and time and advance', () => {
+    const session = recordDispense(createSession(lines, { now: start }), { value: 310, unit: 'µL' }, later);
+    expect(session.steps[0].actual).toEqual({ value: 310, unit: 'µL' });
+    expect(session.steps[0].dispensedAt).toBe(later.toISOString());
+    expect(session.current).toBe(1);
+    expect(session.updatedAt).toBe(later.toISOString());
+  });
+
+  it('should not change a paused session', () => {
+    const paused = pauseSession(createSession(lines, { now: start }), later);
+    expect(recordDispense(paused, { value: 1, unit: 'µL' }, later)).toBe(paused);
+  });
+
+  it('should return to skipped-over steps after the last one', () => {
+    let session = createSession(lines, { now: start });
+    session = goToStep(session, 1);
+    session = recordDispense(session, { value: 125, unit: 'µL' }, later);
+    session = recordDispense(session, { value: 3, unit: 'µL' }, later);
+    expect(session.current).toBe(0);
+  });
+
+  it('should point past the end once every step is done', () => {
+    let session = createSession(lines, { now: start });
+    lines.forEach((line) => {
+      session = recordDispense(session, line.amount, later);
+    });
+    expect(session.current).toBe(3);
+    expect(recordDispense(session, { value: 1, unit: 'µL' }, later)).toBe(session);
+  });
+});
+
+describe('skipStep', () => {
+  it('should mark the step skipped and advance', () => {
+    const session = skipStep(createSession(lines, { now: start }), later);
+    expect(session.steps[0].skipped).toBe(true);
+    expect(isStepDone(session.steps[0])).toBe(true);
+    expect(session.current).toBe(1);
+  });
+});
+
+describe('goToStep', () => {
+  it('should allow correcting an earlier dispense', () => {
+    let session = recordDispense(createSession(lines, { now: start }), { value: 200, unit: 'µL' }, later);
+    session = goToStep(session, 0);
+    session = recordDispense(session, { value: 300, unit: 'µL' }, later);
+    expect(session.steps[0].actual).toEqual({ value: 300, unit: 'µL' });
+    expect(session.current).toBe(1);
+  });
+
+  it('should ignore out of range steps', () => {
+    const session = createSession(lines, { now: start });
+    expect(goToStep(session, 5)).toBe(session);
+    expect(goToStep(session, -1)).toBe(session);
+  });
+});
+
+describe('pauseSession / resumeSession', () => {
+  it('should toggle between active and paused', () => {
+    const paused = pauseSession(createSession(lines, { now: start }), later);
+    expect(paused.status).toBe('paused');
+    expect(resumeSession(paused, later).status).toBe('active');
+  });
+
+  it('should ignore invalid transitions', () => {
+    const active = createSession(lines, { now: start });
+    expect(resumeSession(active)).toBe(active);
+  });
+});
+
+describe('sessionProgress', () => {
+  it('should count dispensed and skipped steps', () => {
+    let session = createSession(lines, { now: start });
+    session = recordDispense(session, { value: 300, unit: 'µL' }, later);
+    session = skipStep(session, later);
+    expect(sessionProgress(session)).toEqual({ done: 2, dispensed: 1, skipped: 1, total: 3 });
+  });
+});
+
+describe('finishSession', () => {
+  it('should produce a batch record with planned and actual amounts', () => {
+    let session = createSession(lines, { target: { volume: { value: 100, unit: 'mL' } }, now: start });
+    session = recordDispense(session, { value: 305, unit: 'µL' }, later);
+    const { session: finished, batch } = finishSession(session, later);
+
+    expect(finished.status).toBe('finished');
+    expect(batch.id).toBe('B-20260115-103000');
+    expect(batch.date).toBe(start.toISOString());
+    expect(batch.finishedAt).toBe(later.toISOString());
+    expect(batch.target).toEqual({ volume: { value: 100, unit: 'mL' } });
+    expect(batch.revision).toBeNull();
+    expect(batch.lines).toHaveLength(3);
+    expect(batch.lines[0]).toMatchObject({
+      name: 'Castoreum Absolute',
+      planned: { value: 300, unit: 'µL' },
+      actual: { value: 305, unit: 'µL' },
+    });
+    expect(batch.lines[1].actual).toBeNull();
+  });
+});
+
+describe('formula revision', () => {
+  it('should carry the revision ID into the batch record', () => {
+    const session = createSession(lines, { revision: 'R-20260101-090000', now: start });
+    expect(session.revision).toBe('R-20260101-090000');
+    expect(finishSession(session, later).batch.revision).toBe('R-20260101-090000');
+  });
+});
+
+describe('restoreSession', () => {
+  it('should round-trip a saved session', () => {
+    const session = pauseSession(createSession(lines, { now: start }), later);
+    expect(restoreSession(JSON.stringify(session))).toEqual(session);
+  });
+
+  it('should reject missing, corrupt and finished sessions', () => {
+    expect(restoreSession(null)).toBeNull();
+    expect(restoreSession('{not json')).toBeNull();
+    expect(restoreSession('{"status":"active"}')).toBeNull();
+    const { session } = finishSession(createSession(lines, { now: start }), later);
+    expect(restoreSession(JSON.stringify(session))).toBeNull();
+  });
+});
+
+describe('locateTips', () => {
+  const tips = [
+    { ingredient: 'Castoreum Abs.', tipSize: 10, coord: 'A1' },
+    { ingredient: 'Castoreum Absolute', tipSize: 100, coord: 'B3' },
+    { ingredient: 'Civettone', tipSize: 100, coord: 'C1' },
+  ];
+
+  it('should find tips by fuzzy ingredient name', () => {
+    expect(locateTips(tips, 'Civettone', { value: 125, unit: 'µL' })).toEqual([tips[2]]);
+  });
+
+  it('should list the recommended tip size first', () => {
+    const found = locateTips(tips, 'Castoreum Absolute', { value: 300, unit: 'µL' });
+    expect(found.map((t) => t.coord)).toEqual(['B3', 'A1']);
+  });
+
+  it('should recommend among the tip sizes on hand', () => {
+    const withLarge = [...tips, { ingredient: 'Castoreum Absolute', tipSize: 1000, coord: 'A2' }];
+    expect(locateTips(withLarge, 'Castoreum Absolute', { value: 450, unit: 'µL' }).map((t) => t.coord)).toEqual(['A2', 'A1', 'B3']);
+    expect(locateTips(tips, 'Castoreum Absolute', { value: 450, unit: 'µL' }).map((t) => t.coord)).toEqual(['B3', 'A1']);
+  });
+
+  it('should return an empty list when no tip exists', () => {
+    expect(locateTips(tips, 'Damascone beta', { value: 3, unit: 'µL' })).toEqual([]);
+  });
+
+  it('should skip retired tips', () => {
+    const retired = tips.map((t) => (t.coord === 'B3' ? { ...t, retiredAt: '2026-01-01T00:00:00.000Z' } : t));
+    expect(locateTips(retired, 'Castoreum Absolute', { value: 300, unit: 'µL' }).map((t) => t.coord)).toEqual(['A1']);
+  });
+
+  it('should find tips linked to a catalog entry by its aliases', () => {
+    const catalog = [{ id: 'ing-civettone', name: 'Civettone', aliases: ['Civetone'] }];
+    const linked = [{ ...tips[2], catalogId: 'ing-civettone' }];
+    expect(locateTips(linked, 'Civetone', { value: 125, unit: 'µL' }, catalog)).toEqual(linked);
+    expect(locateTips(linked, 'Civetone', { value: 125, unit: 'µL' })).toEqual([]);
+  });
+});
@@ -0,0 +1,167 @@
+/**
+ * Formula Revisions - Regression Tests
+ */
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import {
+  formulaFingerprint,
+  createRevisionId,
+  createRevision,
+  findRevision,
+  findRevisionByContent,
+  addRevision,
+  deleteRevision,
+  loadRevisions,
+  diffFormulas,
+} from '../src/formula-revisions.js';
+import { parseFormula } from '../src/formula.js';
+
+const TEX = readFileSync(resolve(__dirname, '../susuyomichi_current.tex'), 'utf8');
+
+const saved = new Date(2026, 0, 15, 10, 30, 5);
+
+const base = {
+  date: 'January 2026',
+  sections: [
+    {
+      title: 'Animalic Base',
+      ingredients: [
+        { name: 'Castoreum Absolute', amount: { value: 300, unit: 'µL' }, function: 'Leather' },
+        { name: 'Civettone', amount: { value: 125, unit: 'µL' }, function: 'Animalic' },
+      ],
+    },
+    {
+      title: 'Fruit',
+      ingredients: [
+        { name: 'Damascone beta', amount: { value: 3, unit: 'µL' }, function: 'Plum' },
+      ],
+    },
+  ],
+};
+
+describe('formulaFingerprint', () => {
+  it('should ignore metadata and reflect ingredient content', () => {
+    expect(formulaFingerprint({ ...base, date: 'February 2026' })).toBe(formulaFingerprint(base));
+    const edited = { ...base, sections: [base.sections[0]] };
+    expect(formulaFingerprint(edited)).not.toBe(formulaFingerprint(base));
+  });
+});
+
+describe('createRevision', () => {
+  it('should encode the save time in the ID', () => {
+    expect(createRevisionId(saved)).toBe('R-20260115-103005');
+  });
+
+  it('should default the label to the formula date', () => {
+    const revision = createRevision(base, { now: saved });
+    expect(revision).toMatchObject({
+      id: 'R-20260115-103005',
+      label: 'January 2026',
+      savedAt: saved.toISOString(),
+      formula: base,
+    });
+    expect(createRevision(base, { label: 'Less civet', now: saved }).label).toBe('Less civet');
+  });
+});
+
+describe('addRevision / findRevision / deleteRevision', () => {
+  const first = createRevision(base, { now: saved });
+
+  it('should add and find a revision', () => {
+    const result = addRevision([], first);
+    expect(result.error).toBeNull();
+    expect(findRevision(result.revisions, first.id)).toBe(first);
+    expect(findRevisionByContent(result.revisions, base)).toBe(first);
+  });
+
+  it('should return the stored revision for duplicate content', () => {
+    const again = createRevision(base, { now: new Date(2026, 1, 1) });
+    const result = addRevision([first], again);
+    expect(result.error).toBe('Same content as revision "January 2026"');
+    expect(result.revision).toBe(first);
+    expect(result.revisions).toHaveLength(1);
+  });
+
+  it('should suffix an ID saved in the same second', () => {
+    const other = createRevision({ ...base, sections: [] }, { now: saved });
+    const result = addRevision([first], other);
+    expect(result.error).toBeNull();
+    expect(result.revision.id).toBe('R-20260115-103005-2');
+    expect(result.revisions.map((r) => r.id)).toEqual(['R-20260115-103005', 'R-20260115-103005-2']);
+  });
+
+  it('should delete by ID', () => {
+    expect(deleteRevision([first], first.id)).toEqual([]);
+    expect(findRevision([], 'missing')).toBeNull();
+  });
+});
+
+describe('loadRevisions', () => {
+  it('should parse saved revisions and drop malformed ones', () => {
+    const revision = createRevision(base, { now: saved });
+    expect(loadRevisions(JSON.stringify([revision, { id: 'R-1' }]))).toEqual([revision]);
+  });
+
+  it('should survive corrupt or missing data', () => {
+    expect(loadRevisions('{oops')).toEqual([]);
+    expect(loadRevisions(null)).toEqual([]);
+    expect(loadRevisions('{"id":"R-1"}')).toEqual([]);
+  });
+});
+
+describe('diffFormulas', () => {
+  it('should report no changes for identical formulas', () => {
+    expect(diffFormulas(base, base)).toEqual({ sections: [], summary: { added: 0, removed: 0, changed: 0 } });
+  });
+
+  it('should group added, removed and changed ingredients by section', () => {
+    const next = {
+      ...base,
+      sections: [
+        {
+          title: 'Animalic Base',
+          ingredients: [
+            { name: 'Castoreum Absolute', amount: { value: 0.3, unit: 'mL' }, function: 'Leather' },
+            { name: 'Civettone', amount: { value: 100, unit: 'µL' }, function: 'Fecal' },
+            { name: 'Muscone', amount: { value: 50, unit: 'µL' }, function: 'Musk' },
+          ],
+        },
+      ],
+    };
+    const diff = diffFormulas(base, next);
+
+    expect(diff.summary).toEqual({ added: 1, removed: 1, changed: 1 });
+    expect(diff.sections.map((s) => s.title)).toEqual(['Animalic Base', 'Fruit']);
+    expect(diff.sections[0].added.map((i) => i.name)).toEqual(['Muscone']);
+    expect(diff.sections[0].changed[0]).toMatchObject({
+      name: 'Civettone',
+      from: { amount: { value: 125, unit: 'µL' } },
+      to: { amount: { value: 100, unit: 'µL' } },
+      changes: ['amount', 'function'],
+    });
+    expect(diff.sections[1].removed.map((i) => i.name)).toEqual(['Damascone beta']);
+  });
+
+  it('should report an ingredient moved between sections', () => {
+    const next = {
+      ...base,
+      sections: [
+        { title: 'Animalic Base', ingredients: base.sections[0].ingredients },
+        { title: 'Rose', ingredients: base.sections[1].ingredients },
+      ],
+    };
+    const diff = diffFormulas(base, next);
+    expect(diff.summary).toEqual({ added: 0, removed: 0, changed: 1 });
+    expect(diff.sections[0]).toMatchObject({ title: 'Rose', changed: [{ name: 'Damascone beta', changes: ['section'] }] });
+  });
+
+  it('should diff the real formula against an edited copy', () => {
+    const formula = parseFormula(TEX);
+    const edited = parseFormula(TEX.replace('Civettone & 125', 'Civettone & 100'));
+    expect(diffFormulas(formula, formula).summary).toEqual({ added: 0, removed: 0, changed: 0 });
+    const diff = diffFormulas(formula, edited);
+    expect(diff.summary).toEqual({ added: 0, removed: 0, changed: 1 });
+    expect(diff.sections[0].changed[0]).toMatchObject({ name: 'Civettone', changes: ['amount'] });
+  });
+});
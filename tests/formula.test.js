@@ -0,0 +1,210 @@
+/**
+ * Formula Parser - Regression Tests
+ */
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import {
+  latexToText,
+  parseAmount,
+  normalizeAmount,
+  convertAmount,
+  humanizeAmount,
+  formatAmount,
+  parseSectionHeading,
+  parseFormula,
+  listIngredients,
+} from '../src/formula.js';
+
+const TEX = readFileSync(resolve(__dirname, '../susuyomichi_current.tex'), 'utf8');
+
+describe('latexToText', () => {
+  it('should convert escaped percent and ampersand', () => {
+    expect(latexToText('Tonkin Musk Tincture (3\\%)')).toBe('Tonkin Musk Tincture (3%)');
+    expect(latexToText('Woods \\& Resins')).toBe('Woods & Resins');
+  });
+
+  it('should convert math-mode micro and subscripts', () => {
+    expect(latexToText('300 $\\mu$L')).toBe('300 µL');
+    expect(latexToText('Fresh Ginger CO$_2$')).toBe('Fresh Ginger CO2');
+  });
+
+  it('should convert accents', () => {
+    expect(latexToText('Foug\\`ere note')).toBe('Fougère note');
+  });
+
+  it('should unwrap formatting commands', () => {
+    expect(latexToText('\\textcolor{tentative}{Civet paste}')).toBe('Civet paste');
+    expect(latexToText('\\textbf{Ingredient}')).toBe('Ingredient');
+  });
+});
+
+describe('parseAmount', () => {
+  it('should parse microliters in LaTeX and plain form', () => {
+    expect(parseAmount('450 $\\mu$L')).toEqual({ value: 450, unit: 'µL' });
+    expect(parseAmount('450 µL')).toEqual({ value: 450, unit: 'µL' });
+    expect(parseAmount('450 uL')).toEqual({ value: 450, unit: 'µL' });
+  });
+
+  it('should parse decimal milliliters and grams', () => {
+    expect(parseAmount('1.6 mL')).toEqual({ value: 1.6, unit: 'mL' });
+    expect(parseAmount('0.475 g')).toEqual({ value: 0.475, unit: 'g' });
+  });
+
+  it('should accept a decimal comma', () => {
+    expect(parseAmount('5,5 mL')).toEqual({ value: 5.5, unit: 'mL' });
+  });
+
+  it('should return null for invalid amounts', () => {
+    expect(parseAmount('')).toBeNull();
+    expect(parseAmount('some')).toBeNull();
+    expect(parseAmount('5 drops')).toBeNull();
+  });
+});
+
+describe('normalizeAmount', () => {
+  it('should convert volumes to µL', () => {
+    expect(normalizeAmount({ value: 1.6, unit: 'mL' })).toEqual({ value: 1600, unit: 'µL' });
+    expect(normalizeAmount({ value: 3, unit: 'µL' })).toEqual({ value: 3, unit: 'µL' });
+  });
+
+  it('should convert masses to mg', () => {
+    expect(normalizeAmount({ value: 0.475, unit: 'g' })).toEqual({ value: 475, unit: 'mg' });
+  });
+
+  it('should return null for unknown units', () => {
+    expect(normalizeAmount({ value: 1, unit: 'oz' })).toBeNull();
+  });
+});
+
+describe('convertAmount', () => {
+  it('should convert within volumes and masses', () => {
+    expect(convertAmount({ value: 450, unit: 'µL' }, 'mL')).toEqual({ value: 0.45, unit: 'mL' });
+    expect(convertAmount({ value: 0.475, unit: 'g' }, 'mg')).toEqual({ value: 475, unit: 'mg' });
+  });
+
+  it('should convert between volume and mass with density', () => {
+    expect(convertAmount({ value: 2, unit: 'mL' }, 'g', 0.9)).toEqual({ value: 1.8, unit: 'g' });
+    expect(convertAmount({ value: 0.5, unit: 'g' }, 'µL', 1.25)).toEqual({ value: 400, unit: 'µL' });
+  });
+
+  it('should return null between volume and mass without density', () => {
+    expect(convertAmount({ value: 2.4, unit: 'g' }, 'mL')).toBeNull();
+  });
+
+  it('should return null for unknown units', () => {
+    expect(convertAmount({ value: 1, unit: 'µL' }, 'oz')).toBeNull();
+  });
+});
+
+describe('humanizeAmount', () => {
+  it('should switch to mL and g from 1000 µL / mg', () => {
+    expect(humanizeAmount({ value: 1600, unit: 'µL' })).toEqual({ value: 1.6, unit: 'mL' });
+    expect(humanizeAmount({ value: 2400, unit: 'mg' })).toEqual({ value: 2.4, unit: 'g' });
+  });
+
+  it('should use µL and mg below 1000', () => {
+    expect(humanizeAmount({ value: 0.45, unit: 'mL' })).toEqual({ value: 450, unit: 'µL' });
+    expect(humanizeAmount({ value: 0.475, unit: 'g' })).toEqual({ value: 475, unit: 'mg' });
+  });
+
+  it('should round to bench precision', () => {
+    expect(humanizeAmount({ value: 128.3532, unit: 'µL' })).toEqual({ value: 128.4, unit: 'µL' });
+    expect(humanizeAmount({ value: 2994.9, unit: 'µL' })).toEqual({ value: 2.995, unit: 'mL' });
+  });
+});
+
+describe('formatAmount', () => {
+  it('should join value and unit', () => {
+    expect(formatAmount({ value: 2.4, unit: 'g' })).toBe('2.4 g');
+  });
+});
+
+describe('parseSectionHeading', () => {
+  it('should split roman numeral and title', () => {
+    expect(parseSectionHeading('X. Woods \\& Resins')).toEqual({ id: 'X', title: 'Woods & Resins', tentative: false });
+  });
+
+  it('should flag tentative sections', () => {
+    expect(parseSectionHeading('\\textcolor{tentative}{Pending}')).toEqual({ id: null, title: 'Pending', tentative: true });
+  });
+});
+
+describe('parseFormula', () => {
+  const formula = parseFormula(TEX);
+
+  it('should read title, description and date', () => {
+    expect(formula.title).toBe('煤夜道 Susuyomichi');
+    expect(formula.description).toBe('Animalic Leather Chypre / Aromatic Fougère');
+    expect(formula.date).toBe('January 2026');
+  });
+
+  it('should parse every ingredient section without errors', () => {
+    expect(formula.errors).toEqual([]);
+    expect(formula.sections.map((s) => s.id)).toEqual([
+      'I', 'II', 'III', 'IV', 'V', 'VI', 'VII', 'VIII', 'IX', 'X', 'XI', 'XII', 'XIII', 'XIV', null,
+    ]);
+  });
+
+  it('should skip tables without an Amount column', () => {
+    expect(formula.sections.find((s) => s.title === 'DNA Reference')).toBeUndefined();
+  });
+
+  it('should parse ingredient rows', () => {
+    const animalic = formula.sections[0];
+    expect(animalic.title).toBe('Animalic Base');
+    expect(animalic.ingredients).toHaveLength(5);
+    expect(animalic.ingredients[0]).toEqual({
+      name: 'Tonkin Musk Tincture (3%)',
+      amount: { value: 7, unit: 'mL' },
+      quantity: { value: 7000, unit: 'µL' },
+      function: 'Animalic foundation',
+      tentative: false,
+    });
+  });
+
+  it('should parse mass amounts', () => {
+    const orris = formula.sections[0].ingredients[2];
+    expect(orris.amount).toEqual({ value: 2.4, unit: 'g' });
+    expect(orris.quantity).toEqual({ value: 2400, unit: 'mg' });
+  });
+
+  it('should parse pending ingredients with status', () => {
+    const pending = formula.sections[formula.sections.length - 1];
+    expect(pending.tentative).toBe(true);
+    expect(pending.ingredients[0]).toMatchObject({
+      name: 'Civet paste',
+      amount: { value: 30, unit: 'µL' },
+      status: 'In transit',
+      tentative: true,
+    });
+  });
+
+  it('should report rows it cannot parse with line numbers', () => {
+    const tex = [
+      '\\section*{I. Test}',
+      '\\textbf{Ingredient} & \\textbf{Amount} & \\textbf{Function} \\\\',
+      'Musk & lots & Mystery \\\\',
+      'Rose & 5 mL & Floral \\\\',
+    ].join('\n');
+    const result = parseFormula(tex);
+    expect(result.errors).toHaveLength(1);
+    expect(result.errors[0].line).toBe(3);
+    expect(result.sections[0].ingredients.map((i) => i.name)).toEqual(['Rose']);
+  });
+});
+
+describe('listIngredients', () => {
+  const formula = parseFormula(TEX);
+
+  it('should flatten confirmed ingredients with section titles', () => {
+    const ingredients = listIngredients(formula);
+    expect(ingredients).toHaveLength(88);
+    expect(ingredients[0].section).toBe('Animalic Base');
+    expect(ingredients.some((i) => i.name === 'Civet paste')).toBe(false);
+  });
+
+  it('should include tentative ingredients on request', () => {
+    expect(listIngredients(formula, { includeTentative: true })).toHaveLength(89);
+  });
+});
@@ -0,0 +1,120 @@
+/**
+ * Fuzzy Match - Regression Tests
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  MATERIAL_SUFFIXES,
+  MIN_SCORE,
+  normalizeTokens,
+  editDistance,
+  fuzzyScore,
+  rankMatches,
+} from '../src/fuzzy-match.js';
+
+const names = [
+  'dl-Muscone 100%',
+  'Aldehyde C-12 MNA',
+  'Aldehyde C-11 Undecylenic',
+  'Castoreum Absolute',
+  'Vetiver EO',
+  'Vetiver CO2',
+  'Rose Oxide',
+  'Bulgarian Rose',
+  'Tonkin Musk Tincture (3%)',
+];
+
+describe('normalizeTokens', () => {
+  it('should join letter-number codes however they are written', () => {
+    expect(normalizeTokens('Aldehyde C-12 MNA').core).toEqual(['aldehyde', 'c12', 'mna']);
+    expect(normalizeTokens('aldehyde c 12 mna').core).toEqual(['aldehyde', 'c12', 'mna']);
+    expect(normalizeTokens('Iso E Super').core).toEqual(['iso', 'e', 'super']);
+  });
+
+  it('should drop strengths and split hyphens', () => {
+    expect(normalizeTokens('dl-Muscone 100%')).toEqual({ core: ['dl', 'muscone'], suffixes: [] });
+  });
+
+  it('should separate material suffixes', () => {
+    expect(MATERIAL_SUFFIXES).toEqual(expect.arrayContaining(['eo', 'co2', 'absolute']));
+    expect(normalizeTokens('Vetiver essential oil')).toEqual({ core: ['vetiver'], suffixes: ['eo'] });
+    expect(normalizeTokens('Castoreum Abs.')).toEqual({ core: ['castoreum'], suffixes: ['absolute'] });
+    expect(normalizeTokens('Absolute')).toEqual({ core: ['absolute'], suffixes: [] });
+  });
+});
+
+describe('editDistance', () => {
+  it('should count insertions, deletions and substitutions', () => {
+    expect(editDistance('muscone', 'muscone')).toBe(0);
+    expect(editDistance('muscon', 'muscone')).toBe(1);
+    expect(editDistance('kitten', 'sitting')).toBe(3);
+    expect(editDistance('', 'abc')).toBe(3);
+  });
+
+  it('should count a swap of neighbours as one edit', () => {
+    expect(editDistance('mucsone', 'muscone')).toBe(1);
+  });
+});
+
+describe('fuzzyScore', () => {
+  it('should score the same name 1', () => {
+    expect(fuzzyScore('dl muscone', 'dl-Muscone 100%')).toBe(1);
+    expect(fuzzyScore('castoreum abs', 'Castoreum Absolute')).toBe(1);
+  });
+
+  it('should find names from partial words and codes', () => {
+    expect(fuzzyScore('muscon', 'dl-Muscone 100%')).toBeGreaterThan(MIN_SCORE);
+    expect(fuzzyScore('C12 MNA', 'Aldehyde C-12 MNA')).toBeGreaterThan(0.85);
+  });
+
+  it('should tolerate typos in longer words only', () => {
+    expect(fuzzyScore('mucsone', 'dl-Muscone 100%')).toBeGreaterThan(MIN_SCORE);
+    expect(fuzzyScore('bulgarain rose', 'Bulgarian Rose')).toBeGreaterThan(0.8);
+    expect(fuzzyScore('c11 mna', 'Aldehyde C-12 MNA')).toBe(0);
+  });
+
+  it('should ignore suffixes unless typed', () => {
+    expect(fuzzyScore('vetiver', 'Vetiver EO')).toBe(1);
+    expect(fuzzyScore('vetiver co2', 'Vetiver CO2')).toBeGreaterThan(fuzzyScore('vetiver co2', 'Vetiver EO'));
+  });
+
+  it('should prefer names that start with the query and have fewer extra words', () => {
+    expect(fuzzyScore('rose', 'Rose Oxide')).toBeGreaterThan(fuzzyScore('rose', 'Bulgarian Rose'));
+    expect(fuzzyScore('musk', 'Musk Ketone')).toBeGreaterThan(fuzzyScore('musk', 'Tonkin Musk Tincture'));
+  });
+
+  it('should match text found verbatim', () => {
+    expect(fuzzyScore('r', 'Rose')).toBe(0.6);
+  });
+
+  it('should not match unrelated names', () => {
+    expect(fuzzyScore('vanilla', 'Castoreum Absolute')).toBe(0);
+    expect(fuzzyScore('rose oxide bulgarian', 'Rose Oxide')).toBe(0);
+    expect(fuzzyScore('', 'Rose')).toBe(0);
+  });
+});
+
+describe('rankMatches', () => {
+  it('should rank names best first with their scores', () => {
+    const ranked = rankMatches('rose', names);
+    expect(ranked.map(m => m.item)).toEqual(['Rose Oxide', 'Bulgarian Rose']);
+    expect(ranked[0]).toEqual({ item: 'Rose Oxide', name: 'Rose Oxide', score: 0.9 });
+  });
+
+  it('should find the ingredients from the formula by their variants', () => {
+    expect(rankMatches('muscon', names)[0].item).toBe('dl-Muscone 100%');
+    expect(rankMatches('C12 MNA', names).map(m => m.item)).toEqual(['Aldehyde C-12 MNA']);
+    expect(rankMatches('vetiver co2', names).map(m => m.item)).toEqual(['Vetiver CO2', 'Vetiver EO']);
+  });
+
+  it('should try every name of an item', () => {
+    const items = [{ name: 'Isobutyl Quinoline', aliases: ['IBQ'] }];
+    const [match] = rankMatches('ibq', items, { names: item => [item.name, ...item.aliases] });
+    expect(match).toEqual({ item: items[0], name: 'IBQ', score: 1 });
+  });
+
+  it('should apply the limit and the minimum score', () => {
+    expect(rankMatches('rose', names, { limit: 1 })).toHaveLength(1);
+    expect(rankMatches('r', names, { minScore: 0.7 })).toEqual([]);
+    expect(rankMatches(' ', names)).toEqual([]);
+  });
+});
@@ -0,0 +1,116 @@
+/**
+ * LaTeX Export - Regression Tests
+ */
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import {
+  LATEX_PREAMBLE,
+  escapeLatex,
+  formatTipLocation,
+  exportFormulaTex,
+} from '../src/latex-export.js';
+import { parseFormula, latexToText } from '../src/formula.js';
+
+const TEX = readFileSync(resolve(__dirname, '../susuyomichi_current.tex'), 'utf8');
+
+const tips = [
+  { ingredient: 'Civettone', tipSize: 100, coord: 'C1' },
+  { ingredient: 'Damascone beta', tipSize: 10, coord: 'A3' },
+  { ingredient: 'Damascone beta', tipSize: 100, coord: 'B2' },
+];
+
+describe('escapeLatex', () => {
+  it('should escape special characters', () => {
+    expect(escapeLatex('Woods & Resins')).toBe('Woods \\& Resins');
+    expect(escapeLatex('dl-Muscone 100%')).toBe('dl-Muscone 100\\%');
+    expect(escapeLatex('a_b {c} #1 $2')).toBe('a\\_b \\{c\\} \\#1 \\$2');
+    expect(escapeLatex('~5% ^top')).toBe('\\textasciitilde{}5\\% \\textasciicircum{}top');
+  });
+
+  it('should write units, accents and CO2 the way the sheet does', () => {
+    expect(escapeLatex('300 µL')).toBe('300 $\\mu$L');
+    expect(escapeLatex('Fougère')).toBe('Foug\\`ere');
+    expect(escapeLatex('Fresh Ginger CO2')).toBe('Fresh Ginger CO$_2$');
+  });
+
+  it('should round-trip through latexToText', () => {
+    ['Birch tar (rectified)', 'Isobutyl quinoline 10%', 'Ink & Moss', 'Myrrh CO2', '~0.5 mL ^ lift'].forEach((text) => {
+      expect(latexToText(escapeLatex(text))).toBe(text);
+    });
+  });
+});
+
+describe('formatTipLocation', () => {
+  it('should list tips, recommended size first', () => {
+    const ingredient = { name: 'Damascone beta', amount: { value: 3, unit: 'µL' } };
+    expect(formatTipLocation(tips, ingredient)).toBe('10 $\\mu$L A3, 100 $\\mu$L B2');
+  });
+
+  it('should name the box when the tip is in a known box', () => {
+    const boxes = [{ id: 'box-10-2', name: '10µL-Box-2', location: 'shelf B', layout: 'rack-10', tipSize: 10 }];
+    const boxed = tips.map(t => (t.tipSize === 10 ? { ...t, box: 'box-10-2' } : t));
+    const ingredient = { name: 'Damascone beta', amount: { value: 3, unit: 'µL' } };
+    expect(formatTipLocation(boxed, ingredient, boxes)).toBe('10$\\mu$L-Box-2 A3, 100 $\\mu$L B2');
+  });
+
+  it('should find tips linked to a catalog entry the formula names by alias', () => {
+    const catalog = [{ id: 'ing-beta-damascone', name: 'Beta damascone', aliases: ['Damascone beta'] }];
+    const aliased = [{ ingredient: 'Beta damascone', tipSize: 10, coord: 'D4', catalogId: 'ing-beta-damascone' }];
+    const ingredient = { name: 'Damascone beta', amount: { value: 3, unit: 'µL' } };
+    expect(formatTipLocation(aliased, ingredient)).toBe('---');
+    expect(formatTipLocation(aliased, ingredient, [], catalog)).toBe('10 $\\mu$L D4');
+    expect(exportFormulaTex(parseFormula(TEX), { tips: aliased, catalog })).toContain('10 $\\mu$L D4');
+  });
+
+  it('should show a dash when no tip exists', () => {
+    expect(formatTipLocation(tips, { name: 'Geraniol', amount: { value: 1.25, unit: 'mL' } })).toBe('---');
+  });
+});
+
+describe('exportFormulaTex', () => {
+  const formula = parseFormula(TEX);
+
+  it('should keep the preamble, colors and headers of the original sheet', () => {
+    const tex = exportFormulaTex(formula);
+    expect(TEX.startsWith(LATEX_PREAMBLE)).toBe(true);
+    expect(tex.startsWith(LATEX_PREAMBLE)).toBe(true);
+    expect(tex).toContain('\\lhead{\\textit{煤夜道}}');
+    expect(tex).toContain('\\rhead{\\textit{Susuyomichi}}');
+    expect(tex).toContain('{\\small Animalic Leather Chypre / Aromatic Foug\\`ere $\\bullet$ January 2026}');
+  });
+
+  it('should write the sections as booktabs tables', () => {
+    const tex = exportFormulaTex(formula);
+    expect(tex).toContain([
+      '\\section*{XI. Ambergris}',
+      '\\begin{tabular}{@{}p{5.5cm}rp{6cm}@{}}',
+      '\\toprule',
+      '\\textbf{Ingredient} & \\textbf{Amount} & \\textbf{Function} \\\\',
+      '\\midrule',
+      'Ambrinol & 14 $\\mu$L & Mineral salt \\\\',
+      '\\bottomrule',
+      '\\end{tabular}',
+    ].join('\n'));
+    expect(tex).toContain('\\section*{\\textcolor{tentative}{Pending}}');
+    expect(tex).toContain(
+      '\\textcolor{tentative}{Civet paste} & \\textcolor{tentative}{30 $\\mu$L} & \\textcolor{tentative}{In transit} \\\\',
+    );
+    expect(tex.trim().endsWith('\\end{document}')).toBe(true);
+  });
+
+  it('should parse back to the same formula', () => {
+    const reparsed = parseFormula(exportFormulaTex(formula));
+    expect(reparsed.errors).toEqual([]);
+    expect(reparsed).toEqual(formula);
+  });
+
+  it('should add a location column when tips are given', () => {
+    const tex = exportFormulaTex(formula, { tips });
+    expect(tex).toContain('\\begin{tabular}{@{}p{5cm}rp{4.5cm}p{3cm}@{}}');
+    expect(tex).toContain('\\textbf{Ingredient} & \\textbf{Amount} & \\textbf{Function} & \\textbf{Location} \\\\');
+    expect(tex).toContain('Civettone & 125 $\\mu$L & Civet musk core & 100 $\\mu$L C1 \\\\');
+    expect(tex).toContain('Geraniol & 1.25 mL & Rose backbone & --- \\\\');
+    expect(parseFormula(tex).sections).toEqual(formula.sections);
+  });
+});
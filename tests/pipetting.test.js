@@ -0,0 +1,130 @@
+/**
+ * Pipetting Plan - Regression Tests
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  PIPETTE_LIMITS,
+  planDispense,
+  createPipettingPlan,
+  describeDispense,
+} from '../src/pipetting.js';
+import { TIP_SIZES } from '../src/box-layouts.js';
+
+// The original two tip boxes, for the draw-splitting cases
+const twoBoxes = { tipSizes: [10, 100] };
+
+describe('PIPETTE_LIMITS', () => {
+  it('should offer every rack tip size', () => {
+    expect(PIPETTE_LIMITS.tipSizes).toEqual(TIP_SIZES);
+    expect(PIPETTE_LIMITS.tipSizes).toEqual([10, 20, 100, 200, 1000]);
+  });
+
+  it('should accept 1 µL to 10 mL', () => {
+    expect(PIPETTE_LIMITS.minVolume).toBe(1);
+    expect(PIPETTE_LIMITS.maxVolume).toBe(10000);
+  });
+});
+
+describe('planDispense', () => {
+  it('should use the 10µL tip for small amounts', () => {
+    expect(planDispense({ value: 3, unit: 'µL' })).toEqual({
+      tipSize: 10, draws: 1, volumePerDraw: 3, volume: 3, dispensable: true, issue: null,
+    });
+  });
+
+  it('should use the 10µL tip at exactly 10 µL', () => {
+    expect(planDispense({ value: 10, unit: 'µL' }).tipSize).toBe(10);
+  });
+
+  it('should use the 100µL tip just above 10 µL', () => {
+    const plan = planDispense({ value: 14, unit: 'µL' }, twoBoxes);
+    expect(plan.tipSize).toBe(100);
+    expect(plan.draws).toBe(1);
+  });
+
+  it('should recommend the newer racks by default', () => {
+    expect(planDispense({ value: 14, unit: 'µL' }).tipSize).toBe(20);
+    expect(planDispense({ value: 150, unit: 'µL' }).tipSize).toBe(200);
+    expect(planDispense({ value: 450, unit: 'µL' })).toMatchObject({ tipSize: 1000, draws: 1, volumePerDraw: 450 });
+    expect(planDispense({ value: 2.5, unit: 'mL' })).toMatchObject({ tipSize: 1000, draws: 3 });
+  });
+
+  it('should split large amounts evenly across 100µL draws', () => {
+    const plan = planDispense({ value: 450, unit: 'µL' }, twoBoxes);
+    expect(plan.tipSize).toBe(100);
+    expect(plan.draws).toBe(5);
+    expect(plan.volumePerDraw).toBe(90);
+  });
+
+  it('should convert mL amounts', () => {
+    const plan = planDispense({ value: 1.6, unit: 'mL' }, twoBoxes);
+    expect(plan.volume).toBe(1600);
+    expect(plan.draws).toBe(16);
+    expect(plan.volumePerDraw).toBe(100);
+  });
+
+  it('should flag amounts below 1 µL', () => {
+    const plan = planDispense({ value: 0.5, unit: 'µL' });
+    expect(plan.dispensable).toBe(false);
+    expect(plan.tipSize).toBeNull();
+    expect(plan.issue).toContain('Below 1 µL');
+  });
+
+  it('should flag amounts above 10 mL', () => {
+    const plan = planDispense({ value: 12, unit: 'mL' });
+    expect(plan.dispensable).toBe(false);
+    expect(plan.issue).toContain('Above 10 mL');
+  });
+
+  it('should flag mass amounts without density', () => {
+    const plan = planDispense({ value: 2.4, unit: 'g' });
+    expect(plan.dispensable).toBe(false);
+    expect(plan.issue).toContain('weigh');
+  });
+
+  it('should convert mass amounts with density', () => {
+    // 0.5 g at 0.98 g/mL ≈ 510.2 µL
+    const plan = planDispense({ value: 0.5, unit: 'g' }, { ...twoBoxes, density: 0.98 });
+    expect(plan.volume).toBeCloseTo(510.204, 3);
+    expect(plan.draws).toBe(6);
+  });
+
+  it('should honour custom tip sizes', () => {
+    const plan = planDispense({ value: 150, unit: 'µL' }, { tipSizes: [10, 100, 200] });
+    expect(plan.tipSize).toBe(200);
+    expect(plan.draws).toBe(1);
+  });
+
+  it('should flag unknown units', () => {
+    expect(planDispense({ value: 1, unit: 'oz' }).dispensable).toBe(false);
+  });
+});
+
+describe('createPipettingPlan', () => {
+  const ingredients = [
+    { name: 'Damascone beta', section: 'Fruit', amount: { value: 3, unit: 'µL' } },
+    { name: 'Patchoulol', section: 'Ink & Moss', amount: { value: 0.5, unit: 'g' } },
+  ];
+
+  it('should plan every ingredient', () => {
+    const plan = createPipettingPlan(ingredients);
+    expect(plan).toHaveLength(2);
+    expect(plan[0]).toMatchObject({ name: 'Damascone beta', section: 'Fruit', tipSize: 10, draws: 1 });
+    expect(plan[1].dispensable).toBe(false);
+  });
+
+  it('should apply per-ingredient densities', () => {
+    const plan = createPipettingPlan(ingredients, { ...twoBoxes, densities: { Patchoulol: 1 } });
+    expect(plan[1]).toMatchObject({ tipSize: 100, draws: 5, volumePerDraw: 100 });
+  });
+});
+
+describe('describeDispense', () => {
+  it('should describe draws', () => {
+    expect(describeDispense(planDispense({ value: 450, unit: 'µL' }, twoBoxes))).toBe('5 × 90 µL (100 µL tip)');
+  });
+
+  it('should describe issues', () => {
+    expect(describeDispense(planDispense({ value: 0.2, unit: 'µL' }))).toContain('pre-dilute');
+  });
+});
@@ -0,0 +1,121 @@
+/**
+ * Player Profiles - Regression Tests
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_PLAYER_NAME,
+  findProfile,
+  createProfile,
+  removeProfile,
+  recordProfileTip,
+  checkCanPlay,
+  chargeMatch,
+  withDefaultProfile,
+  loadPlayerProfiles,
+} from '../src/player-profiles.js';
+
+const ana = { id: 'profile-ana', name: 'Ana', tokens: 2, tipsAdded: 7 };
+const ben = { id: 'profile-ben', name: 'Ben', tokens: 0, tipsAdded: 2 };
+const profiles = [ana, ben];
+
+describe('createProfile', () => {
+  it('should derive the ID from the name', () => {
+    const result = createProfile(profiles, '  Chloé Martin ');
+    expect(result.error).toBeNull();
+    expect(result.profile).toEqual({ id: 'profile-chlo-martin', name: 'Chloé Martin', tokens: 0, tipsAdded: 0 });
+    expect(result.profiles).toHaveLength(3);
+    expect(findProfile(result.profiles, 'profile-chlo-martin')).toBe(result.profile);
+  });
+
+  it('should number IDs that are taken', () => {
+    const taken = [{ ...ana, name: 'Ana (old)' }];
+    expect(createProfile(taken, 'Ana').profile.id).toBe('profile-ana-2');
+  });
+
+  it('should start from the given counters', () => {
+    expect(createProfile([], 'Ana', { tokens: 3, tipsAdded: 14 }).profile).toMatchObject({ tokens: 3, tipsAdded: 14 });
+  });
+
+  it('should refuse blank, long and duplicate names', () => {
+    expect(createProfile(profiles, ' ').error).toBe('Player name is required');
+    expect(createProfile(profiles, 'x'.repeat(25)).error).toBe('Player name must be at most 24 characters');
+    expect(createProfile(profiles, 'ana')).toEqual({ profiles, profile: null, error: 'A player named "ana" already exists' });
+  });
+});
+
+describe('removeProfile', () => {
+  it('should remove a profile but never the last one', () => {
+    expect(removeProfile(profiles, 'profile-ben')).toEqual({ profiles: [ana], error: null });
+    expect(removeProfile([ana], 'profile-ana').error).toBe('The last player cannot be removed');
+    expect(removeProfile(profiles, 'profile-zed').error).toBe('Player profile-zed not found');
+  });
+});
+
+describe('recordProfileTip', () => {
+  it('should count the tip and award tokens to that profile only', () => {
+    const result = recordProfileTip(profiles, 'profile-ben', 3);
+    expect(result.earned).toBe(true);
+    expect(findProfile(result.profiles, 'profile-ben')).toMatchObject({ tokens: 1, tipsAdded: 3 });
+    expect(findProfile(result.profiles, 'profile-ana')).toBe(ana);
+    expect(recordProfileTip(profiles, 'profile-ana', 3)).toMatchObject({ earned: false });
+  });
+
+  it('should ignore unknown profiles', () => {
+    expect(recordProfileTip(profiles, 'profile-zed', 3)).toEqual({ profiles, earned: false });
+  });
+});
+
+describe('chargeMatch', () => {
+  it('should deduct a token from every player', () => {
+    const both = [ana, { ...ben, tokens: 1 }];
+    const { profiles: charged, error } = chargeMatch(both, ['profile-ana', 'profile-ben']);
+    expect(error).toBeNull();
+    expect(charged.map(p => p.tokens)).toEqual([1, 0]);
+    expect(chargeMatch(both, ['profile-ana']).profiles.map(p => p.tokens)).toEqual([1, 1]);
+  });
+
+  it('should charge nobody when a player has no token', () => {
+    expect(checkCanPlay(profiles, ['profile-ana'])).toBeNull();
+    expect(checkCanPlay(profiles, ['profile-ana', 'profile-ben'])).toBe('Ben has no game tokens');
+    expect(chargeMatch(profiles, ['profile-ana', 'profile-ben'])).toEqual({ profiles, error: 'Ben has no game tokens' });
+    expect(chargeMatch(profiles, ['profile-zed']).error).toBe('Player profile-zed not found');
+  });
+});
+
+describe('withDefaultProfile', () => {
+  it('should create the first profile from the counters saved before profiles', () => {
+    const result = withDefaultProfile({ activeId: null, profiles: [] }, { tokens: 3, tipsAdded: 14 });
+    expect(result).toEqual({
+      activeId: 'profile-player-1',
+      profiles: [{ id: 'profile-player-1', name: DEFAULT_PLAYER_NAME, tokens: 3, tipsAdded: 14 }],
+    });
+  });
+
+  it('should keep stored profiles and fix a missing active one', () => {
+    expect(withDefaultProfile({ activeId: 'profile-ben', profiles }, { tokens: 9, tipsAdded: 9 })).toEqual({ activeId: 'profile-ben', profiles });
+    expect(withDefaultProfile({ activeId: null, profiles }, { tokens: 9, tipsAdded: 9 }).activeId).toBe('profile-ana');
+  });
+});
+
+describe('loadPlayerProfiles', () => {
+  it('should survive a stored round trip', () => {
+    const stored = { activeId: 'profile-ben', profiles };
+    expect(loadPlayerProfiles(JSON.stringify(stored))).toEqual(stored);
+  });
+
+  it('should drop malformed profiles and fix counters', () => {
+    const stored = {
+      activeId: 'profile-zed',
+      profiles: [null, { id: 'profile-x', name: ' ' }, { ...ana, tokens: -2, tipsAdded: 'many' }, { ...ana, name: 'Copy' }],
+    };
+    expect(loadPlayerProfiles(JSON.stringify(stored))).toEqual({
+      activeId: null,
+      profiles: [{ ...ana, tokens: 0, tipsAdded: 0 }],
+    });
+  });
+
+  it('should default to no profiles', () => {
+    expect(loadPlayerProfiles(null)).toEqual({ activeId: null, profiles: [] });
+    expect(loadPlayerProfiles('oops')).toEqual({ activeId: null, profiles: [] });
+  });
+});
@@ -4,16 +4,49 @@
 import { describe, it, expect, beforeEach } from 'vitest';
 import {
   PONG_CONFIG,
+  STEP_SECONDS,
+  nextRandom,
   createInitialState,
   clampPaddleY,
   movePlayerPaddle,
+  pointerTargetY,
+  gamepadInput,
+  mergeInputs,
   predictBallY,
+  calculateAITarget,
   moveAIPaddle,
   checkWallCollision,
   checkPaddleCollision,
   checkScore,
   checkWinner,
+  checkMatchWinner,
   generateServeVelocity,
+  serveBall,
+  awardPoint,
+  startNextRound,
+  updatePlaying,
+  updateGame,
+  AI_DIFFICULTIES,
+  DEFAULT_MATCH_RULES,
+  MATCH_FORMATS,
+  createMatchRules,
+  matchFormatRules,
+  describeMatchRules,
+  nextServer,
+  advanceMatch,
+  findDifficulty,
+  adaptDifficulty,
+  currentDifficulty,
+  updateAI,
+  updateOpponent,
+  sideNames,
+  loadPongSettings,
+  step,
+  createRecording,
+  recordStep,
+  recordedInput,
+  replayRecording,
+  loadRecording,
 } from '../src/pong-game.js';
 
 describe('PONG_CONFIG', () => {
@@ -32,6 +65,11 @@ describe('PONG_CONFIG', () => {
     expect(PONG_CONFIG.countdownSeconds).toBe(3);
   });
 
+  it('should have correct match rules (best of 3)', () => {
+    expect(PONG_CONFIG.roundsToWin).toBe(2);
+    expect(PONG_CONFIG.roundBreakSeconds).toBe(2);
+  });
+
   it('should have correct ball speed settings', () => {
     expect(PONG_CONFIG.ballSpeedInitial).toBe(4);
     expect(PONG_CONFIG.ballSpeedMax).toBe(8);
@@ -39,7 +77,37 @@ describe('PONG_CONFIG', () => {
   });
 });
 
+describe('nextRandom', () => {
+  it('should repeat the same sequence for the same seed', () => {
+    const draw = (rng, n) => Array.from({ length: n }, () => {
+      const r = nextRandom(rng);
+      rng = r.rng;
+      return r.value;
+    });
+    expect(draw(42, 5)).toEqual(draw(42, 5));
+    expect(draw(42, 5)).not.toEqual(draw(43, 5));
+  });
+
+  it('should return numbers in [0, 1)', () => {
+    let rng = 7;
+    for (let i = 0; i < 1000; i++) {
+      const r = nextRandom(rng);
+      expect(r.value).toBeGreaterThanOrEqual(0);
+      expect(r.value).toBeLessThan(1);
+      rng = r.rng;
+    }
+  });
+});
+
 describe('createInitialState', () => {
+  it('should keep the seed as the generator state', () => {
+    const state = createInitialState(1234);
+    expect(state.seed).toBe(1234);
+    expect(state.rng).toBe(1234);
+    expect(state.frame).toBe(0);
+    expect(Number.isInteger(createInitialState().seed)).toBe(true);
+  });
+
   it('should create valid initial state', () => {
     const state = createInitialState();
     expect(state.phase).toBe('countdown');
@@ -48,6 +116,14 @@ describe('createInitialState', () => {
     expect(state.input).toEqual({ up: false, down: false });
   });
 
+  it('should start the match at round 1 with no rounds won', () => {
+    const state = createInitialState();
+    expect(state.rounds).toEqual({ player: 0, ai: 0 });
+    expect(state.currentRound).toBe(1);
+    expect(state.roundWinner).toBeNull();
+    expect(state.matchWinner).toBeNull();
+  });
+
   it('should center paddles vertically', () => {
     const state = createInitialState();
     const expectedY = PONG_CONFIG.height / 2 - PONG_CONFIG.paddleHeight / 2;
@@ -123,6 +199,59 @@ describe('movePlayerPaddle', () => {
   });
 });
 
+describe('movePlayerPaddle with a pointer target', () => {
+  it('should move toward the target at paddle speed', () => {
+    expect(movePlayerPaddle(100, { targetY: 200 }, 1)).toBe(100 + PONG_CONFIG.paddleSpeed);
+    expect(movePlayerPaddle(100, { targetY: 103 }, 1)).toBe(103);
+    expect(movePlayerPaddle(100, { targetY: 0 }, 2)).toBe(100 - PONG_CONFIG.paddleSpeed * 2);
+  });
+
+  it('should prefer the target to up/down and stay on the court', () => {
+    expect(movePlayerPaddle(100, { up: true, targetY: 150 }, 1)).toBeGreaterThan(100);
+    expect(movePlayerPaddle(PONG_CONFIG.height - PONG_CONFIG.paddleHeight, { targetY: 9999 }, 1))
+      .toBe(PONG_CONFIG.height - PONG_CONFIG.paddleHeight);
+  });
+});
+
+describe('pointerTargetY', () => {
+  it('should center the paddle on the pointer, scaling the display', () => {
+    expect(pointerTargetY(150, 300)).toBe(150 - PONG_CONFIG.paddleHeight / 2);
+    expect(pointerTargetY(75, 150)).toBe(150 - PONG_CONFIG.paddleHeight / 2);
+  });
+
+  it('should clamp to the court', () => {
+    expect(pointerTargetY(0, 300)).toBe(0);
+    expect(pointerTargetY(400, 300)).toBe(PONG_CONFIG.height - PONG_CONFIG.paddleHeight);
+  });
+});
+
+describe('gamepadInput', () => {
+  const pad = (axis, up = false, down = false) => ({
+    axes: [0, axis],
+    buttons: Array.from({ length: 16 }, (_, i) => ({ pressed: (i === 12 && up) || (i === 13 && down) })),
+  });
+
+  it('should read the D-pad and the left stick', () => {
+    expect(gamepadInput(pad(0, true))).toEqual({ up: true, down: false });
+    expect(gamepadInput(pad(0, false, true))).toEqual({ up: false, down: true });
+    expect(gamepadInput(pad(-0.8))).toEqual({ up: true, down: false });
+    expect(gamepadInput(pad(0.8))).toEqual({ up: false, down: true });
+  });
+
+  it('should ignore a resting stick and a missing gamepad', () => {
+    expect(gamepadInput(pad(0.2))).toEqual({ up: false, down: false });
+    expect(gamepadInput(null)).toEqual({ up: false, down: false });
+    expect(gamepadInput({ axes: [], buttons: [] })).toEqual({ up: false, down: false });
+  });
+});
+
+describe('mergeInputs', () => {
+  it('should combine keys, buttons, pointer and gamepad into one input', () => {
+    expect(mergeInputs([{ up: false, down: false }, { up: true }, null, { targetY: null }])).toEqual({ up: true, down: false });
+    expect(mergeInputs([{ down: true }, { targetY: 40 }])).toEqual({ up: false, down: true, targetY: 40 });
+  });
+});
+
 describe('predictBallY', () => {
   it('should return current Y when ball not moving horizontally', () => {
     const ball = { x: 100, y: 150, vx: 0, vy: 5 };
@@ -166,6 +295,148 @@ describe('predictBallY', () => {
   });
 });
 
+describe('calculateAITarget', () => {
+  const ball = { x: 250, y: 100, vx: 4, vy: 0 };
+
+  it('should aim within 15px of the predicted ball, reproducibly', () => {
+    const first = calculateAITarget(ball, 100, 5);
+    expect(calculateAITarget(ball, 100, 5)).toEqual(first);
+    expect(Math.abs(first.targetY - (100 - PONG_CONFIG.paddleHeight / 2))).toBeLessThanOrEqual(15);
+    expect(first.rng).not.toBe(5);
+  });
+
+  it('should return to center without drawing a number while the ball moves away', () => {
+    expect(calculateAITarget({ ...ball, vx: -4 }, 0, 5)).toEqual({
+      targetY: PONG_CONFIG.height / 2 - PONG_CONFIG.paddleHeight / 2,
+      rng: 5,
+    });
+  });
+});
+
+describe('findDifficulty', () => {
+  it('should offer four presets, each with its own settings', () => {
+    expect(AI_DIFFICULTIES.map(d => d.id)).toEqual(['easy', 'normal', 'hard', 'lab-tired']);
+    const speeds = AI_DIFFICULTIES.map(d => d.speedFactor);
+    expect(new Set(speeds).size).toBe(4);
+    expect(findDifficulty('hard').aimError).toBeLessThan(findDifficulty('easy').aimError);
+    expect(findDifficulty('lab-tired').reactionSeconds).toBeGreaterThan(findDifficulty('easy').reactionSeconds);
+  });
+
+  it('should keep the original AI as Normal', () => {
+    expect(findDifficulty('normal')).toMatchObject({ aimError: 15, speedFactor: 0.9 });
+    expect(findDifficulty('unknown').id).toBe('normal');
+    expect(findDifficulty(null).id).toBe('normal');
+  });
+
+  it('should fill custom settings in from Normal', () => {
+    expect(findDifficulty({ speedFactor: 1.2, aimError: -1 })).toMatchObject({
+      id: 'custom', speedFactor: 1.2, aimError: 15, reactionSeconds: findDifficulty('normal').reactionSeconds,
+    });
+  });
+});
+
+describe('adaptDifficulty', () => {
+  const normal = findDifficulty('normal');
+
+  it('should tighten the AI while the player leads', () => {
+    const tight = adaptDifficulty(normal, 2);
+    expect(tight.speedFactor).toBeCloseTo(normal.speedFactor * 1.2);
+    expect(tight.aimError).toBeLessThan(normal.aimError);
+    expect(tight.reactionSeconds).toBeLessThan(normal.reactionSeconds);
+  });
+
+  it('should loosen the AI while it leads, within the limit', () => {
+    expect(adaptDifficulty(normal, -3).speedFactor).toBeCloseTo(normal.speedFactor * 0.7);
+    expect(adaptDifficulty(normal, -5)).toEqual(adaptDifficulty(normal, -3));
+    expect(adaptDifficulty(normal, 0)).toEqual(normal);
+  });
+
+  it('should only adapt adaptive games', () => {
+    const state = { ...createInitialState(1, { difficulty: 'hard' }), score: { player: 3, ai: 0 } };
+    expect(currentDifficulty(state)).toEqual(findDifficulty('hard'));
+    const adaptive = { ...state, aiSettings: { ...state.aiSettings, adaptive: true } };
+    expect(currentDifficulty(adaptive).speedFactor).toBeCloseTo(findDifficulty('hard').speedFactor * 1.3);
+  });
+});
+
+describe('updateAI', () => {
+  const incoming = (options) => ({
+    ...createInitialState(9, options),
+    phase: 'playing',
+    ball: { x: 250, y: 20, vx: 4, vy: 0, speed: 4 },
+  });
+
+  it('should keep its aim until the reaction time has passed', () => {
+    const first = updateAI(incoming({ difficulty: 'easy' }), 1);
+    expect(first.ai.reactTimer).toBe(findDifficulty('easy').reactionSeconds);
+    const second = updateAI({ ...incoming({ difficulty: 'easy' }), ai: first.ai, rng: first.rng }, 1);
+    expect(second.ai.targetY).toBe(first.ai.targetY);
+    expect(second.rng).toBe(first.rng);
+  });
+
+  it('should move at the speed of the difficulty', () => {
+    const start = incoming({ difficulty: 'hard' }).ai.y;
+    expect(start - updateAI(incoming({ difficulty: 'hard' }), 1).ai.y)
+      .toBeCloseTo(PONG_CONFIG.paddleSpeed * findDifficulty('hard').speedFactor);
+    expect(start - updateAI(incoming({ difficulty: 'lab-tired' }), 1).ai.y)
+      .toBeCloseTo(PONG_CONFIG.paddleSpeed * findDifficulty('lab-tired').speedFactor);
+  });
+});
+
+describe('two-player mode', () => {
+  const versus = (ball, input) => ({
+    ...createInitialState(5, { mode: 'versus' }),
+    phase: 'playing',
+    ball: { ...createInitialState().ball, ...ball },
+    input,
+  });
+
+  it('should name the sides', () => {
+    expect(createInitialState(1).names).toEqual({ player: 'YOU', ai: 'AI' });
+    expect(createInitialState(1, { mode: 'versus', names: { player: ' Ana ', ai: '' } }).names).toEqual({ player: 'Ana', ai: 'P2' });
+    expect(sideNames('ai', { player: 'Ana', ai: 'Ben' })).toEqual({ player: 'Ana', ai: 'AI' });
+    expect(createInitialState(1, { mode: 'chess' }).mode).toBe('ai');
+  });
+
+  it('should move the right paddle from the second player input only', () => {
+    const start = versus({ x: 200, vx: -3 }, { up: false, down: false, opponent: { up: true, down: false } });
+    const { state } = updatePlaying(start, 1);
+    expect(state.ai.y).toBe(start.ai.y - PONG_CONFIG.paddleSpeed);
+    expect(state.player.y).toBe(start.player.y);
+    expect(state.rng).toBe(start.rng);
+    expect(updateOpponent({ ...start, input: { up: false, down: false } }, 1).ai.y).toBe(start.ai.y);
+    expect(updateOpponent(versus({}, { opponent: { targetY: 0 } }), 1).ai.y).toBe(start.ai.y - PONG_CONFIG.paddleSpeed);
+  });
+
+  it('should return the ball off the second player paddle', () => {
+    const x = PONG_CONFIG.width - PONG_CONFIG.paddleMargin - PONG_CONFIG.paddleWidth - PONG_CONFIG.ballSize - 1;
+    const start = versus({ x, y: 140, vx: 4, vy: 0 }, { up: false, down: false, opponent: { up: false, down: false } });
+    const { state, events } = updatePlaying({ ...start, ai: { ...start.ai, y: 115 } }, 1);
+    expect(events).toContainEqual({ type: 'paddle' });
+    expect(state.ball.vx).toBeLessThan(0);
+  });
+});
+
+describe('loadPongSettings', () => {
+  it('should load a preset and the adaptive flag', () => {
+    expect(loadPongSettings(JSON.stringify({ difficulty: 'hard', adaptive: true, format: 'classic' })))
+      .toEqual({ difficulty: 'hard', adaptive: true, format: 'classic', opponent: 'ai' });
+  });
+
+  it('should keep the second player chosen', () => {
+    expect(loadPongSettings(JSON.stringify({ opponent: 'profile-ana' })).opponent).toBe('profile-ana');
+    expect(loadPongSettings(JSON.stringify({ opponent: 3 })).opponent).toBe('ai');
+  });
+
+  it('should fall back to Normal', () => {
+    const defaults = { difficulty: 'normal', adaptive: false, format: 'best-of-3', opponent: 'ai' };
+    expect(loadPongSettings(null)).toEqual(defaults);
+    expect(loadPongSettings('oops')).toEqual(defaults);
+    expect(loadPongSettings(JSON.stringify({ format: 'marathon' })).format).toBe('best-of-3');
+    expect(loadPongSettings(JSON.stringify({ difficulty: 'godlike' })).difficulty).toBe('normal');
+  });
+});
+
 describe('moveAIPaddle', () => {
   it('should move toward target', () => {
     const result = moveAIPaddle(100, 150, 1);
@@ -329,6 +600,51 @@ describe('checkWinner', () => {
     expect(checkWinner({ player: 4, ai: 4 })).toBeNull();
     expect(checkWinner({ player: 0, ai: 0 })).toBeNull();
   });
+
+  it('should use the points per round of the rules', () => {
+    expect(checkWinner({ player: 5, ai: 0 }, { ...DEFAULT_MATCH_RULES, pointsToWin: 11 })).toBeNull();
+    expect(checkWinner({ player: 3, ai: 11 }, { ...DEFAULT_MATCH_RULES, pointsToWin: 11 })).toBe('ai');
+  });
+
+  it('should need a two point lead with win by two', () => {
+    const rules = { ...DEFAULT_MATCH_RULES, winByTwo: true };
+    expect(checkWinner({ player: 5, ai: 4 }, rules)).toBeNull();
+    expect(checkWinner({ player: 7, ai: 5 }, rules)).toBe('player');
+    expect(checkWinner({ player: 5, ai: 3 }, rules)).toBe('player');
+  });
+});
+
+describe('createMatchRules', () => {
+  it('should fill in the defaults', () => {
+    expect(createMatchRules()).toEqual({ rules: DEFAULT_MATCH_RULES, error: null });
+    expect(createMatchRules({ pointsToWin: 11, winByTwo: true }).rules).toMatchObject({ pointsToWin: 11, roundsToWin: 2, winByTwo: true });
+    expect(DEFAULT_MATCH_RULES).toMatchObject({ pointsToWin: PONG_CONFIG.pointsToWin, roundsToWin: PONG_CONFIG.roundsToWin, serve: 'random' });
+  });
+
+  it('should reject invalid rules', () => {
+    expect(createMatchRules({ pointsToWin: 0 }).error).toBe('Points per round must be a whole number of at least 1');
+    expect(createMatchRules({ roundsToWin: 1.5 }).error).toBe('Rounds to win must be a whole number of at least 1');
+    expect(createMatchRules({ serve: 'coin' })).toEqual({ rules: null, error: 'Unknown serve rule "coin"' });
+    expect(createMatchRules({ roundBreakSeconds: -1 }).error).toBe('roundBreakSeconds must be 0 or more');
+  });
+
+  it('should describe the rules', () => {
+    expect(describeMatchRules(DEFAULT_MATCH_RULES)).toBe('Best of 3 rounds (first to 5 each)');
+    expect(describeMatchRules({ ...DEFAULT_MATCH_RULES, roundsToWin: 1, pointsToWin: 11, winByTwo: true, serve: 'alternate' }))
+      .toBe('One round (first to 11, win by two) · Alternate every point');
+  });
+
+  it('should offer valid match formats', () => {
+    MATCH_FORMATS.forEach(format => expect(createMatchRules(format.rules).error).toBeNull());
+    expect(matchFormatRules('best-of-3')).toEqual(DEFAULT_MATCH_RULES);
+    expect(matchFormatRules('classic')).toMatchObject({ pointsToWin: 11, winByTwo: true, roundsToWin: 1 });
+    expect(matchFormatRules('marathon')).toEqual(DEFAULT_MATCH_RULES);
+  });
+
+  it('should fall back to the defaults in new games', () => {
+    expect(createInitialState(1, { rules: { pointsToWin: -2 } }).rules).toEqual(DEFAULT_MATCH_RULES);
+    expect(createInitialState(1, { rules: { countdownSeconds: 1 } }).countdown).toBe(1);
+  });
 });
 
 describe('generateServeVelocity', () => {
@@ -347,6 +663,17 @@ describe('generateServeVelocity', () => {
     expect(hasLeft || hasRight).toBe(true);
   });
 
+  it('should be reproducible from a generator state', () => {
+    expect(generateServeVelocity(99)).toEqual(generateServeVelocity(99));
+    const first = generateServeVelocity(99);
+    expect(generateServeVelocity(first.rng)).not.toEqual(first);
+  });
+
+  it('should serve in both directions across seeds', () => {
+    const directions = new Set(Array.from({ length: 20 }, (_, seed) => Math.sign(generateServeVelocity(seed).vx)));
+    expect(directions).toEqual(new Set([1, -1]));
+  });
+
   it('should limit vertical angle', () => {
     // Max angle is 0.4 radians, so vy should be limited
     const results = Array.from({ length: 20 }, () => generateServeVelocity());
@@ -380,3 +707,385 @@ describe('Game Flow Integration', () => {
     expect(checkWinner(state.score)).toBe('player');
   });
 });
+
+describe('checkMatchWinner', () => {
+  it('should use the rounds to win of the rules', () => {
+    expect(checkMatchWinner({ player: 1, ai: 0 }, { ...DEFAULT_MATCH_RULES, roundsToWin: 1 })).toBe('player');
+  });
+
+  it('should return winner after two rounds', () => {
+    expect(checkMatchWinner({ player: 2, ai: 1 })).toBe('player');
+    expect(checkMatchWinner({ player: 0, ai: 2 })).toBe('ai');
+  });
+
+  it('should return null while match continues', () => {
+    expect(checkMatchWinner({ player: 1, ai: 1 })).toBeNull();
+  });
+});
+
+describe('nextServer', () => {
+  const state = (serve) => ({ ...createInitialState(1, { rules: { serve } }), server: 'player' });
+
+  it('should follow the serve rule', () => {
+    expect(nextServer(state('alternate'), 'player')).toBe('ai');
+    expect(nextServer(state('winner'), 'ai')).toBe('ai');
+    expect(nextServer(state('loser'), 'ai')).toBe('player');
+    expect(nextServer(state('random'), 'ai')).toBe('player');
+  });
+
+  it('should serve away from the server', () => {
+    const serving = (serve, server) => serveBall({ ...state(serve), phase: 'playing', server }).ball.vx;
+    expect(serving('alternate', 'player')).toBeGreaterThan(0);
+    expect(serving('alternate', 'ai')).toBeLessThan(0);
+  });
+});
+
+describe('serveBall', () => {
+  it('should serve from the generator state in the game state', () => {
+    const state = { ...createInitialState(8), phase: 'playing' };
+    const a = serveBall(state);
+    const b = serveBall(state);
+    expect(a.ball).toEqual(b.ball);
+    expect(a.rng).not.toBe(state.rng);
+  });
+
+  it('should put the ball in motion from center', () => {
+    const state = serveBall({ ...createInitialState(), phase: 'playing' });
+    expect(state.ball.x).toBe(PONG_CONFIG.width / 2 - PONG_CONFIG.ballSize / 2);
+    expect(state.ball.vx).not.toBe(0);
+    expect(state.serveTimer).toBe(0);
+  });
+});
+
+describe('awardPoint', () => {
+  const playing = () => ({ ...createInitialState(), phase: 'playing' });
+
+  it('should increment score and recenter ball', () => {
+    const { state, events } = awardPoint(playing(), 'player');
+    expect(state.score).toEqual({ player: 1, ai: 0 });
+    expect(state.ball.vx).toBe(0);
+    expect(state.serveTimer).toBe(PONG_CONFIG.serveDelaySeconds);
+    expect(state.phase).toBe('playing');
+    expect(events).toEqual([{ type: 'point', scorer: 'player' }]);
+  });
+
+  it('should end the round at pointsToWin', () => {
+    const start = { ...playing(), score: { player: 1, ai: 4 } };
+    const { state, events } = awardPoint(start, 'ai');
+    expect(state.phase).toBe('roundEnd');
+    expect(state.roundWinner).toBe('ai');
+    expect(state.rounds).toEqual({ player: 0, ai: 1 });
+    expect(state.countdown).toBe(PONG_CONFIG.roundBreakSeconds);
+    expect(events.map((e) => e.type)).toEqual(['point', 'roundEnd']);
+  });
+
+  it('should finish the match on the deciding round', () => {
+    const start = { ...playing(), score: { player: 4, ai: 2 }, rounds: { player: 1, ai: 1 } };
+    const { state, events } = awardPoint(start, 'player');
+    expect(state.phase).toBe('finished');
+    expect(state.matchWinner).toBe('player');
+    expect(events[events.length - 1]).toEqual({ type: 'matchEnd', winner: 'player' });
+  });
+
+  it('should not mutate the input state', () => {
+    const start = playing();
+    awardPoint(start, 'player');
+    expect(start.score).toEqual({ player: 0, ai: 0 });
+  });
+});
+
+describe('startNextRound', () => {
+  it('should reset score and advance round', () => {
+    const state = {
+      ...createInitialState(),
+      phase: 'roundEnd',
+      score: { player: 5, ai: 3 },
+      rounds: { player: 1, ai: 0 },
+      roundWinner: 'player',
+      player: { y: 0 },
+    };
+    const next = startNextRound(state);
+    expect(next.phase).toBe('countdown');
+    expect(next.countdown).toBe(PONG_CONFIG.countdownSeconds);
+    expect(next.currentRound).toBe(2);
+    expect(next.score).toEqual({ player: 0, ai: 0 });
+    expect(next.rounds).toEqual({ player: 1, ai: 0 });
+    expect(next.roundWinner).toBeNull();
+    expect(next.player.y).toBe(PONG_CONFIG.height / 2 - PONG_CONFIG.paddleHeight / 2);
+  });
+});
+
+describe('updatePlaying', () => {
+  const playing = (ball) => ({
+    ...createInitialState(),
+    phase: 'playing',
+    ball: { ...createInitialState().ball, ...ball },
+  });
+
+  it('should move the ball by its velocity', () => {
+    const { state } = updatePlaying(playing({ x: 200, y: 100, vx: -3, vy: 2 }), 1);
+    expect(state.ball.x).toBe(197);
+    expect(state.ball.y).toBe(102);
+  });
+
+  it('should move the player paddle from input', () => {
+    const start = { ...playing({ x: 200, vx: -3 }), input: { up: true, down: false } };
+    const { state } = updatePlaying(start, 1);
+    expect(state.player.y).toBe(start.player.y - PONG_CONFIG.paddleSpeed);
+  });
+
+  it('should emit wall event on bounce', () => {
+    const { state, events } = updatePlaying(playing({ x: 200, y: 1, vx: -3, vy: -4 }), 1);
+    expect(state.ball.vy).toBeGreaterThan(0);
+    expect(events).toContainEqual({ type: 'wall' });
+  });
+
+  it('should emit paddle event on player hit', () => {
+    const start = playing({ x: PONG_CONFIG.paddleMargin + 8, vx: -3, vy: 0 });
+    const { state, events } = updatePlaying(start, 1);
+    expect(state.ball.vx).toBeGreaterThan(0);
+    expect(events).toContainEqual({ type: 'paddle' });
+  });
+
+  it('should award a point once and hold the ball for the serve delay', () => {
+    const start = playing({ x: 1, y: 10, vx: -4, vy: 0 });
+    const first = updatePlaying(start, 1);
+    expect(first.state.score.ai).toBe(1);
+
+    const second = updatePlaying(first.state, 1);
+    expect(second.state.score.ai).toBe(1);
+    expect(second.state.ball.vx).toBe(0);
+  });
+
+  it('should serve after the serve delay elapses', () => {
+    const start = { ...playing({}), serveTimer: 0.01 };
+    const { state } = updatePlaying(start, 1);
+    expect(state.serveTimer).toBe(0);
+    expect(state.ball.vx).not.toBe(0);
+  });
+});
+
+describe('updateGame', () => {
+  it('should count down then start playing', () => {
+    let { state } = updateGame(createInitialState(), 1);
+    expect(state.phase).toBe('countdown');
+    expect(state.countdown).toBe(PONG_CONFIG.countdownSeconds - 1);
+
+    ({ state } = updateGame(state, PONG_CONFIG.countdownSeconds));
+    expect(state.phase).toBe('playing');
+    expect(state.ball.vx).not.toBe(0);
+  });
+
+  it('should start the next round after the round break', () => {
+    const roundEnd = { ...createInitialState(), phase: 'roundEnd', countdown: PONG_CONFIG.roundBreakSeconds };
+    const { state } = updateGame(roundEnd, PONG_CONFIG.roundBreakSeconds);
+    expect(state.phase).toBe('countdown');
+    expect(state.currentRound).toBe(2);
+  });
+
+  it('should leave a finished game unchanged', () => {
+    const finished = { ...createInitialState(), phase: 'finished' };
+    expect(updateGame(finished, 1).state).toBe(finished);
+  });
+
+  it('should play a full match to completion', () => {
+    // Pin the ball past the AI edge each frame so the player scores every serve
+    let state = { ...createInitialState(), phase: 'playing' };
+    let matchEnd = null;
+    for (let i = 0; i < 1000 && state.phase !== 'finished'; i++) {
+      if (state.phase === 'playing' && state.serveTimer <= 0) {
+        state = { ...state, ball: { ...state.ball, x: PONG_CONFIG.width + 1, vx: 1, vy: 0 } };
+      }
+      const result = updateGame(state, 1 / 60);
+      state = result.state;
+      matchEnd = result.events.find((e) => e.type === 'matchEnd') || matchEnd;
+    }
+    expect(state.phase).toBe('finished');
+    expect(state.rounds).toEqual({ player: 2, ai: 0 });
+    expect(matchEnd).toEqual({ type: 'matchEnd', winner: 'player' });
+  });
+});
+
+describe('step', () => {
+  it('should advance one fixed frame with the given input', () => {
+    const start = { ...createInitialState(3), phase: 'playing', serveTimer: 1 };
+    const { state } = step(start, { up: true, down: false });
+    expect(state.frame).toBe(1);
+    expect(state.input).toEqual({ up: true, down: false });
+    expect(state.player.y).toBe(start.player.y - PONG_CONFIG.paddleSpeed);
+    expect(state.serveTimer).toBeCloseTo(1 - STEP_SECONDS);
+  });
+
+  it('should play the same game for the same seed and inputs', () => {
+    const run = () => {
+      let state = createInitialState(2024);
+      for (let i = 0; i < 600; i++) {
+        state = step(state, { up: i % 90 < 30, down: i % 90 >= 60 }).state;
+      }
+      return state;
+    };
+    expect(run()).toEqual(run());
+  });
+
+  it('should leave a finished game unchanged', () => {
+    const finished = { ...createInitialState(), phase: 'finished' };
+    expect(step(finished, { up: true }).state).toBe(finished);
+  });
+});
+
+describe('recordings', () => {
+  it('should log input changes only', () => {
+    let recording = createRecording(11);
+    [{ up: false }, { up: true }, { up: true }, { down: true }, {}].forEach(input => {
+      recording = recordStep(recording, input);
+    });
+    expect(recording).toEqual({
+      seed: 11,
+      options: { difficulty: 'normal', adaptive: false, rules: DEFAULT_MATCH_RULES, mode: 'ai', names: { player: 'YOU', ai: 'AI' } },
+      frames: 5,
+      inputs: [
+        { frame: 1, up: true, down: false },
+        { frame: 3, up: false, down: true },
+        { frame: 4, up: false, down: false },
+      ],
+    });
+    expect(recordedInput(recording, 0)).toEqual({ up: false, down: false });
+    expect(recordedInput(recording, 2)).toEqual({ up: true, down: false });
+    expect(recordedInput(recording, 3)).toEqual({ up: false, down: true });
+  });
+
+  it('should replay a recorded game frame for frame', () => {
+    let state = createInitialState(77);
+    let recording = createRecording(state.seed);
+    const events = [];
+    for (let i = 0; i < 1500; i++) {
+      const input = { up: state.ball.y < state.player.y, down: state.ball.y > state.player.y + PONG_CONFIG.paddleHeight };
+      recording = recordStep(recording, input);
+      const result = step(state, input);
+      state = result.state;
+      result.events.forEach(event => events.push({ ...event, frame: state.frame }));
+    }
+
+    const replay = replayRecording(recording);
+    expect(replay.state).toEqual(state);
+    expect(replay.events).toEqual(events);
+    expect(events.some(e => e.type === 'paddle')).toBe(true);
+    expect(replayRecording(recording, 10).state.frame).toBe(10);
+  });
+
+  it('should replay with the difficulty it was recorded with', () => {
+    const options = { difficulty: 'lab-tired', adaptive: true };
+    let state = createInitialState(31, options);
+    let recording = createRecording(31, options);
+    for (let i = 0; i < 600; i++) {
+      recording = recordStep(recording, {});
+      state = step(state, {}).state;
+    }
+    expect(replayRecording(recording).state).toEqual(state);
+    expect(replayRecording({ ...recording, options: {} }).state.aiSettings.id).toBe('normal');
+  });
+
+  it('should replay with the match rules it was recorded with', () => {
+    const recording = createRecording(3, { rules: { pointsToWin: 11 } });
+    expect(recording.options.rules.pointsToWin).toBe(11);
+    expect(replayRecording(recording).state.rules.pointsToWin).toBe(11);
+    expect(loadRecording(JSON.stringify({ ...recording, options: { rules: { pointsToWin: 0 } } })).options.rules).toEqual(DEFAULT_MATCH_RULES);
+  });
+
+  it('should log and replay pointer targets', () => {
+    let recording = createRecording(6);
+    [{ targetY: 40 }, { targetY: 40 }, { targetY: 55 }, {}].forEach(input => {
+      recording = recordStep(recording, input);
+    });
+    expect(recording.inputs).toEqual([
+      { frame: 0, up: false, down: false, targetY: 40 },
+      { frame: 2, up: false, down: false, targetY: 55 },
+      { frame: 3, up: false, down: false },
+    ]);
+    expect(recordedInput(recording, 1)).toEqual({ up: false, down: false, targetY: 40 });
+    expect(recordedInput(recording, 3)).toEqual({ up: false, down: false });
+    expect(loadRecording(JSON.stringify(recording))).toEqual(recording);
+  });
+
+  it('should log and replay both players of a versus match', () => {
+    const options = { mode: 'versus', names: { player: 'Ana', ai: 'Ben' } };
+    let state = createInitialState(12, options);
+    let recording = createRecording(12, options);
+    for (let i = 0; i < 900; i++) {
+      const input = { up: i % 90 < 45, down: false, opponent: { up: false, down: i % 60 < 30 } };
+      recording = recordStep(recording, input);
+      state = step(state, input).state;
+    }
+    expect(recording.options.names).toEqual({ player: 'Ana', ai: 'Ben' });
+    expect(recording.inputs[1]).toEqual({ frame: 30, up: true, down: false, opponent: { up: false, down: false } });
+    expect(replayRecording(recording).state).toEqual(state);
+    expect(loadRecording(JSON.stringify(recording))).toEqual(recording);
+  });
+
+  it('should survive a stored round trip', () => {
+    const recording = recordStep(recordStep(createRecording(5), { up: true }), {});
+    expect(loadRecording(JSON.stringify(recording))).toEqual(recording);
+  });
+
+  it('should reject malformed recordings', () => {
+    expect(loadRecording(null)).toBeNull();
+    expect(loadRecording('oops')).toBeNull();
+    expect(loadRecording(JSON.stringify({ seed: 'x', frames: 1, inputs: [] }))).toBeNull();
+    expect(loadRecording(JSON.stringify({ seed: 1, frames: 2, inputs: [null, { frame: 9, up: true }] }))).toEqual({
+      seed: 1, options: { difficulty: 'normal', adaptive: false, rules: DEFAULT_MATCH_RULES, mode: 'ai', names: { player: 'YOU', ai: 'AI' } }, frames: 2, inputs: [],
+    });
+  });
+});
+
+describe('advanceMatch', () => {
+  const tick = seconds => ({ type: 'tick', seconds });
+  const point = scorer => ({ type: 'point', scorer });
+  const rules = { pointsToWin: 2, roundsToWin: 2, serve: 'loser' };
+
+  it('should run countdown → playing → roundEnd → countdown → finished', () => {
+    let state = createInitialState(4, { rules });
+    const phases = [state.phase];
+    const events = [];
+    const run = action => {
+      const result = advanceMatch(state, action);
+      state = result.state;
+      events.push(...result.events.map(e => e.type));
+      if (phases[phases.length - 1] !== state.phase) phases.push(state.phase);
+    };
+
+    run(tick(3));
+    run(point('player'));
+    run(point('player'));
+    run(tick(2));
+    run(tick(3));
+    run(point('player'));
+    run(point('player'));
+
+    expect(phases).toEqual(['countdown', 'playing', 'roundEnd', 'countdown', 'playing', 'finished']);
+    expect(events).toEqual(['point', 'point', 'roundEnd', 'point', 'point', 'roundEnd', 'matchEnd']);
+    expect(state.matchWinner).toBe('player');
+    expect(state.server).toBe('ai');
+  });
+
+  it('should ignore points outside play and anything after the match', () => {
+    const countdown = createInitialState(4);
+    expect(advanceMatch(countdown, point('ai')).state).toBe(countdown);
+    const finished = { ...countdown, phase: 'finished' };
+    expect(advanceMatch(finished, tick(10)).state).toBe(finished);
+  });
+
+  it('should serve once the serve delay has passed', () => {
+    const waiting = { ...createInitialState(4), phase: 'playing', serveTimer: 0.5 };
+    expect(advanceMatch(waiting, tick(0.2)).state.serveTimer).toBeCloseTo(0.3);
+    expect(advanceMatch(waiting, tick(0.5)).state.ball.vx).not.toBe(0);
+  });
+
+  it('should keep a round going until a two point lead', () => {
+    let state = { ...createInitialState(4, { rules: { winByTwo: true } }), phase: 'playing', score: { player: 4, ai: 4 } };
+    state = advanceMatch(state, point('player')).state;
+    expect(state.phase).toBe('playing');
+    state = advanceMatch(state, point('player')).state;
+    expect(state.phase).toBe('roundEnd');
+    expect(state.score).toEqual({ player: 6, ai: 4 });
+  });
+});
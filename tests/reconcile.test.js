@@ -0,0 +1,116 @@
+/**
+ * Inventory Reconciliation - Regression Tests
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  normalizeIngredientName,
+  ingredientsMatch,
+  tipMatchesIngredient,
+  reconcileInventory,
+} from '../src/reconcile.js';
+
+describe('normalizeIngredientName', () => {
+  it('should lowercase and split on punctuation', () => {
+    expect(normalizeIngredientName('Castoreum Abs.')).toEqual(['castoreum', 'abs']);
+    expect(normalizeIngredientName('dl-Muscone')).toEqual(['dl', 'muscone']);
+  });
+
+  it('should drop strengths and parenthetical notes', () => {
+    expect(normalizeIngredientName('dl-Muscone 100%')).toEqual(['dl', 'muscone']);
+    expect(normalizeIngredientName('Orris Butter (15% Irones)')).toEqual(['orris', 'butter']);
+  });
+
+  it('should strip accents', () => {
+    expect(normalizeIngredientName('Fougère')).toEqual(['fougere']);
+  });
+
+  it('should handle empty input', () => {
+    expect(normalizeIngredientName('')).toEqual([]);
+    expect(normalizeIngredientName(null)).toEqual([]);
+  });
+});
+
+describe('ingredientsMatch', () => {
+  it('should match abbreviations', () => {
+    expect(ingredientsMatch('Castoreum Abs.', 'Castoreum Absolute')).toBe(true);
+    expect(ingredientsMatch('castoreum absolute', 'Castoreum Abs')).toBe(true);
+  });
+
+  it('should ignore strength and dilution notes', () => {
+    expect(ingredientsMatch('Tonkin Musk Tincture', 'Tonkin Musk Tincture (3%)')).toBe(true);
+    expect(ingredientsMatch('dl-muscone', 'dl-Muscone 100%')).toBe(true);
+  });
+
+  it('should not match a name that is only a prefix of another', () => {
+    expect(ingredientsMatch('Rose', 'Rose oxide')).toBe(false);
+    expect(ingredientsMatch('Rose', 'Bulgarian Rose Absolute')).toBe(false);
+  });
+
+  it('should not match very short abbreviations', () => {
+    expect(ingredientsMatch('Castoreum A', 'Castoreum Absolute')).toBe(false);
+  });
+
+  it('should not match different ingredients', () => {
+    expect(ingredientsMatch('Aldehyde C-10', 'Aldehyde C-12 MNA')).toBe(false);
+    expect(ingredientsMatch('', 'Rose oxide')).toBe(false);
+  });
+});
+
+describe('tipMatchesIngredient', () => {
+  const catalog = [{ id: 'ing-isobutyl-quinoline', name: 'Isobutyl Quinoline', aliases: ['IBQ'] }];
+
+  it('should match by the tip ingredient name', () => {
+    expect(tipMatchesIngredient({ ingredient: 'Castoreum Abs.' }, 'Castoreum Absolute')).toBe(true);
+  });
+
+  it('should match by the aliases of the linked catalog entry', () => {
+    const tip = { ingredient: 'Isobutyl Quinoline', catalogId: 'ing-isobutyl-quinoline' };
+    expect(tipMatchesIngredient(tip, 'IBQ 10%', catalog)).toBe(true);
+    expect(tipMatchesIngredient(tip, 'IBQ 10%')).toBe(false);
+    expect(tipMatchesIngredient({ ingredient: 'Isobutyl Quinoline' }, 'IBQ', catalog)).toBe(false);
+  });
+});
+
+describe('reconcileInventory', () => {
+  const ingredients = [
+    { name: 'Castoreum Absolute', section: 'Animalic Base' },
+    { name: 'dl-Muscone 100%', section: 'Animalic Base' },
+    { name: 'Rose oxide', section: 'Rose Complex' },
+  ];
+  const tips = [
+    { ingredient: 'Castoreum Abs.', tipSize: 10, coord: 'A1' },
+    { ingredient: 'Castoreum Absolute', tipSize: 100, coord: 'A1' },
+    { ingredient: 'Rose oxide', tipSize: 10, coord: 'B1' },
+    { ingredient: 'Vanilla', tipSize: 10, coord: 'C1' },
+  ];
+
+  it('should list formula ingredients with no tip', () => {
+    const { missing } = reconcileInventory(ingredients, tips);
+    expect(missing.map((i) => i.name)).toEqual(['dl-Muscone 100%']);
+  });
+
+  it('should list tips that match nothing in the formula', () => {
+    const { orphaned } = reconcileInventory(ingredients, tips);
+    expect(orphaned).toEqual([{ ingredient: 'Vanilla', tipSize: 10, coord: 'C1' }]);
+  });
+
+  it('should group tips from both boxes under their formula ingredient', () => {
+    const { matched } = reconcileInventory(ingredients, tips);
+    expect(matched).toHaveLength(2);
+    expect(matched[0].ingredient.name).toBe('Castoreum Absolute');
+    expect(matched[0].tips.map((t) => t.tipSize)).toEqual([10, 100]);
+  });
+
+  it('should report everything missing for an empty inventory', () => {
+    const result = reconcileInventory(ingredients, []);
+    expect(result.missing).toHaveLength(3);
+    expect(result.orphaned).toEqual([]);
+  });
+
+  it('should match linked tips through catalog aliases', () => {
+    const catalog = [{ id: 'ing-muscone', name: 'Muscone', aliases: ['dl-Muscone'] }];
+    const linked = [{ ingredient: 'Muscone', tipSize: 10, coord: 'D1', catalogId: 'ing-muscone' }];
+    const { missing } = reconcileInventory(ingredients, linked, catalog);
+    expect(missing.map((i) => i.name)).not.toContain('dl-Muscone 100%');
+  });
+});
@@ -0,0 +1,135 @@
+/**
+ * Batch Scaling - Regression Tests
+ */
+import { describe, it, expect } from 'vitest';
+import { readFileSync } from 'node:fs';
+import { resolve } from 'node:path';
+import { parseFormula } from '../src/formula.js';
+import {
+  DEFAULT_DENSITY,
+  amountToVolume,
+  concentrateVolume,
+  scaleFormula,
+} from '../src/scaling.js';
+
+const TEX = readFileSync(resolve(__dirname, '../susuyomichi_current.tex'), 'utf8');
+
+// Small formula: 1 mL + 500 µL + 0.5 g = 2 mL at density 1
+const formula = {
+  sections: [
+    {
+      id: 'I',
+      title: 'Base',
+      tentative: false,
+      ingredients: [
+        { name: 'Musk', amount: { value: 1, unit: 'mL' }, tentative: false },
+        { name: 'Civet', amount: { value: 500, unit: 'µL' }, tentative: false },
+      ],
+    },
+    {
+      id: 'II',
+      title: 'Wood',
+      tentative: false,
+      ingredients: [{ name: 'Patchoulol', amount: { value: 0.5, unit: 'g' }, tentative: false }],
+    },
+    {
+      id: null,
+      title: 'Pending',
+      tentative: true,
+      ingredients: [{ name: 'Civet paste', amount: { value: 30, unit: 'µL' }, tentative: true }],
+    },
+  ],
+};
+
+describe('amountToVolume', () => {
+  it('should return µL for volumes', () => {
+    expect(amountToVolume({ value: 1.6, unit: 'mL' })).toBe(1600);
+  });
+
+  it('should convert mass with density', () => {
+    expect(amountToVolume({ value: 0.5, unit: 'g' }, 1.25)).toBe(400);
+  });
+
+  it('should fall back to the default density', () => {
+    expect(DEFAULT_DENSITY).toBe(1);
+    expect(amountToVolume({ value: 0.5, unit: 'g' })).toBe(500);
+  });
+});
+
+describe('concentrateVolume', () => {
+  it('should sum confirmed ingredients', () => {
+    expect(concentrateVolume(formula)).toEqual({ volume: 2000, assumedDensity: ['Patchoulol'] });
+  });
+
+  it('should use supplied densities', () => {
+    expect(concentrateVolume(formula, { Patchoulol: 1.25 })).toEqual({ volume: 1900, assumedDensity: [] });
+  });
+
+  it('should total the real formula', () => {
+    const result = concentrateVolume(parseFormula(TEX));
+    expect(result.volume).toBe(46746);
+    expect(result.assumedDensity).toEqual(['Orris Butter (15% Irones)', 'Patchoulol', 'Veramoss']);
+  });
+});
+
+describe('scaleFormula', () => {
+  it('should scale to a target volume', () => {
+    const result = scaleFormula(formula, { totalVolume: { value: 4, unit: 'mL' } });
+    expect(result.error).toBeNull();
+    expect(result.factor).toBe(2);
+    expect(result.sections[0].ingredients.map((i) => i.scaled)).toEqual([
+      { value: 2, unit: 'mL' },
+      { value: 1, unit: 'mL' },
+    ]);
+    expect(result.sections[1].ingredients[0].scaled).toEqual({ value: 1, unit: 'g' });
+    expect(result.ethanol).toEqual({ value: 0, unit: 'µL' });
+  });
+
+  it('should keep ratios within each section', () => {
+    const result = scaleFormula(formula, { totalVolume: { value: 300, unit: 'µL' } });
+    const [musk, civet] = result.sections[0].ingredients.map((i) => i.scaled.value);
+    expect(musk / civet).toBe(2);
+  });
+
+  it('should dilute to a target concentration and volume', () => {
+    const result = scaleFormula(formula, { totalVolume: { value: 10, unit: 'mL' }, concentration: 20 });
+    expect(result.concentrate).toEqual({ value: 2, unit: 'mL' });
+    expect(result.ethanol).toEqual({ value: 8, unit: 'mL' });
+    expect(result.total).toEqual({ value: 10, unit: 'mL' });
+    expect(result.factor).toBe(1);
+  });
+
+  it('should compute ethanol for a concentration alone', () => {
+    const result = scaleFormula(formula, { concentration: 25 });
+    expect(result.factor).toBe(1);
+    expect(result.ethanol).toEqual({ value: 6, unit: 'mL' });
+  });
+
+  it('should leave out tentative sections', () => {
+    const result = scaleFormula(formula, { concentration: 100 });
+    expect(result.sections.map((s) => s.title)).toEqual(['Base', 'Wood']);
+  });
+
+  it('should use densities for mass ingredients', () => {
+    const result = scaleFormula(formula, { totalVolume: { value: 3.8, unit: 'mL' }, densities: { Patchoulol: 1.25 } });
+    expect(result.factor).toBe(2);
+    expect(result.assumedDensity).toEqual([]);
+  });
+
+  it('should report invalid targets', () => {
+    expect(scaleFormula(formula, {}).error).toBe('Target volume or concentration is required');
+    expect(scaleFormula(formula, { concentration: 0 }).error).toContain('between 0 and 100');
+    expect(scaleFormula(formula, { concentration: 120 }).error).toContain('between 0 and 100');
+    expect(scaleFormula(formula, { totalVolume: { value: 5, unit: 'g' } }).error).toContain('positive volume');
+    expect(scaleFormula({ sections: [] }, { concentration: 20 }).error).toBe('Formula has no ingredients');
+  });
+
+  it('should scale the real formula to 100 mL at 20%', () => {
+    const result = scaleFormula(parseFormula(TEX), { totalVolume: { value: 100, unit: 'mL' }, concentration: 20 });
+    expect(result.sections).toHaveLength(14);
+    expect(result.sections[0].ingredients[1]).toMatchObject({
+      name: 'Castoreum Absolute',
+      scaled: { value: 128.4, unit: 'µL' },
+    });
+  });
+});
@@ -0,0 +1,217 @@
+/**
+ * Storage - Regression Tests
+ */
+import { describe, it, expect, beforeEach } from 'vitest';
+import { IDBFactory } from 'fake-indexeddb';
+import {
+  STATE_KEYS,
+  SCHEMA_VERSION,
+  normalizeState,
+  readLegacyItems,
+  migrateState,
+  createBackup,
+  openIndexedDbBackend,
+  createLocalStorageBackend,
+  openStore,
+} from '../src/storage.js';
+
+const now = new Date('2026-01-15T10:00:00.000Z');
+const legacyTips = [
+  { ingredient: 'Musk', tipSize: 10, coord: 'A1', row: 'A', col: '1', date: '2026-01-01T00:00:00.000Z' },
+  { ingredient: 'Rose', tipSize: 100, coord: 'L8', row: 'L', col: '8', date: '2026-01-02T00:00:00.000Z' },
+];
+
+beforeEach(() => {
+  localStorage.clear();
+});
+
+describe('normalizeState', () => {
+  it('should fill in defaults for every key', () => {
+    const state = normalizeState({});
+    expect(Object.keys(state)).toEqual(Object.keys(STATE_KEYS));
+    expect(state).toMatchObject({
+      pipetteTips: [],
+      pongTokens: 0,
+      tipsAddedCount: 0,
+      tipBoxes: [],
+      compoundSession: null,
+      deviationThreshold: 5,
+    });
+  });
+
+  it('should replace values of the wrong shape', () => {
+    const state = normalizeState({ pipetteTips: { oops: true }, pongTokens: -3, ingredientDensities: [1] });
+    expect(state.pipetteTips).toEqual([]);
+    expect(state.pongTokens).toBe(0);
+    expect(state.ingredientDensities).toEqual({});
+  });
+});
+
+describe('readLegacyItems', () => {
+  it('should collect the keys that are set', () => {
+    localStorage.setItem('pongTokens', '2');
+    localStorage.setItem('unrelated', 'x');
+    expect(readLegacyItems(key => localStorage.getItem(key))).toEqual({ pongTokens: '2' });
+  });
+});
+
+describe('migrateState', () => {
+  it('should read the legacy keys and box every tip', () => {
+    const items = { pipetteTips: JSON.stringify(legacyTips), pongTokens: '3', tipsAddedCount: '14' };
+    const result = migrateState(normalizeState(), 0, { getItem: key => items[key] ?? null });
+    expect(result.version).toBe(SCHEMA_VERSION);
+    expect(result.applied).toEqual([1, 2]);
+    expect(result.state.pongTokens).toBe(3);
+    expect(result.state.tipsAddedCount).toBe(14);
+    expect(result.state.pipetteTips.map(t => t.box)).toEqual(['box-10-1', 'box-100-1']);
+    expect(result.state.tipBoxes.map(b => b.id)).toEqual(['box-10-1', 'box-100-1']);
+  });
+
+  it('should survive corrupt legacy JSON', () => {
+    const items = { pipetteTips: '[{"ingredient":', ingredientDensities: 'nope', tipsAddedCount: 'abc' };
+    const { state } = migrateState(normalizeState(), 0, { getItem: key => items[key] ?? null });
+    expect(state.pipetteTips).toEqual([]);
+    expect(state.ingredientDensities).toEqual({});
+    expect(state.tipsAddedCount).toBe(0);
+  });
+
+  it('should only run newer migrations', () => {
+    const state = normalizeState({ pipetteTips: legacyTips });
+    const result = migrateState(state, 1);
+    expect(result.applied).toEqual([2]);
+    expect(migrateState(result.state, SCHEMA_VERSION)).toEqual({ state: result.state, version: SCHEMA_VERSION, applied: [] });
+  });
+});
+
+describe('createBackup', () => {
+  it('should record the version and time', () => {
+    expect(createBackup({ pongTokens: '1' }, 0, now)).toEqual({
+      id: 'backup-v0-2026-01-15T10:00:00.000Z',
+      version: 0,
+      createdAt: '2026-01-15T10:00:00.000Z',
+      data: { pongTokens: '1' },
+    });
+  });
+});
+
+describe('IndexedDB backend', () => {
+  it('should write several keys in one transaction', async () => {
+    const backend = await openIndexedDbBackend(new IDBFactory());
+    await backend.writeAll({ pongTokens: 2, tipsAddedCount: 7 });
+    expect(await backend.readAll()).toEqual({ pongTokens: 2, tipsAddedCount: 7 });
+    backend.close();
+  });
+
+  it('should write nothing when a value cannot be stored', async () => {
+    const backend = await openIndexedDbBackend(new IDBFactory());
+    await backend.writeAll({ pongTokens: 1 });
+    let error = null;
+    try {
+      await backend.writeAll({ pongTokens: 5, tipsAddedCount: () => {} });
+    } catch (err) {
+      error = err;
+    }
+    expect(error).not.toBeNull();
+    expect(await backend.readAll()).toEqual({ pongTokens: 1 });
+    backend.close();
+  });
+});
+
+describe('localStorage backend', () => {
+  it('should store each key as JSON and restore it on failure', async () => {
+    const backend = createLocalStorageBackend(localStorage);
+    await backend.writeAll({ pongTokens: 2, compoundSession: null });
+    expect(localStorage.getItem('pongTokens')).toBe('2');
+    expect(await backend.readAll()).toEqual({ pongTokens: 2 });
+
+    const failing = {
+      getItem: key => localStorage.getItem(key),
+      removeItem: key => localStorage.removeItem(key),
+      setItem: (key, value) => {
+        if (key === 'tipsAddedCount') throw new Error('Quota exceeded');
+        localStorage.setItem(key, value);
+      },
+    };
+    await expect(createLocalStorageBackend(failing).writeAll({ pongTokens: 9, tipsAddedCount: 1 })).rejects.toThrow('Quota exceeded');
+    expect(localStorage.getItem('pongTokens')).toBe('2');
+  });
+});
+
+describe('openStore', () => {
+  it('should migrate the legacy keys into IndexedDB after backing them up', async () => {
+    localStorage.setItem('pipetteTips', JSON.stringify(legacyTips));
+    localStorage.setItem('pongTokens', '3');
+    localStorage.setItem('tipsAddedCount', '14');
+    const indexedDB = new IDBFactory();
+
+    const store = await openStore({ indexedDB, localStorage, now });
+    expect(store.backend).toBe('indexedDB');
+    expect(store.version).toBe(SCHEMA_VERSION);
+    expect(store.migration.applied).toEqual([1, 2]);
+    expect(store.state.pongTokens).toBe(3);
+    expect(store.state.pipetteTips).toHaveLength(2);
+    expect(store.state.pipetteTips[0].box).toBe('box-10-1');
+
+    const backups = await store.listBackups();
+    expect(backups).toHaveLength(1);
+    expect(backups[0]).toMatchObject({ version: 0, data: { pongTokens: '3', tipsAddedCount: '14' } });
+    store.close();
+
+    // Reopening reads the store and does not migrate again
+    localStorage.setItem('pongTokens', '99');
+    const reopened = await openStore({ indexedDB, localStorage, now });
+    expect(reopened.migration.applied).toEqual([]);
+    expect(reopened.state.pongTokens).toBe(3);
+    reopened.close();
+  });
+
+  it('should start empty without legacy data or a backup', async () => {
+    const store = await openStore({ indexedDB: new IDBFactory(), localStorage, now });
+    expect(store.state).toEqual(normalizeState());
+    expect(store.migration.backup).toBeNull();
+    expect(await store.listBackups()).toEqual([]);
+    store.close();
+  });
+
+  it('should migrate an older store version, keeping a backup', async () => {
+    const indexedDB = new IDBFactory();
+    const backend = await openIndexedDbBackend(indexedDB);
+    await backend.writeAll({ schemaVersion: 1, pipetteTips: legacyTips, pongTokens: 4 });
+    backend.close();
+
+    const store = await openStore({ indexedDB, localStorage, now });
+    expect(store.migration).toMatchObject({ from: 1, applied: [2] });
+    expect(store.state.pongTokens).toBe(4);
+    expect(store.state.tipBoxes.map(b => b.id)).toEqual(['box-10-1', 'box-100-1']);
+    const [backup] = await store.listBackups();
+    expect(backup.data.pipetteTips).toEqual(legacyTips);
+    store.close();
+  });
+
+  it('should persist multi-key writes and reject unknown keys', async () => {
+    const indexedDB = new IDBFactory();
+    const store = await openStore({ indexedDB, localStorage, now });
+    await store.write({ pongTokens: 1, tipsAddedCount: 5 });
+    await expect(store.write({ pongTokenz: 1 })).rejects.toThrow('Unknown state key "pongTokenz"');
+    store.close();
+
+    const reopened = await openStore({ indexedDB, localStorage, now });
+    expect(reopened.state).toMatchObject({ pongTokens: 1, tipsAddedCount: 5 });
+    reopened.close();
+  });
+
+  it('should fall back to localStorage without IndexedDB', async () => {
+    localStorage.setItem('pipetteTips', '{corrupt');
+    localStorage.setItem('pongTokens', '2');
+    const store = await openStore({ indexedDB: undefined, localStorage, now });
+    expect(store.backend).toBe('localStorage');
+    expect(store.state.pipetteTips).toEqual([]);
+    expect(store.state.pongTokens).toBe(2);
+    expect(localStorage.getItem('schemaVersion')).toBe(String(SCHEMA_VERSION));
+    expect((await store.listBackups())[0].data.pipetteTips).toBe('{corrupt');
+
+    const reopened = await openStore({ indexedDB: undefined, localStorage, now });
+    expect(reopened.migration.applied).toEqual([]);
+    expect(reopened.state.pongTokens).toBe(2);
+  });
+});
@@ -0,0 +1,204 @@
+/**
+ * Tip CSV - Regression Tests
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  CSV_COLUMNS,
+  detectDelimiter,
+  parseCsv,
+  formatCsv,
+  exportTipsCsv,
+  guessColumnMapping,
+  validateColumnMapping,
+  readTipsCsv,
+  validateCsvRecords,
+} from '../src/tip-csv.js';
+import { diffImport } from '../src/tip-import.js';
+import { defaultBox } from '../src/boxes.js';
+
+const date = '2026-01-10T09:00:00.000Z';
+const boxes = [defaultBox(10), defaultBox(100), { ...defaultBox(10), id: 'box-10-2', name: '10µL-Box-2' }];
+const musk = { ingredient: 'Musk', tipSize: 10, row: 'A', col: '1', coord: 'A1', date, box: 'box-10-1' };
+const mapping = { ingredient: 0, tipSize: 1, box: 2, coord: 3, date: 4 };
+
+const cells = records => records.map(r => r.cells);
+
+describe('CSV_COLUMNS', () => {
+  it('should list the exported fields in order', () => {
+    expect(CSV_COLUMNS.map(c => c.field)).toEqual(['ingredient', 'tipSize', 'box', 'coord', 'date']);
+  });
+});
+
+describe('detectDelimiter', () => {
+  it('should pick the delimiter used in the first line', () => {
+    expect(detectDelimiter('a,b,c\n1,2,3')).toBe(',');
+    expect(detectDelimiter('a;b;c\n1,5;2;3')).toBe(';');
+    expect(detectDelimiter('a\tb\n')).toBe('\t');
+  });
+
+  it('should ignore delimiters inside quotes', () => {
+    expect(detectDelimiter('"a,b,c";d;e')).toBe(';');
+  });
+
+  it('should default to a comma', () => {
+    expect(detectDelimiter('single')).toBe(',');
+  });
+});
+
+describe('parseCsv', () => {
+  it('should split records and cells with their line numbers', () => {
+    const { records, error } = parseCsv('a,b\r\n1,2\r\n');
+    expect(error).toBeNull();
+    expect(records).toEqual([{ line: 1, cells: ['a', 'b'] }, { line: 2, cells: ['1', '2'] }]);
+  });
+
+  it('should read quoted cells with commas, quotes and line breaks', () => {
+    const { records } = parseCsv('name,note\n"Ambroxan, 10%","say ""hi"""\n"two\nlines",x\nlast,y');
+    expect(cells(records)).toEqual([
+      ['name', 'note'],
+      ['Ambroxan, 10%', 'say "hi"'],
+      ['two\nlines', 'x'],
+      ['last', 'y'],
+    ]);
+    expect(records.map(r => r.line)).toEqual([1, 2, 3, 5]);
+  });
+
+  it('should skip blank lines and lines of empty cells', () => {
+    const { records } = parseCsv('a,b\n\n1,2\n,,\n');
+    expect(cells(records)).toEqual([['a', 'b'], ['1', '2']]);
+    expect(records[1].line).toBe(3);
+  });
+
+  it('should strip a byte order mark and keep µ', () => {
+    const { records } = parseCsv('\uFEFFTip Size (µL);Name\n10;Iso E Super');
+    expect(cells(records)).toEqual([['Tip Size (µL)', 'Name'], ['10', 'Iso E Super']]);
+  });
+
+  it('should report an unclosed quote with its line', () => {
+    expect(parseCsv('a,b\n"open,1\n2,3')).toEqual({ records: [], error: 'Line 2: quoted cell is never closed' });
+  });
+});
+
+describe('formatCsv', () => {
+  it('should quote only cells that need it', () => {
+    expect(formatCsv([['Musk', 10], ['Ambroxan, 10%', 'say "hi"'], ['two\nlines', ' padded']])).toBe(
+      'Musk,10\r\n"Ambroxan, 10%","say ""hi"""\r\n"two\nlines"," padded"\r\n',
+    );
+  });
+
+  it('should quote for the delimiter in use', () => {
+    expect(formatCsv([['a;b', 'c,d']], ';')).toBe('"a;b";c,d\r\n');
+  });
+
+  it('should round-trip through parseCsv', () => {
+    const rows = [['Ingredient', 'Note'], ['Hedione, HC', '"best"\nfresh'], ['Rose', '']];
+    expect(cells(parseCsv(formatCsv(rows)).records)).toEqual(rows);
+  });
+});
+
+describe('exportTipsCsv', () => {
+  it('should write a header and one row per tip with box names', () => {
+    const text = exportTipsCsv([{ ...musk, ingredient: 'Ambrette, seed' }], boxes);
+    expect(text.startsWith('\uFEFF')).toBe(true);
+    expect(text.slice(1)).toBe(
+      `Ingredient,Tip Size (µL),Box,Coordinate,Date Added\r\n"Ambrette, seed",10,10µL-Box-1,A1,${date}\r\n`,
+    );
+  });
+
+  it('should write the box ID when the box is unknown', () => {
+    const text = exportTipsCsv([{ ...musk, box: 'box-10-7' }], boxes);
+    expect(text).toContain(',box-10-7,');
+  });
+});
+
+describe('guessColumnMapping', () => {
+  it('should recognize the exported header', () => {
+    expect(guessColumnMapping(CSV_COLUMNS.map(c => c.label))).toEqual(mapping);
+  });
+
+  it('should recognize common spreadsheet headers in any order', () => {
+    expect(guessColumnMapping(['Position', 'Material', 'Size (uL)', 'Notes'])).toEqual({
+      ingredient: 1, tipSize: 2, box: null, coord: 0, date: null,
+    });
+  });
+});
+
+describe('validateColumnMapping', () => {
+  it('should accept a complete mapping', () => {
+    expect(validateColumnMapping(mapping)).toBeNull();
+    expect(validateColumnMapping({ ...mapping, box: null, date: null })).toBeNull();
+  });
+
+  it('should require ingredient, tip size and coordinate', () => {
+    expect(validateColumnMapping({ ...mapping, coord: null })).toBe('Choose the column holding Coordinate');
+  });
+
+  it('should reject a column used twice', () => {
+    expect(validateColumnMapping({ ...mapping, date: 0 })).toBe('Each column can only be used for one field');
+  });
+});
+
+describe('readTipsCsv', () => {
+  it('should split off the header and guess the mapping', () => {
+    const result = readTipsCsv(exportTipsCsv([musk], boxes));
+    expect(result.error).toBeNull();
+    expect(result.header).toEqual(CSV_COLUMNS.map(c => c.label));
+    expect(result.mapping).toEqual(mapping);
+    expect(result.records).toEqual([{ line: 2, cells: ['Musk', '10', '10µL-Box-1', 'A1', date] }]);
+  });
+
+  it('should report empty files and parse errors', () => {
+    expect(readTipsCsv('\n\n').error).toBe('The file is empty');
+    expect(readTipsCsv('"a').error).toBe('Line 1: quoted cell is never closed');
+  });
+});
+
+describe('validateCsvRecords', () => {
+  const read = text => readTipsCsv(text).records;
+
+  it('should read an exported file back as unchanged tips', () => {
+    const tips = [musk, { ...musk, ingredient: 'Cashmeran, 50%', box: 'box-10-2' }];
+    const checked = validateCsvRecords(read(exportTipsCsv(tips, boxes)), mapping, boxes);
+    expect(checked.every(r => r.errors.length === 0)).toBe(true);
+    expect(diffImport(tips, checked).map(d => d.status)).toEqual(['unchanged', 'unchanged']);
+  });
+
+  it('should report errors by file line number', () => {
+    const text = 'Ingredient,Tip Size (µL),Box,Coordinate,Date Added\n'
+      + '"Note:\nmulti-line",10,,A1,\n'
+      + ',10,,A2,\n'
+      + 'Rose,10 µL,,Z9,yesterday\n';
+    const checked = validateCsvRecords(read(text), mapping, boxes);
+    expect(checked.map(r => r.line)).toEqual([2, 4, 5]);
+    expect(checked[0].errors).toEqual([]);
+    expect(checked[1].errors).toEqual(['Ingredient is required']);
+    expect(checked[2].errors).toEqual([
+      'Invalid coordinate "Z9" for 10µL tip',
+      'Invalid date "yesterday"',
+    ]);
+  });
+
+  it('should match boxes by name or ID and report unknown ones', () => {
+    const text = 'Ingredient,Size,Box,Coordinate\nMusk,10,10µl-box-2,A1\nRose,10,box-10-2,A2\nIris,10,Shelf C,A3\n';
+    const { records, mapping: guessed } = readTipsCsv(text);
+    const checked = validateCsvRecords(records, guessed, boxes);
+    expect(checked.map(r => r.tip.box)).toEqual(['box-10-2', 'box-10-2', 'box-10-1']);
+    expect(checked[2].errors).toEqual(['Unknown box "Shelf C"']);
+  });
+
+  it('should put rows without a box column in the default box', () => {
+    const checked = validateCsvRecords([{ line: 2, cells: ['Musk', '10', 'a1'] }], { ingredient: 0, tipSize: 1, coord: 2 }, boxes);
+    const { date: _, ...undated } = musk;
+    expect(checked[0].tip).toEqual(undated);
+  });
+
+  it('should leave the date of listed tips alone when the cell is empty', () => {
+    const records = [{ line: 2, cells: ['Musk', '10', '', 'A1', ''] }];
+    expect(diffImport([musk], validateCsvRecords(records, mapping, boxes))[0].status).toBe('unchanged');
+  });
+
+  it('should turn readable dates into ISO timestamps', () => {
+    const checked = validateCsvRecords([{ line: 2, cells: ['Musk', '10', '', 'A1', '2026-01-10T09:00:00Z'] }], mapping, boxes);
+    expect(checked[0].tip.date).toBe(date);
+  });
+});
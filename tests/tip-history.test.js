@@ -0,0 +1,131 @@
+/**
+ * Tip History - Regression Tests
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  MAX_HISTORY,
+  createHistory,
+  diffTips,
+  recordOperation,
+  undo,
+  redo,
+  loadHistory,
+} from '../src/tip-history.js';
+import { addTip, deleteTip, mergeImportedTips } from '../src/tip-tracker.js';
+
+const now = new Date('2026-01-15T10:00:00.000Z');
+const musk = { ingredient: 'Musk', tipSize: 10, coord: 'A1', box: 'box-10-1' };
+const rose = { ingredient: 'Rose', tipSize: 100, coord: 'B2', box: 'box-100-1' };
+const civet = { ingredient: 'Civet', tipSize: 10, coord: 'A1', box: 'box-10-1' };
+
+describe('diffTips', () => {
+  it('should list removed and added tips', () => {
+    expect(diffTips([musk, rose], [rose, civet])).toEqual({ removed: [musk], added: [civet] });
+    expect(diffTips([musk], [musk])).toEqual({ removed: [], added: [] });
+  });
+});
+
+describe('recordOperation', () => {
+  it('should store the change with a label and time', () => {
+    const history = recordOperation(createHistory(), 'Add Musk', [], [musk], now);
+    expect(history.undo).toEqual([{ label: 'Add Musk', at: now.toISOString(), removed: [], added: [musk] }]);
+    expect(history.redo).toEqual([]);
+  });
+
+  it('should skip operations that changed nothing', () => {
+    const history = createHistory();
+    expect(recordOperation(history, 'Import 0 tips', [musk], [musk], now)).toBe(history);
+  });
+
+  it('should clear the redo stack', () => {
+    let history = recordOperation(createHistory(), 'Add Musk', [], [musk], now);
+    history = undo(history, [musk]).history;
+    expect(history.redo).toHaveLength(1);
+    history = recordOperation(history, 'Add Rose', [], [rose], now);
+    expect(history.redo).toEqual([]);
+  });
+
+  it('should keep at most MAX_HISTORY entries', () => {
+    let history = createHistory();
+    let tips = [];
+    for (let i = 0; i < MAX_HISTORY + 5; i++) {
+      const next = [...tips, { ...musk, coord: `A${i}` }];
+      history = recordOperation(history, `Add ${i}`, tips, next, now);
+      tips = next;
+    }
+    expect(history.undo).toHaveLength(MAX_HISTORY);
+    expect(history.undo[0].label).toBe('Add 5');
+  });
+});
+
+describe('undo / redo', () => {
+  it('should reverse and replay several operations in order', () => {
+    let history = createHistory();
+    const steps = [[]];
+    const apply = (label, next) => {
+      history = recordOperation(history, label, steps[steps.length - 1], next, now);
+      steps.push(next);
+    };
+    apply('Add Musk', addTip([], musk).tips);
+    apply('Add Rose', addTip(steps[1], rose).tips);
+    apply('Replace A1', addTip(steps[2], civet, true).tips);
+    apply('Delete B2', deleteTip(steps[3], 'B2', 100, 'box-100-1'));
+
+    let tips = steps[4];
+    for (let i = 3; i >= 0; i--) {
+      ({ history, tips } = undo(history, tips));
+      expect(tips).toEqual(expect.arrayContaining(steps[i]));
+      expect(tips).toHaveLength(steps[i].length);
+    }
+    for (let i = 1; i <= 4; i++) {
+      ({ history, tips } = redo(history, tips));
+      expect(tips).toEqual(expect.arrayContaining(steps[i]));
+      expect(tips).toHaveLength(steps[i].length);
+    }
+  });
+
+  it('should undo clear-all and import merges in one step', () => {
+    const before = [musk, rose];
+    let history = recordOperation(createHistory(), 'Clear all', before, [], now);
+    const restored = undo(history, []);
+    expect(restored.tips).toEqual(before);
+    expect(restored.entry.label).toBe('Clear all');
+
+    const merged = mergeImportedTips(before, [civet, { ...rose, ingredient: 'Rose Oxide' }]);
+    history = recordOperation(createHistory(), 'Import 2 tips', before, merged, now);
+    expect(undo(history, merged).tips).toEqual(expect.arrayContaining(before));
+    expect(undo(history, merged).tips).toHaveLength(2);
+  });
+
+  it('should undo tips changed outside the history', () => {
+    let history = recordOperation(createHistory(), 'Add Musk', [], [musk], now);
+    history = recordOperation(history, 'Use Musk', [musk], [{ ...musk, uses: 1 }], now);
+    const retired = [{ ...musk, uses: 1, retired: true }];
+
+    const undone = undo(history, retired);
+    expect(undone.tips).toEqual([musk]);
+    expect(redo(undone.history, retired).tips).toEqual([{ ...musk, uses: 1 }]);
+    expect(undo(undone.history, retired).tips).toEqual([]);
+  });
+
+  it('should do nothing when a stack is empty', () => {
+    const history = createHistory();
+    expect(undo(history, [musk])).toEqual({ history, tips: [musk], entry: null });
+    expect(redo(history, [musk])).toEqual({ history, tips: [musk], entry: null });
+  });
+});
+
+describe('loadHistory', () => {
+  it('should round-trip a saved history', () => {
+    const history = recordOperation(createHistory(), 'Add Musk', [], [musk], now);
+    expect(loadHistory(JSON.stringify(history))).toEqual(history);
+  });
+
+  it('should drop malformed entries and survive corrupt data', () => {
+    const saved = JSON.stringify({ undo: [{ label: 'Add', removed: [], added: [] }, { label: 1 }], redo: [null] });
+    expect(loadHistory(saved)).toEqual({ undo: [{ label: 'Add', removed: [], added: [] }], redo: [] });
+    expect(loadHistory('{oops')).toEqual(createHistory());
+    expect(loadHistory(null)).toEqual(createHistory());
+    expect(loadHistory('[]')).toEqual(createHistory());
+  });
+});
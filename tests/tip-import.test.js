@@ -0,0 +1,222 @@
+/**
+ * Tip Import - Regression Tests
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  CONFLICT_RESOLUTIONS,
+  parseImportFile,
+  validateImportRows,
+  diffImport,
+  summarizeImport,
+  findFreeSlot,
+  applyImport,
+} from '../src/tip-import.js';
+import { defaultBox } from '../src/boxes.js';
+
+const now = new Date('2026-01-15T10:00:00.000Z');
+const date = '2026-01-10T09:00:00.000Z';
+const boxes = [defaultBox(10), defaultBox(100)];
+const musk = { ingredient: 'Musk', tipSize: 10, row: 'A', col: '1', coord: 'A1', date, box: 'box-10-1' };
+const rose = { ingredient: 'Rose', tipSize: 100, row: 'B', col: '2', coord: 'B2', date, box: 'box-100-1' };
+
+function prepare(tips, rows) {
+  return diffImport(tips, validateImportRows(rows, boxes));
+}
+
+describe('CONFLICT_RESOLUTIONS', () => {
+  it('should offer keep, replace and keep-both', () => {
+    expect(CONFLICT_RESOLUTIONS).toEqual(['keep', 'replace', 'keep-both']);
+  });
+});
+
+describe('parseImportFile', () => {
+  it('should read a list of tips', () => {
+    expect(parseImportFile(JSON.stringify([musk]))).toEqual({ rows: [musk], error: null });
+  });
+
+  it('should reject invalid JSON and non-lists', () => {
+    expect(parseImportFile('{oops')).toEqual({ rows: null, error: 'Invalid JSON file' });
+    expect(parseImportFile('{"tips": []}')).toEqual({ rows: null, error: 'Expected a list of tips' });
+  });
+});
+
+describe('validateImportRows', () => {
+  it('should number rows from firstLine', () => {
+    const checked = validateImportRows([musk, rose], boxes, { firstLine: 2 });
+    expect(checked.map(r => r.line)).toEqual([2, 3]);
+    expect(checked.every(r => r.errors.length === 0)).toBe(true);
+  });
+
+  it('should clean up ingredient, size and coordinate', () => {
+    const [row] = validateImportRows([{ ingredient: '  Musk ', tipSize: '10', coord: ' a1 ', date }], boxes);
+    expect(row.tip).toEqual(musk);
+  });
+
+  it('should build the coordinate from row and col when missing', () => {
+    const [row] = validateImportRows([{ ingredient: 'Musk', tipSize: 10, row: 'C', col: '4' }], boxes);
+    expect(row.tip.coord).toBe('C4');
+    expect(row.tip).not.toHaveProperty('date');
+  });
+
+  it('should use the given line numbers', () => {
+    const checked = validateImportRows([musk, rose], boxes, { lines: [2, 5] });
+    expect(checked.map(r => r.line)).toEqual([2, 5]);
+  });
+
+  it('should reject dates that cannot be read', () => {
+    const [row] = validateImportRows([{ ...musk, date: 'last Tuesday' }], boxes);
+    expect(row.errors).toEqual(['Invalid date "last Tuesday"']);
+  });
+
+  it('should put rows with an unknown box in the default box', () => {
+    const [row] = validateImportRows([{ ...musk, box: 'box-10-9' }], boxes);
+    expect(row.tip.box).toBe('box-10-1');
+    expect(row.errors).toEqual([]);
+  });
+
+  it('should report validation errors per row', () => {
+    const checked = validateImportRows([
+      { ...musk, ingredient: '' },
+      { ...musk, coord: 'Z99' },
+      'Musk',
+    ], boxes);
+    expect(checked[0].errors).toEqual(['Ingredient is required']);
+    expect(checked[1].errors[0]).toMatch(/Invalid coordinate "Z99"/);
+    expect(checked[2]).toEqual({ line: 3, tip: null, errors: ['Row must be an object'] });
+  });
+
+  it('should reject a tip size the box does not hold', () => {
+    const [row] = validateImportRows([{ ...musk, tipSize: 100 }], boxes);
+    expect(row.errors).toContain('10µL-Box-1 holds 10µL tips');
+  });
+});
+
+describe('diffImport', () => {
+  it('should classify new, unchanged, replaced and conflicting rows', () => {
+    const tips = [musk, rose, { ...musk, coord: 'A2', col: '2' }];
+    const diff = prepare(tips, [
+      { ...musk, coord: 'A3', col: '3' },
+      { ...rose, col: '2', row: 'B' },
+      { ...musk, coord: 'A2', col: '2', uses: [date] },
+      { ...musk, ingredient: 'Civet' },
+    ]);
+    expect(diff.map(d => d.status)).toEqual(['new', 'unchanged', 'replaced', 'conflict']);
+    expect(diff[3].existing).toEqual(musk);
+  });
+
+  it('should treat the same tip with keys in another order as unchanged', () => {
+    const reordered = { box: 'box-10-1', date, coord: 'A1', col: '1', row: 'A', tipSize: 10, ingredient: 'Musk' };
+    expect(prepare([musk], [reordered])[0].status).toBe('unchanged');
+  });
+
+  it('should only compare the fields the file carries', () => {
+    const used = { ...musk, uses: [date], maxUses: 5 };
+    expect(prepare([used], [musk])[0].status).toBe('unchanged');
+  });
+
+  it('should mark invalid rows and rows repeating a slot', () => {
+    const diff = prepare([], [musk, { ...musk, ingredient: 'Civet' }, { ...musk, ingredient: '' }]);
+    expect(diff.map(d => d.status)).toEqual(['new', 'invalid', 'invalid']);
+    expect(diff[1].errors).toEqual(['Same slot as line 1']);
+  });
+});
+
+describe('summarizeImport', () => {
+  it('should count rows by status', () => {
+    const diff = prepare([musk], [musk, rose, { ...musk, ingredient: 'Civet', coord: 'A1' }, {}]);
+    expect(summarizeImport(diff)).toEqual({ new: 1, replaced: 0, conflict: 0, unchanged: 1, invalid: 2 });
+  });
+});
+
+describe('findFreeSlot', () => {
+  it('should return the first free coordinate in reading order', () => {
+    expect(findFreeSlot([musk], 'box-10-1', 10, boxes)).toBe('A2');
+    expect(findFreeSlot([], 'box-100-1', 100, boxes)).toBe('A1');
+  });
+
+  it('should use the tip size layout for boxes that do not exist yet', () => {
+    expect(findFreeSlot([], 'box-10-7', 10, [])).toBe('A1');
+  });
+
+  it('should return null when the box is full', () => {
+    const full = [];
+    for (let r = 0; r < 8; r++) {
+      for (let c = 1; c <= 12; c++) {
+        full.push({ ...musk, coord: `${'ABCDEFGH'[r]}${c}` });
+      }
+    }
+    expect(findFreeSlot(full, 'box-10-1', 10, boxes)).toBeNull();
+  });
+});
+
+describe('applyImport', () => {
+  const civet = { ...musk, ingredient: 'Civet' };
+
+  it('should add new rows and replace same-ingredient rows when merging', () => {
+    const updated = { ...musk, uses: [date] };
+    const diff = prepare([musk], [updated, rose]);
+    const result = applyImport([musk], boxes, diff);
+    expect(result.tips).toEqual([updated, rose]);
+    expect(result.summary).toEqual({ added: 1, replaced: 1, kept: 0, removed: 0, skipped: 0, moved: [] });
+  });
+
+  it('should keep fields missing from the file when updating a tip', () => {
+    const used = { ...musk, uses: [date] };
+    const redated = { ...musk, date: now.toISOString() };
+    const result = applyImport([used], boxes, prepare([used], [redated]));
+    expect(result.tips).toEqual([{ ...used, date: now.toISOString() }]);
+  });
+
+  it('should date new tips without a date and keep the date of updated ones', () => {
+    const { date: _, ...undated } = musk;
+    const diff = prepare([{ ...musk, uses: [date] }], [{ ...undated, maxUses: 5 }, { ...undated, coord: 'A2' }]);
+    const result = applyImport([{ ...musk, uses: [date] }], boxes, diff, { now });
+    expect(result.tips).toEqual([
+      { ...musk, uses: [date], maxUses: 5 },
+      { ...musk, col: '2', coord: 'A2', date: now.toISOString() },
+    ]);
+  });
+
+  it('should keep the existing tip for unresolved conflicts', () => {
+    const diff = prepare([musk], [civet]);
+    const result = applyImport([musk], boxes, diff);
+    expect(result.tips).toEqual([musk]);
+    expect(result.summary.kept).toBe(1);
+  });
+
+  it('should replace a conflicting tip when asked', () => {
+    const diff = prepare([musk], [civet]);
+    const result = applyImport([musk], boxes, diff, { resolutions: { 1: 'replace' } });
+    expect(result.tips).toEqual([civet]);
+    expect(result.summary.replaced).toBe(1);
+  });
+
+  it('should move the imported tip to a free slot to keep both', () => {
+    const diff = prepare([musk], [civet]);
+    const result = applyImport([musk], boxes, diff, { resolutions: { 1: 'keep-both' } });
+    expect(result.tips).toEqual([musk, { ...civet, col: '2', coord: 'A2' }]);
+    expect(result.summary.moved).toEqual([{ line: 1, from: 'A1', to: 'A2' }]);
+  });
+
+  it('should replace everything with the valid rows in replace-all mode', () => {
+    const diff = prepare([musk, rose], [civet, { ...rose, coord: 'Z9' }]);
+    const result = applyImport([musk, rose], boxes, diff, { mode: 'replace-all' });
+    expect(result.tips).toEqual([civet]);
+    expect(result.summary).toEqual({ added: 1, replaced: 0, kept: 0, removed: 2, skipped: 1, moved: [] });
+  });
+
+  it('should create default boxes that do not exist yet', () => {
+    const diff = diffImport([], validateImportRows([musk], []));
+    const result = applyImport([], [], diff);
+    expect(result.boxes).toEqual([defaultBox(10)]);
+    expect(result.tips).toEqual([musk]);
+  });
+
+  it('should not modify its inputs', () => {
+    const tips = [musk];
+    const diff = prepare(tips, [civet, rose]);
+    applyImport(tips, boxes, diff, { resolutions: { 1: 'replace' } });
+    expect(tips).toEqual([musk]);
+    expect(boxes).toHaveLength(2);
+  });
+});
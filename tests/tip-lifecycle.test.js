@@ -0,0 +1,157 @@
+/**
+ * Tip Lifecycle - Regression Tests
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  DEFAULT_TIP_LIMITS,
+  tipLimits,
+  tipAgeDays,
+  recordTipUse,
+  setTipLimits,
+  retireTip,
+  replaceTip,
+  tipWear,
+  needsReplacement,
+  retireWornTips,
+  summarizeWear,
+  loadTipLimits,
+} from '../src/tip-lifecycle.js';
+
+const added = new Date('2026-01-01T10:00:00.000Z');
+const now = new Date('2026-01-31T12:00:00.000Z');
+const tip = { ingredient: 'Civettone', tipSize: 100, coord: 'C1', box: 'box-100-1', date: added.toISOString() };
+
+const usedTimes = (t, n) => {
+  let result = t;
+  for (let i = 0; i < n; i++) result = recordTipUse(result, now);
+  return result;
+};
+
+describe('tipLimits', () => {
+  it('should use the defaults unless the tip has its own', () => {
+    expect(tipLimits(tip)).toEqual({ maxUses: 20, maxAgeDays: 90 });
+    expect(tipLimits({ ...tip, maxUses: 5 }, { maxUses: 10, maxAgeDays: null })).toEqual({ maxUses: 5, maxAgeDays: null });
+  });
+});
+
+describe('tipAgeDays', () => {
+  it('should count whole days since the tip was added', () => {
+    expect(tipAgeDays(tip, now)).toBe(30);
+    expect(tipAgeDays(tip, added)).toBe(0);
+  });
+
+  it('should treat a missing date as new', () => {
+    expect(tipAgeDays({ tipSize: 10 }, now)).toBe(0);
+  });
+});
+
+describe('recordTipUse', () => {
+  it('should append a timestamp without mutating the tip', () => {
+    const used = recordTipUse(tip, now);
+    expect(used.uses).toEqual([now.toISOString()]);
+    expect(recordTipUse(used, now).uses).toHaveLength(2);
+    expect(tip.uses).toBeUndefined();
+  });
+});
+
+describe('setTipLimits', () => {
+  it('should set and clear per-tip limits', () => {
+    const { tip: limited, error } = setTipLimits(tip, { maxUses: 5, maxAgeDays: 14 });
+    expect(error).toBeNull();
+    expect(limited).toMatchObject({ maxUses: 5, maxAgeDays: 14 });
+    expect(setTipLimits(limited, { maxUses: null }).tip).not.toHaveProperty('maxUses');
+  });
+
+  it('should reject limits that are not positive whole numbers', () => {
+    expect(setTipLimits(tip, { maxUses: 0 })).toEqual({ tip, error: 'Max uses must be a positive whole number' });
+    expect(setTipLimits(tip, { maxAgeDays: 2.5 }).error).toBe('Max age must be a positive whole number');
+  });
+});
+
+describe('tipWear', () => {
+  it('should report an unused new tip as ok', () => {
+    expect(tipWear(tip, DEFAULT_TIP_LIMITS, now)).toEqual({
+      uses: 0, maxUses: 20, ageDays: 30, maxAgeDays: 90, status: 'ok', reasons: [],
+    });
+  });
+
+  it('should flag a tip once it reaches its maximum uses', () => {
+    const limited = { ...tip, maxUses: 3 };
+    expect(tipWear(usedTimes(limited, 2), DEFAULT_TIP_LIMITS, now).status).toBe('ok');
+    const wear = tipWear(usedTimes(limited, 3), DEFAULT_TIP_LIMITS, now);
+    expect(wear.status).toBe('worn');
+    expect(wear.reasons).toEqual(['3/3 uses']);
+  });
+
+  it('should flag a tip once it reaches its maximum age', () => {
+    const wear = tipWear(tip, { maxUses: null, maxAgeDays: 30 }, now);
+    expect(wear.status).toBe('worn');
+    expect(wear.reasons).toEqual(['30 days old (max 30)']);
+  });
+
+  it('should ignore limits set to null', () => {
+    expect(tipWear(usedTimes(tip, 50), { maxUses: null, maxAgeDays: null }, now).status).toBe('ok');
+  });
+
+  it('should report retired tips', () => {
+    expect(tipWear(retireTip(tip, now), DEFAULT_TIP_LIMITS, now).status).toBe('retired');
+    expect(needsReplacement(retireTip(tip, now), DEFAULT_TIP_LIMITS, now)).toBe(true);
+    expect(needsReplacement(tip, DEFAULT_TIP_LIMITS, now)).toBe(false);
+  });
+});
+
+describe('retireTip / replaceTip', () => {
+  it('should keep the first retirement time', () => {
+    const retired = retireTip(tip, now);
+    expect(retired.retiredAt).toBe(now.toISOString());
+    expect(retireTip(retired, new Date('2026-02-01'))).toBe(retired);
+  });
+
+  it('should put a fresh tip in the slot, keeping its own limits', () => {
+    const worn = retireTip(usedTimes({ ...tip, maxUses: 3 }, 3), now);
+    const fresh = replaceTip(worn, now);
+    expect(fresh).toMatchObject({ coord: 'C1', box: 'box-100-1', maxUses: 3, uses: [], date: now.toISOString() });
+    expect(fresh).not.toHaveProperty('retiredAt');
+    expect(tipWear(fresh, DEFAULT_TIP_LIMITS, now).status).toBe('ok');
+  });
+});
+
+describe('retireWornTips / summarizeWear', () => {
+  const tips = [
+    tip,
+    usedTimes({ ...tip, coord: 'C2', maxUses: 1 }, 1),
+    retireTip({ ...tip, coord: 'C3' }, now),
+  ];
+
+  it('should count tips by status', () => {
+    expect(summarizeWear(tips, DEFAULT_TIP_LIMITS, now)).toEqual({ ok: 1, worn: 1, retired: 1 });
+    expect(summarizeWear([], DEFAULT_TIP_LIMITS, now)).toEqual({ ok: 0, worn: 0, retired: 0 });
+  });
+
+  it('should retire only worn tips', () => {
+    const result = retireWornTips(tips, DEFAULT_TIP_LIMITS, now);
+    expect(result.retired).toBe(1);
+    expect(result.tips[1].retiredAt).toBe(now.toISOString());
+    expect(result.tips[0]).toBe(tips[0]);
+    expect(result.tips[2]).toBe(tips[2]);
+  });
+
+  it('should return the same array when nothing is worn', () => {
+    const result = retireWornTips([tip], DEFAULT_TIP_LIMITS, now);
+    expect(result).toEqual({ tips: [tip], retired: 0 });
+  });
+});
+
+describe('loadTipLimits', () => {
+  it('should parse saved limits', () => {
+    expect(loadTipLimits('{"maxUses":10,"maxAgeDays":null,"autoRetire":true}'))
+      .toEqual({ maxUses: 10, maxAgeDays: null, autoRetire: true });
+  });
+
+  it('should fall back to defaults for malformed values', () => {
+    expect(loadTipLimits('{"maxUses":-1,"autoRetire":"yes"}')).toEqual(DEFAULT_TIP_LIMITS);
+    expect(loadTipLimits('{oops')).toEqual(DEFAULT_TIP_LIMITS);
+    expect(loadTipLimits(null)).toEqual(DEFAULT_TIP_LIMITS);
+    expect(loadTipLimits('3')).toEqual(DEFAULT_TIP_LIMITS);
+  });
+});
@@ -0,0 +1,237 @@
+/**
+ * Tip Search - Regression Tests
+ */
+import { describe, it, expect } from 'vitest';
+import {
+  SEARCH_FIELDS,
+  parseQuery,
+  scoreQuery,
+  matchesQuery,
+  searchTips,
+  rankResults,
+  quoteValue,
+  saveFilter,
+  deleteFilter,
+  loadSavedFilters,
+} from '../src/tip-search.js';
+import { defaultBox } from '../src/boxes.js';
+
+const boxes = [defaultBox(10), defaultBox(100), { ...defaultBox(10), id: 'box-10-2', name: 'Shelf C rack' }];
+const catalog = [
+  { id: 'ing-castoreum-absolute', name: 'Castoreum Absolute', aliases: ['Castoreum abs'], family: 'animalic' },
+  { id: 'ing-isobutyl-quinoline', name: 'Isobutyl Quinoline', aliases: ['IBQ'], family: 'leather' },
+];
+const ingredients = [
+  { name: 'Castoreum Absolute', section: 'Animalic Base' },
+  { name: 'Isobutyl quinoline 10%', section: 'Leather Heart' },
+  { name: 'Bulgarian Rose', section: 'Floral Heart' },
+];
+const context = { boxes, catalog, ingredients };
+const tip = (ingredient, tipSize, date, extra = {}) => ({
+  ingredient, tipSize, coord: 'A1', date, box: `box-${tipSize}-1`, ...extra,
+});
+const tips = [
+  tip('Castoreum Absolute', 10, '2025-12-20T10:00:00.000Z', { catalogId: 'ing-castoreum-absolute' }),
+  tip('Isobutyl Quinoline', 100, '2026-01-05T10:00:00.000Z', { catalogId: 'ing-isobutyl-quinoline' }),
+  tip('Bulgarian Rose', 10, '2026-01-31T23:00:00.000Z', { box: 'box-10-2' }),
+  tip('Rose Oxide', 100, '2026-02-01T00:00:00.000Z'),
+];
+const find = query => {
+  const result = searchTips(tips, query, context);
+  return result.error || result.tips.map(t => t.ingredient);
+};
+
+describe('SEARCH_FIELDS', () => {
+  it('should list the filters with examples', () => {
+    expect(SEARCH_FIELDS.map(f => f.field)).toEqual(['name', 'size', 'box', 'added', 'family', 'section']);
+    SEARCH_FIELDS.forEach(f => expect(f.example.startsWith(`${f.field}:`)).toBe(true));
+  });
+});
+
+describe('parseQuery', () => {
+  it('should treat an empty query as no filter', () => {
+    expect(parseQuery('  ')).toEqual({ query: null, error: null });
+  });
+
+  it('should read words and field filters', () => {
+    expect(parseQuery('Rose size:>=100').query).toEqual({
+      type: 'and',
+      terms: [
+        { type: 'term', field: 'name', op: '=', value: 'rose', bare: true },
+        { type: 'term', field: 'size', op: '>=', value: 100 },
+      ],
+    });
+  });
+
+  it('should join neighbouring plain words into one name', () => {
+    expect(parseQuery('dl Muscone').query).toEqual({ type: 'term', field: 'name', op: '=', value: 'dl muscone', bare: true });
+    expect(parseQuery('dl AND muscone').query.terms.map(t => t.value)).toEqual(['dl', 'muscone']);
+    expect(parseQuery('dl size:10 muscone').query.terms).toHaveLength(3);
+  });
+
+  it('should bind AND tighter than OR', () => {
+    const { query } = parseQuery('a size:10 OR c AND d');
+    expect(query.type).toBe('or');
+    expect(query.terms.map(t => t.type)).toEqual(['and', 'and']);
+  });
+
+  it('should group with parentheses and negate with NOT or -', () => {
+    const { query } = parseQuery('-(a OR b) NOT c');
+    expect(query).toMatchObject({ type: 'and', terms: [{ type: 'not', term: { type: 'or' } }, { type: 'not' }] });
+  });
+
+  it('should keep quoted phrases and quoted field values together', () => {
+    expect(parseQuery('"rose oxide"').query.value).toBe('rose oxide');
+    expect(parseQuery('box:"Shelf C"').query).toEqual({ type: 'term', field: 'box', op: '=', value: 'shelf c' });
+    expect(parseQuery('"note: musk"').query.field).toBe('name');
+  });
+
+  it('should read date shorthands', () => {
+    expect(parseQuery('before:2026-01').query).toMatchObject({ field: 'added', op: '<' });
+    expect(parseQuery('added after 2026').query).toMatchObject({ field: 'added', op: '>' });
+    expect(parseQuery('added since 2026-01-05').query).toMatchObject({ field: 'added', op: '>=' });
+  });
+
+  it('should report syntax errors', () => {
+    expect(parseQuery('rose OR').error).toBe('Search term expected after OR');
+    expect(parseQuery('(rose').error).toBe('Missing ")"');
+    expect(parseQuery('rose)').error).toBe('Unexpected ")"');
+    expect(parseQuery('"rose').error).toBe('Quote is never closed');
+  });
+
+  it('should report bad filters', () => {
+    expect(parseQuery('colour:red').error).toBe('Unknown filter "colour:"');
+    expect(parseQuery('size:').error).toBe('Missing value for size:');
+    expect(parseQuery('size:big').error).toBe('Invalid tip size "big"');
+    expect(parseQuery('added:2026-13').error).toBe('Invalid date "2026-13" (use YYYY, YYYY-MM or YYYY-MM-DD)');
+    expect(parseQuery('added:2026-02-30').error).toContain('Invalid date');
+    expect(parseQuery('box:>a').error).toBe('box: can only be compared with =');
+  });
+});
+
+describe('matchesQuery', () => {
+  it('should match every tip without a query', () => {
+    expect(matchesQuery(tips[0], null)).toBe(true);
+  });
+
+  it('should match words against catalog aliases of linked tips', () => {
+    expect(matchesQuery(tips[1], parseQuery('ibq').query, context)).toBe(true);
+    expect(matchesQuery(tips[1], parseQuery('ibq').query)).toBe(false);
+  });
+});
+
+describe('searchTips', () => {
+  it('should filter by name, ANDing words', () => {
+    expect(find('rose')).toEqual(['Bulgarian Rose', 'Rose Oxide']);
+    expect(find('rose bulg')).toEqual(['Bulgarian Rose']);
+    expect(find('name:"rose oxide"')).toEqual(['Rose Oxide']);
+  });
+
+  it('should filter by tip size', () => {
+    expect(find('size:10')).toEqual(['Castoreum Absolute', 'Bulgarian Rose']);
+    expect(find('size:>10')).toEqual(['Isobutyl Quinoline', 'Rose Oxide']);
+  });
+
+  it('should filter by box name or ID', () => {
+    expect(find('box:shelf')).toEqual(['Bulgarian Rose']);
+    expect(find('box:box-100-1')).toEqual(['Isobutyl Quinoline', 'Rose Oxide']);
+  });
+
+  it('should filter by date ranges', () => {
+    expect(find('added before 2026-01')).toEqual(['Castoreum Absolute']);
+    expect(find('added:2026-01')).toEqual(['Isobutyl Quinoline', 'Bulgarian Rose']);
+    expect(find('added:<=2026-01')).toEqual(['Castoreum Absolute', 'Isobutyl Quinoline', 'Bulgarian Rose']);
+    expect(find('after:2026-01')).toEqual(['Rose Oxide']);
+    expect(find('added:>=2026-01-31')).toEqual(['Bulgarian Rose', 'Rose Oxide']);
+    expect(find('added:2025')).toEqual(['Castoreum Absolute']);
+  });
+
+  it('should filter by catalog family', () => {
+    expect(find('family:leather')).toEqual(['Isobutyl Quinoline']);
+  });
+
+  it('should skip catalog entries without a family', () => {
+    const linked = [tip('Civettone', 10, '2026-01-01', { catalogId: 'ing-civettone' }), ...tips];
+    const withCivettone = { ...context, catalog: [...catalog, { id: 'ing-civettone', name: 'Civettone', aliases: [] }] };
+    expect(searchTips(linked, 'family:leather', withCivettone).tips.map(t => t.ingredient)).toEqual(['Isobutyl Quinoline']);
+  });
+
+  it('should filter by formula section', () => {
+    expect(find('section:heart')).toEqual(['Isobutyl Quinoline', 'Bulgarian Rose']);
+    expect(find('section:animalic')).toEqual(['Castoreum Absolute']);
+  });
+
+  it('should combine filters with AND, OR and NOT', () => {
+    expect(find('size:10 (family:animalic OR box:shelf)')).toEqual(['Castoreum Absolute', 'Bulgarian Rose']);
+    expect(find('rose -oxide')).toEqual(['Bulgarian Rose']);
+    expect(find('section:heart AND NOT size:100')).toEqual(['Bulgarian Rose']);
+  });
+
+  it('should return every tip with the error for an invalid query', () => {
+    expect(searchTips(tips, 'size:', context)).toEqual({ tips, scores: [1, 1, 1, 1], error: 'Missing value for size:' });
+  });
+
+  it('should tolerate typos and naming variants', () => {
+    const more = [tip('dl-Muscone 100%', 10, '2026-01-01'), tip('Aldehyde C-12 MNA', 10, '2026-01-01'), ...tips];
+    const names = query => searchTips(more, query, context).tips.map(t => t.ingredient);
+    expect(names('muscon')).toEqual(['dl-Muscone 100%']);
+    expect(names('dl muscone')).toEqual(['dl-Muscone 100%']);
+    expect(names('C12 MNA')).toEqual(['Aldehyde C-12 MNA']);
+    expect(names('castoreum abs')).toEqual(['Castoreum Absolute']);
+    expect(names('bulgarain rose')).toEqual(['Bulgarian Rose']);
+  });
+
+  it('should score matches for ranking', () => {
+    const { scores } = searchTips(tips, 'rose oxide', context);
+    expect(scores).toEqual([1]);
+    const rose = searchTips(tips, 'rose OR size:10', context);
+    expect(rose.scores).toEqual([1, 1, 0.9]);
+  });
+});
+
+describe('scoreQuery', () => {
+  it('should average AND terms and take the best OR term', () => {
+    expect(scoreQuery(tips[2], parseQuery('bulgarian size:10').query, context)).toBe(0.95);
+    expect(scoreQuery(tips[2], parseQuery('bulgarian size:100').query, context)).toBe(0);
+    expect(scoreQuery(tips[2], parseQuery('-oxide').query, context)).toBe(1);
+  });
+});
+
+describe('rankResults', () => {
+  it('should put the best matches first and keep the order of ties', () => {
+    expect(rankResults({ tips: ['a', 'b', 'c'], scores: [0.6, 0.9, 0.6] })).toEqual(['b', 'a', 'c']);
+  });
+});
+
+describe('quoteValue', () => {
+  it('should quote values with spaces or parentheses', () => {
+    expect(quoteValue('Rose')).toBe('Rose');
+    expect(quoteValue('Tonkin Musk Tincture (3%)')).toBe('"Tonkin Musk Tincture (3%)"');
+    expect(parseQuery(quoteValue('Rose "Otto"')).query.value).toBe('rose otto');
+  });
+});
+
+describe('saved filters', () => {
+  it('should save and replace filters by name', () => {
+    let { filters } = saveFilter([], ' Old leather ', 'family:leather added before 2026');
+    expect(filters).toEqual([{ name: 'Old leather', query: 'family:leather added before 2026' }]);
+    ({ filters } = saveFilter(filters, 'Old leather', 'family:leather'));
+    expect(filters).toEqual([{ name: 'Old leather', query: 'family:leather' }]);
+  });
+
+  it('should refuse unnamed, empty and invalid filters', () => {
+    expect(saveFilter([], '', 'rose').error).toBe('Filter name is required');
+    expect(saveFilter([], 'Empty', ' ').error).toBe('Search query is empty');
+    expect(saveFilter([], 'Bad', 'rose OR')).toEqual({ filters: [], error: 'Search term expected after OR' });
+  });
+
+  it('should delete filters', () => {
+    expect(deleteFilter([{ name: 'a', query: 'x' }, { name: 'b', query: 'y' }], 'a')).toEqual([{ name: 'b', query: 'y' }]);
+  });
+
+  it('should load saved filters, dropping malformed ones', () => {
+    expect(loadSavedFilters(JSON.stringify([{ name: 'a', query: 'x' }, { name: 'b' }, null]))).toEqual([{ name: 'a', query: 'x' }]);
+    expect(loadSavedFilters('oops')).toEqual([]);
+    expect(loadSavedFilters(null)).toEqual([]);
+  });
+});
@@ -7,15 +7,23 @@ import {
   parseCoordToGridPosition,
   gridPositionToCoord,
   validateTip,
+  createTip,
   findExistingTip,
   addTip,
   deleteTip,
+  updateTip,
+  mergeImportedTips,
   filterTips,
   sortTips,
+  abbreviateIngredient,
   calculateStats,
   calculateTokensEarned,
   wouldEarnToken,
+  recordTipAdded,
+  tokenProgress,
+  consumeToken,
 } from '../src/tip-tracker.js';
+import { findLayout, formatCoord } from '../src/box-layouts.js';
 
 describe('Grid Configuration', () => {
   it('should have correct dimensions', () => {
@@ -175,7 +183,19 @@ describe('validateTip', () => {
     const tip = { ingredient: 'Test', tipSize: 50, coord: 'A1' };
     const result = validateTip(tip);
     expect(result.valid).toBe(false);
-    expect(result.errors).toContain('Tip size must be 10 or 100');
+    expect(result.errors).toContain('Tip size must be one of 10, 20, 100, 200, 1000 µL');
+  });
+
+  it('should accept the other rack sizes', () => {
+    expect(validateTip({ ingredient: 'Geraniol', tipSize: 1000, coord: 'H12' }).valid).toBe(true);
+    expect(validateTip({ ingredient: 'Geraniol', tipSize: 200, coord: 'L8' }).valid).toBe(false);
+  });
+
+  it('should check the coordinate against a given box layout', () => {
+    const holder = { name: '24-slot holder', rows: 4, cols: 6, rowLabels: 'numbers', colLabels: 'letters', letterFirst: false };
+    expect(validateTip({ ingredient: 'Test', tipSize: 10, coord: '2C' }, holder).valid).toBe(true);
+    expect(validateTip({ ingredient: 'Test', tipSize: 10, coord: 'C2' }, holder).errors)
+      .toEqual(['Invalid coordinate "C2" for 24-slot holder']);
   });
 
   it('should reject invalid coordinate for tip size', () => {
@@ -187,6 +207,41 @@ describe('validateTip', () => {
   });
 });
 
+describe('createTip', () => {
+  const date = new Date('2026-01-15T10:00:00Z');
+
+  it('should combine row and col into coord', () => {
+    const tip = createTip('Castoreum Absolute', 10, 'd', '8', date);
+    expect(tip).toEqual({
+      ingredient: 'Castoreum Absolute',
+      tipSize: 10,
+      row: 'D',
+      col: '8',
+      coord: 'D8',
+      date: '2026-01-15T10:00:00.000Z',
+    });
+  });
+
+  it('should trim whitespace from inputs', () => {
+    const tip = createTip('  Civettone ', 100, ' l ', ' 8 ', date);
+    expect(tip.ingredient).toBe('Civettone');
+    expect(tip.coord).toBe('L8');
+  });
+
+  it('should produce a tip that passes validation', () => {
+    expect(validateTip(createTip('Rose', 100, 'L', '8', date)).valid).toBe(true);
+  });
+
+  it('should write number-first coordinates the way the layout labels them', () => {
+    const holder = findLayout('holder-24');
+    const tip = createTip('Rose', 10, '2', 'c', date);
+    expect(tip).toMatchObject({ row: '2', col: 'C', coord: '2C' });
+    expect(tip.coord).toBe(formatCoord(1, 2, holder));
+    expect(validateTip(tip, holder).valid).toBe(true);
+    expect(findExistingTip([{ ...tip, box: 'holder' }], '2C', 10, 'holder')).not.toBeNull();
+  });
+});
+
 describe('findExistingTip', () => {
   const tips = [
     { ingredient: 'Musk', tipSize: 10, coord: 'A1' },
@@ -216,6 +271,15 @@ describe('findExistingTip', () => {
     expect(tip10.ingredient).toBe('Musk');
     expect(tip100.ingredient).toBe('Rose');
   });
+
+  it('should key by box ID when given', () => {
+    const boxed = [
+      { ingredient: 'Musk', tipSize: 10, coord: 'A1', box: 'box-10-1' },
+      { ingredient: 'Civet', tipSize: 10, coord: 'A1', box: 'box-10-2' },
+    ];
+    expect(findExistingTip(boxed, 'A1', 10, 'box-10-2').ingredient).toBe('Civet');
+    expect(findExistingTip(boxed, 'A1', 10, 'box-10-3')).toBeNull();
+  });
 });
 
 describe('addTip', () => {
@@ -254,6 +318,17 @@ describe('addTip', () => {
     expect(result.tips).toHaveLength(2);
     expect(result.error).toBeNull();
   });
+
+  it('should allow same coord in two boxes of the same size', () => {
+    const boxed = [{ ingredient: 'Musk', tipSize: 10, coord: 'A1', box: 'box-10-1' }];
+    const second = addTip(boxed, { ingredient: 'Civet', tipSize: 10, coord: 'A1', box: 'box-10-2' });
+    expect(second.error).toBeNull();
+    expect(second.tips).toHaveLength(2);
+
+    const replaced = addTip(second.tips, { ingredient: 'Rose', tipSize: 10, coord: 'A1', box: 'box-10-2' }, true);
+    expect(replaced.replaced.ingredient).toBe('Civet');
+    expect(replaced.tips.map((t) => t.ingredient)).toEqual(['Musk', 'Rose']);
+  });
 });
 
 describe('deleteTip', () => {
@@ -278,6 +353,56 @@ describe('deleteTip', () => {
     const result = deleteTip(tips, 'Z9', 10);
     expect(result).toHaveLength(3);
   });
+
+  it('should only delete from the given box', () => {
+    const boxed = [
+      { ingredient: 'Musk', tipSize: 10, coord: 'A1', box: 'box-10-1' },
+      { ingredient: 'Civet', tipSize: 10, coord: 'A1', box: 'box-10-2' },
+    ];
+    expect(deleteTip(boxed, 'A1', 10, 'box-10-2')).toEqual([boxed[0]]);
+  });
+});
+
+describe('updateTip', () => {
+  it('should update only the tip in the given box and slot', () => {
+    const boxed = [
+      { ingredient: 'Musk', tipSize: 10, coord: 'A1', box: 'box-10-1' },
+      { ingredient: 'Civet', tipSize: 10, coord: 'A1', box: 'box-10-2' },
+    ];
+    const result = updateTip(boxed, 'A1', 10, 'box-10-2', (t) => ({ ...t, uses: ['2026-01-01T00:00:00.000Z'] }));
+    expect(result[0]).toBe(boxed[0]);
+    expect(result[1]).toEqual({ ...boxed[1], uses: ['2026-01-01T00:00:00.000Z'] });
+  });
+});
+
+describe('mergeImportedTips', () => {
+  it('should append new tips', () => {
+    const tips = [{ ingredient: 'Musk', tipSize: 10, coord: 'A1' }];
+    const result = mergeImportedTips(tips, [{ ingredient: 'Rose', tipSize: 10, coord: 'B2' }]);
+    expect(result).toHaveLength(2);
+  });
+
+  it('should replace tips at the same coord', () => {
+    const tips = [{ ingredient: 'Musk', tipSize: 10, coord: 'A1' }];
+    const result = mergeImportedTips(tips, [{ ingredient: 'Cedar', tipSize: 10, coord: 'A1' }]);
+    expect(result).toHaveLength(1);
+    expect(result[0].ingredient).toBe('Cedar');
+  });
+
+  it('should keep tips of another size or box at the same coord', () => {
+    const tips = [
+      { ingredient: 'Musk', tipSize: 100, coord: 'A1' },
+      { ingredient: 'Civet', tipSize: 10, coord: 'A1', box: 'box-10-2' },
+    ];
+    const result = mergeImportedTips(tips, [{ ingredient: 'Rose', tipSize: 10, coord: 'A1', box: 'box-10-1' }]);
+    expect(result.map((t) => t.ingredient)).toEqual(['Musk', 'Civet', 'Rose']);
+  });
+
+  it('should not mutate original array', () => {
+    const tips = [{ ingredient: 'Musk', tipSize: 10, coord: 'A1' }];
+    mergeImportedTips(tips, [{ ingredient: 'Rose', tipSize: 10, coord: 'B2' }]);
+    expect(tips).toHaveLength(1);
+  });
 });
 
 describe('filterTips', () => {
@@ -301,6 +426,17 @@ describe('filterTips', () => {
   it('should return empty array for no matches', () => {
     expect(filterTips(tips, 'vanilla')).toHaveLength(0);
   });
+
+  it('should accept the search query syntax', () => {
+    expect(filterTips(tips, 'rose size:100')).toEqual([tips[2]]);
+    expect(filterTips(tips, 'cedar OR castoreum')).toHaveLength(2);
+    expect(filterTips(tips, 'Rose Ox')).toEqual([tips[2]]);
+  });
+
+  it('should match text when the query does not parse', () => {
+    expect(filterTips(tips, 'rose (')).toHaveLength(0);
+    expect(filterTips([{ ingredient: 'Rose (Turkish)', tipSize: 10 }], 'rose (')).toHaveLength(1);
+  });
 });
 
 describe('sortTips', () => {
@@ -334,6 +470,17 @@ describe('sortTips', () => {
   });
 });
 
+describe('abbreviateIngredient', () => {
+  it('should keep short names', () => {
+    expect(abbreviateIngredient('Musk')).toBe('Musk');
+    expect(abbreviateIngredient('Geraniol')).toBe('Geraniol');
+  });
+
+  it('should truncate long names with an ellipsis', () => {
+    expect(abbreviateIngredient('Castoreum Absolute')).toBe('Castore…');
+  });
+});
+
 describe('calculateStats', () => {
   it('should calculate correct stats', () => {
     const tips = [
@@ -347,6 +494,29 @@ describe('calculateStats', () => {
     expect(stats.total).toBe(5);
     expect(stats.tip10Count).toBe(3);
     expect(stats.tip100Count).toBe(2);
+    expect(stats.bySize).toEqual({ 10: 3, 20: 0, 100: 2, 200: 0, 1000: 0 });
+  });
+
+  it('should count tips per box', () => {
+    const stats = calculateStats([
+      { tipSize: 10, box: 'box-10-1' },
+      { tipSize: 10, box: 'box-10-2' },
+      { tipSize: 10, box: 'box-10-2' },
+    ]);
+    expect(stats.byBox).toEqual({ 'box-10-1': 1, 'box-10-2': 2 });
+  });
+
+  it('should count tips needing replacement', () => {
+    const now = new Date('2026-03-01T00:00:00.000Z');
+    const stats = calculateStats([
+      { tipSize: 10, date: '2026-02-20T00:00:00.000Z', uses: ['2026-02-21T00:00:00.000Z'] },
+      { tipSize: 10, date: '2026-02-20T00:00:00.000Z', uses: ['2026-02-21T00:00:00.000Z'], maxUses: 1 },
+      { tipSize: 100, date: '2025-10-01T00:00:00.000Z' },
+      { tipSize: 100, date: '2026-02-20T00:00:00.000Z', retiredAt: '2026-02-28T00:00:00.000Z' },
+    ], { maxUses: 20, maxAgeDays: 90 }, now);
+    expect(stats.worn).toBe(2);
+    expect(stats.retired).toBe(1);
+    expect(stats.needsReplacement).toBe(3);
   });
 
   it('should handle empty array', () => {
@@ -354,6 +524,7 @@ describe('calculateStats', () => {
     expect(stats.total).toBe(0);
     expect(stats.tip10Count).toBe(0);
     expect(stats.tip100Count).toBe(0);
+    expect(stats.needsReplacement).toBe(0);
   });
 });
 
@@ -393,4 +564,32 @@ describe('Token System', () => {
       expect(wouldEarnToken(6)).toBe(false);
     });
   });
+
+  describe('recordTipAdded', () => {
+    it('should increment count without a token', () => {
+      expect(recordTipAdded({ tipsAdded: 0, tokens: 0 }, 3)).toEqual({ tipsAdded: 1, tokens: 0, earned: false });
+    });
+
+    it('should award a token on every Nth tip', () => {
+      expect(recordTipAdded({ tipsAdded: 2, tokens: 1 }, 3)).toEqual({ tipsAdded: 3, tokens: 2, earned: true });
+    });
+  });
+
+  describe('tokenProgress', () => {
+    it('should report tips since last token', () => {
+      expect(tokenProgress(0, 3)).toBe(0);
+      expect(tokenProgress(4, 3)).toBe(1);
+      expect(tokenProgress(6, 3)).toBe(0);
+    });
+  });
+
+  describe('consumeToken', () => {
+    it('should spend one token', () => {
+      expect(consumeToken(2)).toEqual({ tokens: 1, consumed: true });
+    });
+
+    it('should not go below zero', () => {
+      expect(consumeToken(0)).toEqual({ tokens: 0, consumed: false });
+    });
+  });
 });